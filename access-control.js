@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import net from 'net';
+
+// Raised when a request may not use an admin route; `status` maps onto the HTTP response
+export class AccessError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AccessError';
+        this.status = status;
+    }
+}
+
+const LOOPBACK = new net.BlockList();
+LOOPBACK.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK.addAddress('::1', 'ipv6');
+
+function isLoopback(address) {
+    const family = net.isIP(address || '');
+    return family !== 0 && LOOPBACK.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Constant-time comparison; hashing first makes the lengths equal
+function tokensMatch(given, expected) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Who may call the API from where.
+ *
+ * Admin routes (anything that changes feeds or the archive, the archive export and manual
+ * refreshes) need `Authorization: Bearer <adminToken>`. Without an admin token configured they
+ * only accept requests from this machine. Reader routes (marking articles read, saved or hidden) are open to
+ * anyone who can load the page. Either way, a browser request from a page on another origin is
+ * refused unless that origin is in `allowedOrigins`, so other sites can't drive the API through
+ * a visitor's browser.
+ *
+ * `allowedOrigins` is also the CORS allowlist: an empty list allows same-origin pages only,
+ * ['*'] allows any origin (admin routes still need the token).
+ */
+class AccessControl {
+    constructor({ adminToken = '', allowedOrigins = [] } = {}) {
+        this.adminToken = adminToken;
+        this.allowedOrigins = new Set(allowedOrigins.map(origin => origin.replace(/\/+$/, '')));
+    }
+
+    get anyOrigin() {
+        return this.allowedOrigins.has('*');
+    }
+
+    // Same-origin requests carry the page's own host; no Origin header means a non-browser client
+    isAllowedOrigin(origin, req) {
+        if (!origin) return true;
+        if (this.anyOrigin || this.allowedOrigins.has(origin)) return true;
+        return origin === `${req.protocol}://${req.get('host')}`;
+    }
+
+    // Options for the cors middleware: reflect allowed origins, send no CORS headers for the rest
+    corsOptions() {
+        return {
+            origin: this.anyOrigin ? '*' : [...this.allowedOrigins],
+            allowedHeaders: ['Content-Type', 'Authorization'],
+            exposedHeaders: ['Content-Disposition', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+        };
+    }
+
+    // Throws AccessError for browser requests from origins that may not change this server
+    authorizeOrigin(req) {
+        if (!this.isAllowedOrigin(req.get('Origin'), req)) {
+            throw new AccessError(`Origin ${req.get('Origin')} may not change this server`, 403);
+        }
+    }
+
+    // Throws AccessError unless the request may use admin routes
+    authorizeAdmin(req) {
+        this.authorizeOrigin(req);
+        if (!this.adminToken) {
+            if (isLoopback(req.ip)) return;
+            throw new AccessError('Set ADMIN_TOKEN on the server to manage it from another machine', 403);
+        }
+        const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+        if (!match) throw new AccessError('Admin token required');
+        if (!tokensMatch(match[1], this.adminToken)) throw new AccessError('Invalid admin token');
+    }
+}
+
+export default AccessControl;
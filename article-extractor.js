@@ -0,0 +1,97 @@
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { Readability } from '@mozilla/readability';
+import { sanitizeContent } from './sanitize.js';
+import UrlGuard, { UrlGuardError } from './url-guard.js';
+
+const FETCH_TIMEOUT_MS = 20 * 1000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+// Readable text shorter than this is usually a cookie wall, paywall or link list
+const MIN_TEXT_LENGTH = 250;
+
+// Raised when a page can't be fetched or has no readable content; `status` maps onto the HTTP response
+export class ExtractionError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.status = status;
+    }
+}
+
+/**
+ * Fetches an article's web page and extracts its main content with Mozilla Readability
+ * (the Firefox Reader View algorithm), returning sanitized HTML.
+ */
+class ArticleExtractor {
+    constructor(options = {}) {
+        this.fetchTimeout = options.fetchTimeout ?? FETCH_TIMEOUT_MS;
+        this.maxBytes = options.maxBytes ?? MAX_PAGE_BYTES;
+        this.minTextLength = options.minTextLength ?? MIN_TEXT_LENGTH;
+        this.urlGuard = options.urlGuard ?? new UrlGuard();
+    }
+
+    // Download a page as text, giving up on non-HTML responses and pages over maxBytes
+    async fetchPage(url) {
+        let response;
+        try {
+            response = await this.urlGuard.fetch(url, {
+                headers: {
+                    'User-Agent': 'personal-news-feed/1.0 (reader view)',
+                    Accept: 'text/html, application/xhtml+xml;q=0.9'
+                },
+                timeout: this.fetchTimeout
+            });
+        } catch (error) {
+            throw new ExtractionError(`Could not fetch ${url}: ${error.message}`, error instanceof UrlGuardError ? error.status : 502);
+        }
+        if (!response.ok) {
+            await response.body?.cancel();
+            throw new ExtractionError(`Could not fetch ${url}: HTTP ${response.status}`);
+        }
+
+        const type = response.headers.get('content-type') || '';
+        if (type && !/html/i.test(type)) {
+            await response.body?.cancel();
+            throw new ExtractionError(`Not an HTML page (${type.split(';')[0]})`, 422);
+        }
+
+        try {
+            const body = await this.urlGuard.read(response, this.maxBytes);
+            return { html: body.toString('utf-8'), url: response.url || url };
+        } catch (error) {
+            if (error instanceof UrlGuardError) throw new ExtractionError(`Page is larger than ${this.maxBytes} bytes`, 422);
+            throw new ExtractionError(`Could not fetch ${url}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Extract the readable part of an HTML document. `url` resolves relative links and images.
+     * Returns { title, byline, content, textLength }; throws ExtractionError (422) when
+     * there is no article-like content.
+     */
+    parse(html, url) {
+        // Scripts never run and subresources are never loaded; the virtual console swallows CSS parse noise
+        const dom = new JSDOM(html, { url, virtualConsole: new VirtualConsole() });
+        try {
+            const article = new Readability(dom.window.document).parse();
+            const textLength = article?.textContent?.trim().length || 0;
+            if (!article || textLength < this.minTextLength) {
+                throw new ExtractionError('No readable article content found', 422);
+            }
+            return {
+                title: article.title?.trim() || null,
+                byline: article.byline?.trim() || null,
+                content: sanitizeContent(article.content),
+                textLength
+            };
+        } finally {
+            dom.window.close();
+        }
+    }
+
+    async extract(url) {
+        const page = await this.fetchPage(url);
+        return this.parse(page.html, page.url);
+    }
+}
+
+export default ArticleExtractor;
@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import RSSAggregator, { FeedValidationError } from '../rss-aggregator.js';
+import { QuerySyntaxError } from '../query-parser.js';
+import { parseOpml, OpmlError } from '../opml.js';
+import { createStorage } from '../storage.js';
+import { dataDir, prepareDataDir, runningServer } from '../data-dir.js';
+import UrlGuard from '../url-guard.js';
+import { EXPORT_FORMATS, renderRecords } from '../export-formats.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+
+const USAGE = `Usage: news-feed <command> [options]
+
+Commands:
+  feeds list                     List feeds with their health
+  feeds add <url>                Fetch a feed once to check it, then subscribe to it
+  feeds remove <id|url>          Unsubscribe and drop the feed's articles
+  feeds validate [file]          Fetch every feed in feeds.json, or in another feeds.json or
+                                 OPML file, without changing anything
+  fetch                          Refresh the feeds that are due and save the archive
+  search [query...]              Search the stored articles, scored like /search
+  stats                          Archive and feed health summary
+
+Options:
+  -f, --format <format>          Output: table (default), json, csv or md
+  -o, --output <file>            Write the output to a file instead of stdout
+      --feeds <file>             Feed list to use (default ./feeds.json)
+  -q, --quiet                    No progress messages on stderr
+  -h, --help                     Show this help
+
+feeds add:
+      --source <name>            Display name (default: the feed's title)
+      --category <name>          Category (default: general)
+      --keywords <a,b,...>       Keywords to tag its articles with
+      --full-text                Fetch and index the full text of its articles
+      --refresh-interval <min>   Refresh schedule in minutes
+
+fetch:
+      --force                    Fetch every enabled feed, due or not
+
+search:
+  -n, --limit <n>                Number of results (default 20)
+      --offset <n>               Skip this many results
+      --source, --category, --topic <value>
+                                 Filters; repeat or comma-separate for several values
+      --since, --until <date>    Publication date range
+      --has-image                Only articles with an image
+      --sort <relevance|date>    Order (default: relevance with a query, date without)
+      --exclude <a,b,...>        Drop articles mentioning these keywords
+      --unread                   Drop articles marked read
+      --no-collapse              List every copy of a story, not one per cluster
+
+Exit status: 0 on success, 1 when the command failed (including any invalid feed for
+feeds validate, or every due feed failing for fetch), 2 for usage errors.
+`;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'table' },
+    output: { type: 'string', short: 'o' },
+    feeds: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    source: { type: 'string', multiple: true },
+    category: { type: 'string', multiple: true },
+    keywords: { type: 'string' },
+    'full-text': { type: 'boolean' },
+    'refresh-interval': { type: 'string' },
+    force: { type: 'boolean' },
+    limit: { type: 'string', short: 'n' },
+    offset: { type: 'string' },
+    topic: { type: 'string', multiple: true },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    'has-image': { type: 'boolean' },
+    sort: { type: 'string' },
+    exclude: { type: 'string', multiple: true },
+    unread: { type: 'boolean' },
+    'no-collapse': { type: 'boolean' }
+};
+
+// A command that can't run as asked; `exitCode` is 2 for bad command lines, 1 otherwise
+class CommandError extends Error {
+    constructor(message, exitCode = 2) {
+        super(message);
+        this.name = 'CommandError';
+        this.exitCode = exitCode;
+    }
+}
+
+// Numeric env setting, or undefined to fall back to the aggregator default
+function envNumber(name) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : undefined;
+}
+
+// Progress messages go to stderr, so stdout carries only results and can be piped; --quiet drops them
+function createLogger(options) {
+    return { log: options.quiet ? () => {} : console.error, error: console.error };
+}
+
+// Same archive, storage and fetch settings as server.js, read from the same .env
+function createAggregator(options, logger) {
+    return new RSSAggregator({
+        logger,
+        feedsFile: options.feeds,
+        refreshInterval: (parseFloat(process.env.REFRESH_INTERVAL_MINUTES) || 30) * 60 * 1000,
+        maxArticleAgeDays: envNumber('RETENTION_DAYS'),
+        maxArticlesPerSource: envNumber('MAX_ARTICLES_PER_SOURCE'),
+        recencyHalfLifeDays: envNumber('RECENCY_HALF_LIFE_DAYS'),
+        recencyWeight: envNumber('RECENCY_WEIGHT'),
+        storage: createStorage(process.env.STORAGE || 'sqlite', { file: process.env.DATABASE_FILE || undefined, logger }),
+        urlGuard: new UrlGuard({
+            allowedHosts: (process.env.ALLOWED_PRIVATE_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+        })
+    });
+}
+
+// Feeds, then the stored archive with its feed status and reader state
+async function openArchive(aggregator) {
+    await prepareDataDir(aggregator.logger);
+    await aggregator.loadFeeds();
+    await aggregator.openStorage();
+    await aggregator.loadFromFile();
+}
+
+function wholeNumber(name, value, fallback) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw new CommandError(`--${name} must be a whole number`);
+    return number;
+}
+
+async function output(text, options, logger) {
+    if (options.output) {
+        await fs.writeFile(options.output, text);
+        logger.log(`✓ Wrote ${options.output}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+const FEED_COLUMNS = [
+    { label: 'ID', value: feed => feed.id },
+    { label: 'Source', value: feed => feed.source },
+    { label: 'Category', value: feed => feed.category },
+    { label: 'State', value: feed => feed.state },
+    { label: 'Last success', value: feed => feed.lastSuccess },
+    { label: 'Last error', value: feed => feed.lastError, wide: true },
+    { label: 'URL', value: feed => feed.url }
+];
+
+const ARTICLE_COLUMNS = [
+    { label: 'Published', value: article => article.pubDate.toISOString().slice(0, 16).replace('T', ' ') },
+    { label: 'Source', value: article => article.source },
+    { label: 'Title', value: article => article.title },
+    { label: 'Topics', value: article => article.topics },
+    { label: 'Also covered by', value: article => article.alsoCoveredBy.map(other => other.source), wide: true },
+    { label: 'URL', value: article => article.url, wide: true },
+    { label: 'ID', value: article => article.id, wide: true }
+];
+
+const VALIDATION_COLUMNS = [
+    { label: 'Result', value: entry => entry.result },
+    { label: 'Source', value: entry => entry.source },
+    { label: 'Items', value: entry => entry.items },
+    { label: 'URL', value: entry => entry.url },
+    { label: 'Reason', value: entry => entry.reason }
+];
+
+const FIELD_COLUMNS = [
+    { label: 'Field', value: row => row.field },
+    { label: 'Value', value: row => row.value }
+];
+
+async function listFeeds(aggregator, args, options) {
+    await openArchive(aggregator);
+    const feeds = aggregator.feeds.map(feed => ({ ...feed, ...aggregator.feedHealth(feed) }));
+    await output(renderRecords(options.format, feeds, FEED_COLUMNS), options, aggregator.logger);
+}
+
+async function addFeed(aggregator, [url], options) {
+    if (!url) throw new CommandError('feeds add needs a feed URL');
+    const input = {
+        url,
+        source: options.source?.at(-1),
+        category: options.category?.at(-1),
+        keywords: options.keywords,
+        fullText: options['full-text'],
+        refreshInterval: options['refresh-interval']
+    };
+    Object.keys(input).forEach(key => input[key] === undefined && delete input[key]);
+
+    await openArchive(aggregator);
+    const feed = await aggregator.addFeed(input);
+    await aggregator.saveToFile();
+    await output(renderRecords(options.format, [{ ...feed, ...aggregator.feedHealth(feed) }], FEED_COLUMNS), options, aggregator.logger);
+}
+
+async function removeFeed(aggregator, [idOrUrl], options) {
+    if (!idOrUrl) throw new CommandError('feeds remove needs a feed id or URL');
+    await openArchive(aggregator);
+    let id = idOrUrl;
+    if (!aggregator.getFeed(id) && URL.canParse(idOrUrl)) id = aggregator.feedId(new URL(idOrUrl).href);
+    const feed = await aggregator.removeFeed(id);
+    await aggregator.saveToFile();
+    await output(renderRecords(options.format, [{ id, ...feed, state: 'removed' }], FEED_COLUMNS), options, aggregator.logger);
+}
+
+// Feed entries from a feeds.json ({ feeds: [...] } or a bare list) or an OPML document
+async function readFeedEntries(file) {
+    const text = await fs.readFile(file, 'utf-8');
+    if (text.trimStart().startsWith('<')) {
+        const { entries, skipped } = await parseOpml(text);
+        return { entries, unusable: skipped };
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new FeedValidationError(`${file} is not valid JSON: ${error.message}`);
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed?.feeds;
+    if (!Array.isArray(entries)) throw new FeedValidationError(`${file} has no feeds list`);
+    return { entries, unusable: [] };
+}
+
+// Check every entry the way addFeed would, fetching them in parallel; nothing is saved
+async function validateFeeds(aggregator, [file], options) {
+    const { entries, unusable } = file
+        ? await readFeedEntries(file)
+        : await aggregator.loadFeeds().then(() => ({ entries: aggregator.feeds, unusable: [] }));
+
+    const report = unusable.map(entry => ({ url: entry.url, source: entry.source, result: 'invalid', items: null, reason: entry.reason }));
+    const seen = new Set();
+    const checks = entries.map(async entry => {
+        let feedConfig;
+        try {
+            feedConfig = aggregator.normalizeFeedConfig(entry ?? {});
+        } catch (error) {
+            if (!(error instanceof FeedValidationError)) throw error;
+            return { url: entry?.url ?? null, source: entry?.source ?? null, result: 'invalid', items: null, reason: error.message };
+        }
+        const row = { url: feedConfig.url, source: feedConfig.source || null, result: 'ok', items: null, reason: null };
+        if (seen.has(feedConfig.url)) return { ...row, result: 'invalid', reason: 'Listed more than once' };
+        seen.add(feedConfig.url);
+        try {
+            const { feed } = await aggregator.validateFeed(feedConfig);
+            return {
+                ...row,
+                source: row.source || feed.title?.trim() || null,
+                items: feed.items.length,
+                reason: feedConfig.disabled ? 'Disabled in the feed list' : null
+            };
+        } catch (error) {
+            if (!(error instanceof FeedValidationError)) throw error;
+            return { ...row, result: 'invalid', reason: error.message };
+        }
+    });
+    report.push(...await Promise.all(checks));
+
+    const invalid = report.filter(entry => entry.result !== 'ok').length;
+    aggregator.logger.log(`${invalid === 0 ? '✓' : '✗'} ${report.length - invalid} of ${report.length} feeds valid`);
+    await output(renderRecords(options.format, report, VALIDATION_COLUMNS), options, aggregator.logger);
+    return invalid === 0 ? 0 : 1;
+}
+
+async function fetchFeeds(aggregator, args, options) {
+    await openArchive(aggregator);
+    const due = aggregator.feeds.filter(feed => aggregator.isFeedDue(feed, Date.now(), options.force)).length;
+    let summary = null;
+    aggregator.once('refresh-complete', result => { summary = result; });
+    await aggregator.fetchAllFeeds({ force: options.force });
+    await aggregator.saveToFile();
+
+    const record = {
+        due,
+        failed: summary.failed,
+        added: summary.added.length,
+        updated: summary.updated,
+        pruned: summary.pruned,
+        totalArticles: summary.totalArticles,
+        lastUpdate: summary.lastUpdate
+    };
+    if (options.format === 'json') {
+        await output(renderRecords('json', record), options, aggregator.logger);
+    } else {
+        const rows = Object.entries(record).map(([field, value]) => ({ field, value }));
+        await output(renderRecords(options.format, rows, FIELD_COLUMNS), options, aggregator.logger);
+    }
+    return due > 0 && summary.failed === due ? 1 : 0;
+}
+
+async function search(aggregator, words, options) {
+    const q = words.join(' ');
+    const limit = wholeNumber('limit', options.limit, 20);
+    const offset = wholeNumber('offset', options.offset, 0);
+
+    await openArchive(aggregator);
+    if (aggregator.articles.length === 0) {
+        throw new CommandError('No articles stored yet; run `news-feed fetch` first', 1);
+    }
+    const results = aggregator.query({
+        q,
+        limit,
+        offset,
+        source: options.source,
+        category: options.category,
+        topic: options.topic,
+        since: options.since,
+        until: options.until,
+        hasImage: options['has-image'] || undefined,
+        sort: options.sort,
+        collapse: !options['no-collapse'],
+        exclude: options.exclude,
+        unread: options.unread || undefined
+    });
+
+    const articles = results.articles.map(article => ({
+        id: article.id,
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        category: article.category,
+        pubDate: article.pubDate,
+        topics: article.topics || [],
+        snippet: article.snippet,
+        alsoCoveredBy: aggregator.alsoCoveredBy(article)
+    }));
+    aggregator.logger.log(`ℹ ${articles.length} of ${results.total} matching articles`);
+    await output(renderRecords(options.format, articles, ARTICLE_COLUMNS), options, aggregator.logger);
+}
+
+async function stats(aggregator, args, options) {
+    await openArchive(aggregator);
+    const current = aggregator.getStats();
+    if (options.format === 'json') {
+        return output(renderRecords('json', current), options, aggregator.logger);
+    }
+    const rows = Object.entries(current).map(([field, value]) => ({
+        field,
+        value: value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+            ? Object.entries(value).map(([key, item]) => `${key}: ${item}`).join(', ')
+            : value
+    }));
+    await output(renderRecords(options.format, rows, FIELD_COLUMNS), options, aggregator.logger);
+}
+
+const COMMANDS = {
+    'feeds list': listFeeds,
+    'feeds add': addFeed,
+    'feeds remove': removeFeed,
+    'feeds validate': validateFeeds,
+    fetch: fetchFeeds,
+    search,
+    stats
+};
+
+// Commands that write feeds.json or the archive, which a running server holds in memory and
+// would overwrite (or be overwritten by) on its next save
+const WRITING_COMMANDS = new Set(['feeds add', 'feeds remove', 'fetch']);
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new CommandError(error.message);
+    }
+    const { values: options, positionals } = parsed;
+    if (options.help || positionals.length === 0 || positionals[0] === 'help') {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const grouped = positionals[0] === 'feeds';
+    const name = grouped ? `feeds ${positionals[1] ?? 'list'}` : positionals[0];
+    const command = COMMANDS[name];
+    if (!command) throw new CommandError(`Unknown command "${name}"`);
+    if (!Object.hasOwn(EXPORT_FORMATS, options.format)) {
+        throw new CommandError(`--format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    if (WRITING_COMMANDS.has(name)) {
+        const pid = await runningServer();
+        if (pid) {
+            throw new CommandError(`The server (pid ${pid}) is using ${dataDir()}; stop it first, or make the change through its API`, 1);
+        }
+    }
+
+    const aggregator = createAggregator(options, createLogger(options));
+    try {
+        return await command(aggregator, positionals.slice(grouped ? 2 : 1), options) ?? 0;
+    } finally {
+        await aggregator.storage.close();
+        await aggregator.urlGuard.agent.close();
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`✗ ${error.message}`);
+    if (error instanceof CommandError) {
+        if (error.exitCode === 2) console.error('Run `news-feed help` for usage.');
+        process.exitCode = error.exitCode;
+        return;
+    }
+    // Validation errors and system errors (a missing file, say) explain themselves; anything else is a bug
+    if (!(error instanceof FeedValidationError || error instanceof QuerySyntaxError || error instanceof OpmlError || error.code)) {
+        console.error(error.stack);
+    }
+    process.exitCode = 1;
+});
@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import { readFileSync, rmSync } from 'fs';
+import path from 'path';
+
+// The archive, profiles, reading usage and the image cache live here, away from the project
+// files, so that no static file route can ever hand them out
+const DATA_DIR = './data';
+
+// What older versions kept in the working directory. The database moves with its WAL files.
+const LEGACY_DATA_FILES = [
+    'news.db', 'news.db-wal', 'news.db-shm', 'articles-cache.json', 'article-state.json',
+    'profiles.json', 'reading-usage.json', 'image-cache'
+];
+
+// Holds the pid of the server using the data directory, so the CLI doesn't write under it
+const LOCK_FILE = 'server.lock';
+
+// DATA_DIR from the environment is read on each call: .env is loaded after modules are imported
+export function dataDir() {
+    return process.env.DATA_DIR || DATA_DIR;
+}
+
+export function dataPath(name) {
+    return path.join(dataDir(), name);
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Create the data directory and move in data files left in the working directory by older
+ * versions. A file already in the data directory wins; the leftover copy is reported, not touched.
+ */
+export async function prepareDataDir(logger = console) {
+    await fs.mkdir(dataDir(), { recursive: true });
+    for (const name of LEGACY_DATA_FILES) {
+        const target = dataPath(name);
+        if (path.resolve(name) === path.resolve(target) || !await exists(name)) continue;
+        if (await exists(target)) {
+            logger.log(`ℹ Ignoring ./${name}: ${target} already exists`);
+            continue;
+        }
+        await fs.rename(name, target);
+        logger.log(`✓ Moved ./${name} to ${target}`);
+    }
+}
+
+// The pid of another live process holding the server lock, or null. A lock left by a server
+// that was killed names a dead process and doesn't count.
+export async function runningServer() {
+    let pid;
+    try {
+        pid = Number(await fs.readFile(dataPath(LOCK_FILE), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    if (!Number.isInteger(pid) || pid <= 0 || pid === process.pid) return null;
+    try {
+        process.kill(pid, 0);
+        return pid;
+    } catch (error) {
+        return error.code === 'EPERM' ? pid : null;
+    }
+}
+
+// Claim the data directory for this server; throws if another server holds it
+export async function acquireServerLock() {
+    const pid = await runningServer();
+    if (pid) throw new Error(`Another server (pid ${pid}) is using ${dataDir()}`);
+    await fs.writeFile(dataPath(LOCK_FILE), String(process.pid));
+}
+
+// Drop the lock if this process holds it. Synchronous so it can run in an 'exit' handler.
+export function releaseServerLock() {
+    try {
+        if (Number(readFileSync(dataPath(LOCK_FILE), 'utf-8')) === process.pid) rmSync(dataPath(LOCK_FILE));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
@@ -0,0 +1,131 @@
+import { safeUrl } from './sanitize.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Backslash-escape Markdown syntax in feed text so titles can't inject links or formatting
+export function escapeMarkdown(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').replace(/[\\`*_[\]<>|~]/g, '\\$&');
+}
+
+// Link targets are http(s) only; parentheses and spaces are percent-encoded so they can't end the link early
+function markdownUrl(url) {
+    return safeUrl(url)?.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`) ?? null;
+}
+
+const day = date => new Date(date).toISOString().slice(0, 10);
+
+function period({ since, until }) {
+    const from = new Date(since).toISOString().slice(0, 16).replace('T', ' ');
+    const to = new Date(until).toISOString().slice(0, 16).replace('T', ' ');
+    return `${from} – ${to} UTC`;
+}
+
+function summary({ stats }) {
+    return `${stats.articles} articles (${stats.stories} stories) from ${stats.sources} sources; ` +
+        `${stats.healthyFeeds} of ${stats.totalFeeds} feeds healthy`;
+}
+
+function renderMarkdown({ title, digest }) {
+    const lines = [`# ${escapeMarkdown(title)}`, '', `_${period(digest)}_ · ${summary(digest)}`, ''];
+
+    if (digest.trending.length > 0) {
+        lines.push('## Trending', '');
+        digest.trending.forEach(({ term, sources, score }) => {
+            lines.push(`- **${escapeMarkdown(term)}** — ${sources} sources, ${score}× usual`);
+        });
+        lines.push('');
+    }
+
+    digest.sections.forEach(({ interest, stories, more }) => {
+        lines.push(`## ${escapeMarkdown(interest)}`, '');
+        if (stories.length === 0) lines.push('_Nothing new._');
+        stories.forEach(({ article, alsoCoveredBy }) => {
+            const url = markdownUrl(article.url);
+            const heading = url ? `[${escapeMarkdown(article.title)}](${url})` : escapeMarkdown(article.title);
+            lines.push(`- **${heading}** — ${escapeMarkdown(article.source)}, ${day(article.pubDate)}`);
+            if (article.snippet) lines.push(`  ${escapeMarkdown(article.snippet)}`);
+            if (alsoCoveredBy.length > 0) {
+                lines.push(`  Also covered by ${alsoCoveredBy.map(other => escapeMarkdown(other.source)).join(', ')}`);
+            }
+        });
+        if (more > 0) lines.push('', `_${more} more ${more === 1 ? 'story' : 'stories'} left out._`);
+        lines.push('');
+    });
+
+    if (digest.stats.deadSources.length > 0) {
+        lines.push(`_Not updating: ${digest.stats.deadSources.map(escapeMarkdown).join(', ')}_`, '');
+    }
+    return lines.join('\n');
+}
+
+function renderHtml({ title, digest, homeUrl }) {
+    const link = (url, text) => {
+        const href = safeUrl(url);
+        return href ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+    };
+
+    const trending = digest.trending.length === 0 ? '' : `
+<h2>Trending</h2>
+<ul class="trending">
+${digest.trending.map(({ term, sources, score }) =>
+        `<li><strong>${escapeHtml(term)}</strong> — ${sources} sources, ${score}× usual</li>`).join('\n')}
+</ul>`;
+
+    const sections = digest.sections.map(({ interest, stories, more }) => `
+<h2>${escapeHtml(interest)}</h2>
+${stories.length === 0 ? '<p class="note">Nothing new.</p>' : ''}
+${stories.map(({ article, alsoCoveredBy }) => `<article>
+<h3>${link(article.url, article.title)}</h3>
+<p class="meta">${escapeHtml(article.source)} · ${day(article.pubDate)}</p>
+${article.snippet ? `<p>${escapeHtml(article.snippet)}</p>` : ''}
+${alsoCoveredBy.length ? `<p class="meta">Also covered by ${alsoCoveredBy.map(other => link(other.url, other.source)).join(', ')}</p>` : ''}
+</article>`).join('\n')}
+${more > 0 ? `<p class="note">${more} more ${more === 1 ? 'story' : 'stories'} left out.</p>` : ''}`).join('\n');
+
+    const dead = digest.stats.deadSources.length === 0 ? '' :
+        `<p class="note">Not updating: ${digest.stats.deadSources.map(escapeHtml).join(', ')}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 720px; margin: 40px auto; padding: 0 20px; color: #333; line-height: 1.5; }
+h1 { color: #667eea; margin-bottom: 4px; }
+h2 { border-bottom: 2px solid #e8eaf6; padding-bottom: 4px; margin-top: 32px; }
+h3 { margin: 16px 0 4px; font-size: 1.05em; }
+a { color: #333; }
+.meta, .note { color: #666; font-size: 0.9em; margin: 4px 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(period(digest))} · ${escapeHtml(summary(digest))}</p>
+${trending}
+${sections}
+${dead}
+<p class="note">${link(homeUrl, 'Open the news feed')}</p>
+</body>
+</html>
+`;
+}
+
+// Output formats for /digest.html and /digest.md: content type and renderer
+export const DIGEST_FORMATS = {
+    html: { type: 'text/html', render: renderHtml },
+    md: { type: 'text/markdown', render: renderMarkdown }
+};
+
+/**
+ * Render a daily digest (see RSSAggregator.dailyDigest) as a standalone HTML page or Markdown.
+ * `options` is { title, digest, homeUrl }.
+ */
+export function renderDigest(format, options) {
+    return DIGEST_FORMATS[format].render(options);
+}
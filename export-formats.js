@@ -0,0 +1,60 @@
+import { escapeMarkdown } from './digest-formats.js';
+
+// Terminal tables cut longer cells so a row fits on a line
+const MAX_TABLE_CELL = 60;
+
+// Cell text: dates as ISO timestamps, lists comma-separated, nothing for null
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+    if (Array.isArray(value)) return value.map(cellText).join(', ');
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+// RFC 4180 quoting. Cells starting with =, +, -, @ or a tab are prefixed with ' so a spreadsheet
+// opening the file treats feed text as text, never as a formula.
+function csvCell(value) {
+    const text = /^[=+\-@\t]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderTable(records, columns) {
+    const shown = columns.filter(column => !column.wide);
+    const cut = text => text.length > MAX_TABLE_CELL ? `${text.slice(0, MAX_TABLE_CELL - 1)}…` : text;
+    const rows = records.map(record => shown.map(column => cut(cellText(column.value(record)))));
+    const widths = shown.map((column, index) => Math.max(column.label.length, ...rows.map(row => row[index].length)));
+    const line = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    return [line(shown.map(column => column.label)), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n') + '\n';
+}
+
+function renderCsv(records, columns) {
+    const line = cells => cells.map(csvCell).join(',');
+    return [line(columns.map(column => column.label)), ...records.map(record =>
+        line(columns.map(column => cellText(column.value(record)))))].join('\r\n') + '\r\n';
+}
+
+function renderMarkdown(records, columns) {
+    const line = cells => `| ${cells.join(' | ')} |`;
+    return [
+        line(columns.map(column => escapeMarkdown(column.label))),
+        line(columns.map(() => '---')),
+        ...records.map(record => line(columns.map(column => escapeMarkdown(cellText(column.value(record))))))
+    ].join('\n') + '\n';
+}
+
+// Output formats for the command line: `table` for reading in a terminal, the others for scripts and files
+export const EXPORT_FORMATS = {
+    table: renderTable,
+    json: records => JSON.stringify(records, null, 2) + '\n',
+    csv: renderCsv,
+    md: renderMarkdown
+};
+
+/**
+ * Render a list of records (articles, feeds, stats) in one of EXPORT_FORMATS. `columns` is
+ * [{ label, value: record => cell, wide }]; JSON carries the whole records instead, and the
+ * terminal table leaves out `wide` columns such as URLs.
+ */
+export function renderRecords(format, records, columns) {
+    return EXPORT_FORMATS[format](records, columns);
+}
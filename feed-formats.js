@@ -0,0 +1,135 @@
+import xml2js from 'xml2js';
+
+// Articles are identified by their stable archive id, e.g. urn:news-feed:article:1a2b3c4d5e6f
+const ID_PREFIX = 'urn:news-feed:article:';
+
+const IMAGE_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml'
+};
+
+// Best guess from the file extension; feeds rarely say what their images are
+function imageType(url) {
+    try {
+        const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+        return IMAGE_TYPES[extension] || 'image/jpeg';
+    } catch {
+        return 'image/jpeg';
+    }
+}
+
+// Feed text can carry control characters that XML 1.0 forbids; the builder would throw on them
+function xmlSafe(value) {
+    if (typeof value === 'string') return value.replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '');
+    if (Array.isArray(value)) return value.map(xmlSafe);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, xmlSafe(child)]));
+    }
+    return value;
+}
+
+// The publisher's image and a guess at its type; renderFeed callers pass their own (e.g. proxied) images
+function publisherImage(article) {
+    return article.imageUrl ? { url: article.imageUrl, type: imageType(article.imageUrl) } : null;
+}
+
+function xml(rootName, root) {
+    const builder = new xml2js.Builder({ rootName, xmldec: { version: '1.0', encoding: 'UTF-8' } });
+    return builder.buildObject(xmlSafe(root));
+}
+
+function renderRss({ title, description, homeUrl, selfUrl, updated, articles, image = publisherImage }) {
+    return xml('rss', {
+        $: { version: '2.0', 'xmlns:atom': 'http://www.w3.org/2005/Atom' },
+        channel: {
+            title,
+            link: homeUrl,
+            description,
+            'atom:link': { $: { href: selfUrl, rel: 'self', type: 'application/rss+xml' } },
+            lastBuildDate: updated.toUTCString(),
+            item: articles.map(article => ({ article, picture: image(article) })).map(({ article, picture }) => ({
+                title: article.title,
+                link: article.url,
+                guid: { _: `${ID_PREFIX}${article.id}`, $: { isPermaLink: 'false' } },
+                pubDate: new Date(article.pubDate).toUTCString(),
+                description: article.snippet || '',
+                category: article.category,
+                ...(article.feedUrl && { source: { _: article.source, $: { url: article.feedUrl } } }),
+                ...(picture && { enclosure: { $: { url: picture.url, length: '0', type: picture.type } } })
+            }))
+        }
+    });
+}
+
+function renderAtom({ title, description, homeUrl, selfUrl, updated, articles, image = publisherImage }) {
+    return xml('feed', {
+        $: { xmlns: 'http://www.w3.org/2005/Atom' },
+        id: selfUrl,
+        title,
+        subtitle: description,
+        updated: updated.toISOString(),
+        link: [
+            { $: { rel: 'self', type: 'application/atom+xml', href: selfUrl } },
+            { $: { rel: 'alternate', type: 'text/html', href: homeUrl } }
+        ],
+        author: { name: title },
+        entry: articles.map(article => ({ article, picture: image(article) })).map(({ article, picture }) => ({
+            id: `${ID_PREFIX}${article.id}`,
+            title: { _: article.title, $: { type: 'text' } },
+            link: [
+                { $: { rel: 'alternate', type: 'text/html', href: article.url } },
+                ...(picture ? [{ $: { rel: 'enclosure', type: picture.type, href: picture.url } }] : [])
+            ],
+            published: new Date(article.pubDate).toISOString(),
+            updated: new Date(article.updatedAt || article.pubDate).toISOString(),
+            author: { name: article.source },
+            category: { $: { term: article.category } },
+            summary: { _: article.snippet || '', $: { type: 'text' } }
+        }))
+    });
+}
+
+function renderJsonFeed({ title, description, homeUrl, selfUrl, articles, image = publisherImage }) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title,
+        description,
+        home_page_url: homeUrl,
+        feed_url: selfUrl,
+        items: articles.map(article => ({ article, picture: image(article) })).map(({ article, picture }) => ({
+            id: `${ID_PREFIX}${article.id}`,
+            url: article.url,
+            title: article.title,
+            content_text: article.snippet || '',
+            date_published: new Date(article.pubDate).toISOString(),
+            ...(article.updatedAt && { date_modified: new Date(article.updatedAt).toISOString() }),
+            authors: [{ name: article.source }],
+            tags: [article.category],
+            ...(picture && {
+                image: picture.url,
+                attachments: [{ url: picture.url, mime_type: picture.type }]
+            })
+        }))
+    }, null, 2);
+}
+
+// Output formats for /feed.rss, /feed.atom and /feed.json: content type and renderer
+export const FEED_FORMATS = {
+    rss: { type: 'application/rss+xml', render: renderRss },
+    atom: { type: 'application/atom+xml', render: renderAtom },
+    json: { type: 'application/feed+json', render: renderJsonFeed }
+};
+
+/**
+ * Render articles as an RSS 2.0, Atom 1.0 or JSON Feed 1.1 document.
+ * `feed` is { title, description, homeUrl, selfUrl, updated, articles, image? }, where
+ * `image(article)` gives an article's { url, type } or null (default: its own imageUrl).
+ */
+export function renderFeed(format, feed) {
+    return FEED_FORMATS[format].render(feed);
+}
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import UrlGuard, { UrlGuardError } from './url-guard.js';
+import { safeUrl } from './sanitize.js';
+import { dataPath } from './data-dir.js';
+
+const CACHE_DIR = 'image-cache';
+const MAX_CACHE_BYTES = 200 * 1024 * 1024;
+const MAX_SOURCE_BYTES = 8 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+// Decompression bombs: images with more pixels than this are refused before decoding
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Output bounds (never enlarged): card thumbnails and reader-view images
+export const IMAGE_SIZES = {
+    thumb: { width: 640, height: 360 },
+    full: { width: 1200, height: 1600 }
+};
+
+// Raster formats only, by Content-Type and by what the bytes actually decode as. SVG is refused: it can carry scripts.
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'heif'];
+
+// Raised when an image can't be served; `status` maps onto the HTTP response
+export class ImageProxyError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'ImageProxyError';
+        this.status = status;
+    }
+}
+
+/**
+ * Serves article images from this server so browsers never contact publishers. Images are
+ * fetched through the URL guard, checked, resized and re-encoded as WebP, and cached on disk;
+ * the least recently used files are evicted once the cache passes maxCacheBytes.
+ *
+ * Proxy URLs are signed with an HMAC of the image URL and size, so only images the server
+ * handed out can be requested: /img is not an open proxy.
+ */
+class ImageProxy {
+    constructor(options = {}) {
+        this.urlGuard = options.urlGuard ?? new UrlGuard();
+        this.cacheDir = options.cacheDir ?? dataPath(CACHE_DIR);
+        this.maxCacheBytes = options.maxCacheBytes ?? MAX_CACHE_BYTES;
+        this.maxSourceBytes = options.maxSourceBytes ?? MAX_SOURCE_BYTES;
+        this.fetchTimeout = options.fetchTimeout ?? FETCH_TIMEOUT_MS;
+        this.logger = options.logger ?? console;
+        // Prefix for proxy URLs (the public backend URL); without a fixed secret they change on every start
+        this.baseUrl = options.baseUrl ?? '';
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+
+        // Cached file name -> size in bytes, least recently used first
+        this.entries = new Map();
+        this.cacheBytes = 0;
+        // Concurrent requests for the same uncached image share one fetch
+        this.inFlight = new Map();
+    }
+
+    // Index the files left by earlier runs, oldest first
+    async load() {
+        await fs.mkdir(this.cacheDir, { recursive: true });
+        const files = [];
+        for (const name of await fs.readdir(this.cacheDir)) {
+            if (!name.endsWith('.webp')) continue;
+            const { size, mtimeMs } = await fs.stat(path.join(this.cacheDir, name));
+            files.push({ name, size, mtimeMs });
+        }
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs).forEach(({ name, size }) => {
+            this.entries.set(name, size);
+            this.cacheBytes += size;
+        });
+        await this.evict();
+        this.logger.log(`✓ Image cache: ${this.entries.size} images (${(this.cacheBytes / 1024 / 1024).toFixed(1)} MB)`);
+    }
+
+    sign(url, size) {
+        return crypto.createHmac('sha256', this.secret).update(`${size}\n${url}`).digest('base64url').substring(0, 32);
+    }
+
+    // The proxy URL for an image, or null when there is no http(s) image
+    proxyUrl(url, size = 'thumb') {
+        const imageUrl = safeUrl(url);
+        if (!imageUrl) return null;
+        const query = new URLSearchParams({ url: imageUrl, size, sig: this.sign(imageUrl, size) });
+        return `${this.baseUrl}/img?${query}`;
+    }
+
+    /**
+     * The WebP bytes for a proxy request's query ({ url, size, sig }), from the cache or freshly
+     * fetched. Throws ImageProxyError: 400/403 for bad requests, 413/415 for unusable images,
+     * 502 when the publisher can't be reached.
+     */
+    async get({ url, size = 'thumb', sig }) {
+        if (!Object.hasOwn(IMAGE_SIZES, size)) {
+            throw new ImageProxyError(`size must be one of: ${Object.keys(IMAGE_SIZES).join(', ')}`, 400);
+        }
+        if (typeof url !== 'string' || typeof sig !== 'string') {
+            throw new ImageProxyError('url and sig are required', 400);
+        }
+        const expected = Buffer.from(this.sign(url, size));
+        const given = Buffer.from(sig);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new ImageProxyError('Invalid image signature', 403);
+        }
+
+        const file = `${crypto.createHash('sha256').update(`${size}\n${url}`).digest('hex')}.webp`;
+        if (this.entries.has(file)) {
+            try {
+                const image = await fs.readFile(path.join(this.cacheDir, file));
+                this.touch(file);
+                return image;
+            } catch {
+                this.forget(file); // Deleted behind our back; fetch it again
+            }
+        }
+
+        if (!this.inFlight.has(file)) {
+            this.inFlight.set(file, this.fetchImage(url, size, file).finally(() => this.inFlight.delete(file)));
+        }
+        return this.inFlight.get(file);
+    }
+
+    async fetchImage(url, size, file) {
+        let response;
+        try {
+            response = await this.urlGuard.fetch(url, {
+                headers: {
+                    'User-Agent': 'personal-news-feed/1.0 (image proxy)',
+                    Accept: 'image/avif, image/webp, image/png, image/jpeg, image/gif;q=0.9'
+                },
+                timeout: this.fetchTimeout
+            });
+        } catch (error) {
+            throw new ImageProxyError(`Could not fetch image: ${error.message}`, error instanceof UrlGuardError ? error.status : 502);
+        }
+        if (!response.ok) {
+            await response.body?.cancel();
+            throw new ImageProxyError(`Could not fetch image: HTTP ${response.status}`);
+        }
+
+        const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (!ACCEPTED_TYPES.includes(type)) {
+            await response.body?.cancel();
+            throw new ImageProxyError(`Not a supported image type (${type || 'none'})`, 415);
+        }
+
+        let source;
+        try {
+            source = await this.urlGuard.read(response, this.maxSourceBytes);
+        } catch (error) {
+            if (error instanceof UrlGuardError) throw new ImageProxyError(`Image is larger than ${this.maxSourceBytes} bytes`, 413);
+            throw new ImageProxyError(`Could not fetch image: ${error.message}`);
+        }
+
+        let image;
+        try {
+            const input = sharp(source, { limitInputPixels: MAX_INPUT_PIXELS });
+            const { format } = await input.metadata();
+            if (!ACCEPTED_FORMATS.includes(format)) {
+                throw new ImageProxyError(`Not a supported image format (${format})`, 415);
+            }
+            image = await input
+                .rotate() // Apply EXIF orientation before the metadata is dropped
+                .resize({ ...IMAGE_SIZES[size], fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 75 })
+                .toBuffer();
+        } catch (error) {
+            if (error instanceof ImageProxyError) throw error;
+            throw new ImageProxyError(`Could not decode image: ${error.message}`, 415);
+        }
+
+        await this.store(file, image);
+        return image;
+    }
+
+    // Write via a temp file and rename; a failed write only costs a refetch next time
+    async store(file, image) {
+        const target = path.join(this.cacheDir, file);
+        const tmpFile = `${target}.${process.pid}.tmp`;
+        try {
+            await fs.writeFile(tmpFile, image);
+            await fs.rename(tmpFile, target);
+        } catch (error) {
+            this.logger.error(`✗ Could not cache image ${file}:`, error.message);
+            return;
+        }
+        this.forget(file);
+        this.entries.set(file, image.length);
+        this.cacheBytes += image.length;
+        await this.evict();
+    }
+
+    touch(file) {
+        const size = this.entries.get(file);
+        this.entries.delete(file);
+        this.entries.set(file, size);
+    }
+
+    forget(file) {
+        if (!this.entries.has(file)) return;
+        this.cacheBytes -= this.entries.get(file);
+        this.entries.delete(file);
+    }
+
+    async evict() {
+        for (const file of this.entries.keys()) {
+            if (this.cacheBytes <= this.maxCacheBytes) break;
+            this.forget(file);
+            await fs.rm(path.join(this.cacheDir, file), { force: true });
+        }
+    }
+}
+
+export default ImageProxy;
@@ -0,0 +1,131 @@
+// Comment lines keep idle connections (and proxies in between) from timing out
+const HEARTBEAT_MS = 25 * 1000;
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 10 * 1000;
+const MAX_CLIENTS = 200;
+// So that one address can't take every stream; a few tabs or devices behind one NAT still fit
+const MAX_CLIENTS_PER_IP = 5;
+// A refresh after a long outage can add hundreds of articles; clients only need the newest
+const MAX_ARTICLES_PER_EVENT = 50;
+
+// Raised when a stream can't be opened; `status` maps onto the HTTP response
+export class LiveEventsError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LiveEventsError';
+        this.status = status;
+    }
+}
+
+/**
+ * Server-Sent Events hub. Every client hears when a refresh starts and finishes;
+ * clients that connect with interests also get the new articles matching them.
+ * Nothing is queued for disconnected clients: they reload the feed when they come back.
+ */
+class LiveEvents {
+    constructor(aggregator, options = {}) {
+        this.aggregator = aggregator;
+        this.formatArticle = options.formatArticle ?? (article => article);
+        this.maxClients = options.maxClients ?? MAX_CLIENTS;
+        this.maxClientsPerIp = options.maxClientsPerIp ?? MAX_CLIENTS_PER_IP;
+        this.logger = options.logger ?? console;
+        this.clients = new Set();
+
+        aggregator.on('refresh-start', ({ startedAt }) => this.broadcast('refresh-start', { startedAt }));
+        aggregator.on('refresh-complete', summary => {
+            // Listeners run inside the refresh; a failed announcement must not fail it
+            try {
+                this.announce(summary);
+            } catch (error) {
+                this.logger.error('✗ Live event announcement failed:', error.message);
+            }
+        });
+        aggregator.on('refresh-failed', ({ message }) => this.broadcast('refresh-failed', { message }));
+
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+        }, options.heartbeatMs ?? HEARTBEAT_MS);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Open a stream on an Express response. `interests` and `muted` have the POST /feed shape;
+     * `articleLimit()`, if given, is how many new articles the client may be sent at the moment
+     * (its reading budget). Throws QuerySyntaxError for malformed interests and LiveEventsError for
+     * a bad mute list, a full hub or a client IP (req.ip) that already has maxClientsPerIp streams open.
+     */
+    connect(req, res, { interests = [], muted = {}, articleLimit = () => Infinity } = {}) {
+        if (!Array.isArray(interests)) throw new LiveEventsError('interests must be an array');
+        interests.forEach(interest => this.aggregator.normalizeInterest(interest));
+        if (!muted || typeof muted !== 'object' || Array.isArray(muted)) throw new LiveEventsError('muted must be an object');
+        if (this.clients.size >= this.maxClients) {
+            throw new LiveEventsError('Too many open event streams', 503);
+        }
+        if (this.clientsFrom(req.ip) >= this.maxClientsPerIp) {
+            throw new LiveEventsError(`At most ${this.maxClientsPerIp} event streams per client`, 429);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const client = { res, ip: req.ip, interests, muted, articleLimit };
+        this.clients.add(client);
+        req.on('close', () => this.clients.delete(client));
+
+        const { refreshing, lastUpdate } = this.aggregator.cacheStatus();
+        this.send(client, 'status', { refreshing, lastUpdate });
+        return client;
+    }
+
+    clientsFrom(ip) {
+        let count = 0;
+        this.clients.forEach(client => {
+            if (client.ip === ip) count++;
+        });
+        return count;
+    }
+
+    send(client, event, data) {
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    broadcast(event, data) {
+        this.clients.forEach(client => this.send(client, event, data));
+    }
+
+    // After a refresh: counts for everyone, then each client's matching new articles
+    announce({ added, updated, pruned, failed, totalArticles, lastUpdate }) {
+        this.broadcast('refresh-complete', { added: added.length, updated, pruned, failed, totalArticles, lastUpdate });
+        if (added.length === 0) return;
+
+        for (const client of this.clients) {
+            if (client.interests.length === 0) continue;
+            // Nothing is held for later either: the feed page loaded once the budget allows it has them
+            const limit = Math.min(client.articleLimit(), MAX_ARTICLES_PER_EVENT);
+            if (limit <= 0) continue;
+            const matches = this.aggregator.matchingArticles(added, client);
+            if (matches.length === 0) continue;
+            this.send(client, 'new-articles', {
+                count: matches.length,
+                articles: matches.slice(0, limit).map(({ article, interest, matchedInterests }) => ({
+                    ...this.formatArticle(article),
+                    interest,
+                    matchedInterests
+                }))
+            });
+        }
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+}
+
+export default LiveEvents;
@@ -1,64 +1,348 @@
+// Bump when the saved settings shape changes, and teach migrateSettings() the old shape
+const SETTINGS_VERSION = 3;
+const INTEREST_WEIGHTS = [0.5, 1, 2, 3];
+// Reading limits; 0 turns one off. The server enforces the same rules for profiles (reading-budget.js).
+const DEFAULT_WELLBEING = { dailyArticles: 100, dailyMinutes: 60, loadMoreLimit: 3, cooldownMinutes: 15, quietHours: null };
+
 let settings = {
-    interests: [],
+    version: SETTINGS_VERSION,
+    interests: [], // { query, weight, exclude: [keywords] }
+    muted: { keywords: [], sources: [] },
     totalArticles: 10,
-    articlesPerInterest: 5
+    articlesPerInterest: 5,
+    wellbeing: { ...DEFAULT_WELLBEING }
 };
 
-let loadedArticles = new Set(); // Track article URLs to avoid duplicates
+// Signed-in server profile ({ id, name, token }); its settings are synced with /profiles/:id/settings
+let profile = JSON.parse(localStorage.getItem('newsReaderProfile') || 'null');
+let settingsSyncTimer = null;
+const SETTINGS_SYNC_DELAY = 1000;
+
+// Admin token for routes that change sources, asked for the first time the server wants one
+let adminToken = localStorage.getItem('newsReaderAdminToken') || '';
+
+let nextCursor = null; // Pagination token from the last /feed response
 let currentPage = 0;
 let isLoading = false;
 
+let sources = [];
+let editingSourceId = null; // Set while the source form is editing an existing feed
+
+// Feed filters sent with every /feed request, and facet counts from the last first-page load
+let activeFilters = { sources: [], categories: [], topics: [], sinceDays: '', hasImage: false, unreadOnly: false, sort: 'relevance' };
+let availableFacets = { sources: new Map(), categories: new Map(), topics: new Map() };
+
+// Live updates from /events: new matching articles wait here until the user asks for them
+let liveEvents = null;
+let liveEventsKey = null;
+let pendingArticles = new Map();
+
+// Today's reading in this browser, kept across reloads: { day, articleIds, activeSeconds, loadMores,
+// cooldownUntil, sessionStartedAt, lastActiveAt }. While signed in, the server's count (serverUsage) is shown.
+let usage = null;
+let serverUsage = null;
+let lastInteraction = Date.now();
+const HEARTBEAT_MS = 60 * 1000;
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
 const BACKEND_URL = window.CONFIG.BACKEND_URL;
 
-// Load settings from localStorage on page load
-function initSettings() {
+// Bring settings saved by any earlier version up to SETTINGS_VERSION
+function migrateSettings(loaded) {
+    const migrated = {
+        totalArticles: 10,
+        articlesPerInterest: 5,
+        ...loaded,
+        version: SETTINGS_VERSION
+    };
+
+    // v1: interests were plain strings and there was no mute list
+    migrated.interests = (loaded.interests || []).map(interest =>
+        typeof interest === 'string' ? { query: interest, weight: 1, exclude: [] } : {
+            query: interest.query,
+            weight: interest.weight ?? 1,
+            exclude: interest.exclude || []
+        }
+    );
+    migrated.muted = {
+        keywords: loaded.muted?.keywords || [],
+        sources: loaded.muted?.sources || []
+    };
+    // v2: no reading limits. The server counts days and quiet hours in the browser's time zone.
+    migrated.wellbeing = {
+        ...DEFAULT_WELLBEING,
+        ...loaded.wellbeing,
+        timeZone: loaded.wellbeing?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+    };
+    return migrated;
+}
+
+function applySettings(loaded) {
+    settings = migrateSettings(loaded);
+    document.getElementById('totalArticles').value = settings.totalArticles;
+    document.getElementById('articlesPerInterest').value = settings.articlesPerInterest;
+    renderWellbeing();
+    renderInterests();
+    renderMuted();
+    connectLiveEvents();
+}
+
+// Load settings from localStorage on page load, then from the signed-in profile if any
+async function initSettings() {
     const saved = localStorage.getItem('newsReaderSettings');
     if (saved) {
         try {
-            settings = JSON.parse(saved);
-            document.getElementById('totalArticles').value = settings.totalArticles;
-            document.getElementById('articlesPerInterest').value = settings.articlesPerInterest;
-            renderInterests();
+            applySettings(JSON.parse(saved));
+            storeSettingsLocally();
         } catch (e) {
             console.error('Error loading settings:', e);
         }
     }
+    renderProfile();
+    if (profile) await pullProfileSettings();
 }
 
 function addInterest() {
     const input = document.getElementById('interestInput');
-    const interest = input.value.trim();
+    const excludeInput = document.getElementById('interestExclude');
+    const query = input.value.trim();
     
-    if (interest && !settings.interests.includes(interest)) {
-        settings.interests.push(interest);
+    if (query && !settings.interests.some(i => i.query === query)) {
+        settings.interests.push({
+            query,
+            weight: parseFloat(document.getElementById('interestWeight').value) || 1,
+            exclude: excludeInput.value.split(',').map(k => k.trim()).filter(Boolean)
+        });
         input.value = '';
+        excludeInput.value = '';
         renderInterests();
         saveToLocalStorage();
     }
 }
 
-function removeInterest(interest) {
-    settings.interests = settings.interests.filter(i => i !== interest);
+function removeInterest(index) {
+    settings.interests.splice(index, 1);
     renderInterests();
     saveToLocalStorage();
 }
 
+function setInterestWeight(index, weight) {
+    settings.interests[index].weight = parseFloat(weight) || 1;
+    saveToLocalStorage();
+}
+
 function renderInterests() {
     const list = document.getElementById('interestList');
     if (settings.interests.length === 0) {
-        list.innerHTML = '<p style="color: #999; font-size: 0.9em;">No interests added yet.</p>';
+        list.replaceChildren(el('p', { class: 'empty-note' }, 'No interests added yet.'));
         return;
     }
     
-    list.innerHTML = settings.interests.map(interest => 
-        `<span class="interest-tag">${interest}<button onclick="removeInterest('${interest}')">×</button></span>`
-    ).join('');
+    list.replaceChildren(...settings.interests.map((interest, index) => el('span', { class: 'interest-tag' },
+        interest.query, ' ',
+        el('select', { class: 'interest-weight', title: 'Weight', 'data-index': index },
+            INTEREST_WEIGHTS.map(w => el('option', { value: w, selected: w === interest.weight }, `×${w}`))
+        ), ' ',
+        interest.exclude.map(k => [el('span', { class: 'interest-exclude' }, `−${k}`), ' ']),
+        el('button', { 'data-action': 'removeInterest', 'data-index': index }, '×')
+    )));
 }
 
+// Global mute list: keywords and sources hidden from every interest
+function addMute() {
+    const input = document.getElementById('muteInput');
+    const type = document.getElementById('muteType').value;
+    const value = input.value.trim();
+    
+    if (value && !settings.muted[type].includes(value)) {
+        settings.muted[type].push(value);
+        input.value = '';
+        renderMuted();
+        saveToLocalStorage();
+    }
+}
+
+function removeMute(type, index) {
+    settings.muted[type].splice(index, 1);
+    renderMuted();
+    saveToLocalStorage();
+}
+
+function renderMuted() {
+    const list = document.getElementById('muteList');
+    const tags = ['keywords', 'sources'].flatMap(type => settings.muted[type].map((value, index) =>
+        el('span', { class: 'interest-tag muted-tag' },
+            type === 'sources' ? '📰 ' : '', value,
+            el('button', { 'data-action': 'removeMute', 'data-type': type, 'data-index': index }, '×')
+        )
+    ));
+    list.replaceChildren(...(tags.length ? tags : [el('p', { class: 'empty-note' }, 'Nothing muted.')]));
+}
+
+function storeSettingsLocally() {
+    localStorage.setItem('newsReaderSettings', JSON.stringify(settings));
+}
+
+// Every settings change lands here: stored locally right away, pushed to the profile shortly after
 function saveToLocalStorage() {
     settings.totalArticles = parseInt(document.getElementById('totalArticles').value);
     settings.articlesPerInterest = parseInt(document.getElementById('articlesPerInterest').value);
-    localStorage.setItem('newsReaderSettings', JSON.stringify(settings));
+    storeSettingsLocally();
+    connectLiveEvents();
+
+    if (profile) {
+        clearTimeout(settingsSyncTimer);
+        settingsSyncTimer = setTimeout(pushProfileSettings, SETTINGS_SYNC_DELAY);
+    }
+}
+
+async function profileRequest(path, options = {}) {
+    const response = await fetch(`${BACKEND_URL}/profiles${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(profile && { Authorization: `Bearer ${profile.token}` })
+        }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        const error = new Error(data.message || `Server returned ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+// Headers and query string that name the signed-in profile, so the server applies its reading budget
+function profileHeaders() {
+    return profile ? { Authorization: `Bearer ${profile.token}` } : {};
+}
+
+function profileQuery() {
+    return profile ? `?${new URLSearchParams({ profile: profile.id })}` : '';
+}
+
+// fetch() for admin routes. On a 401 the user is asked for the server's admin token once and the request is retried.
+async function adminFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...(adminToken && { Authorization: `Bearer ${adminToken}` }) }
+    });
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    const token = prompt('This server needs its admin token (ADMIN_TOKEN) to make changes:');
+    if (!token) return response;
+    adminToken = token.trim();
+    localStorage.setItem('newsReaderAdminToken', adminToken);
+    return send();
+}
+
+// Replace local settings with the profile's; a profile without settings adopts the local ones
+async function pullProfileSettings() {
+    try {
+        const data = await profileRequest(`/${encodeURIComponent(profile.id)}/settings`);
+        if (data.settings) {
+            applySettings(data.settings);
+            storeSettingsLocally();
+        } else {
+            await pushProfileSettings();
+        }
+        serverUsage = await profileRequest(`/${encodeURIComponent(profile.id)}/usage`);
+        renderUsageBar();
+        return true;
+    } catch (error) {
+        if (error.status === 401 || error.status === 404) {
+            showMessage(`Signed out of profile "${profile.id}": ${error.message}`, 'error');
+            signOut();
+        } else {
+            showMessage(`Could not load profile settings: ${error.message}`, 'error');
+        }
+        return false;
+    }
+}
+
+async function pushProfileSettings() {
+    if (!profile) return;
+    try {
+        await profileRequest(`/${encodeURIComponent(profile.id)}/settings`, {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+    } catch (error) {
+        showMessage(`Could not sync settings to profile: ${error.message}`, 'error');
+    }
+}
+
+function setProfile(value) {
+    profile = value;
+    if (profile) {
+        localStorage.setItem('newsReaderProfile', JSON.stringify(profile));
+    } else {
+        localStorage.removeItem('newsReaderProfile');
+    }
+    renderProfile();
+    connectLiveEvents();
+}
+
+// New profiles start from the settings currently in this browser
+async function createProfile() {
+    const name = document.getElementById('profileName').value.trim();
+    if (!name) {
+        showMessage('Enter a profile name first', 'error');
+        return;
+    }
+    try {
+        const data = await profileRequest('', {
+            method: 'POST',
+            body: JSON.stringify({ name, settings })
+        });
+        setProfile({ id: data.profile.id, name: data.profile.name, token: data.token });
+        renderProfile(data.token);
+    } catch (error) {
+        showMessage(`Could not create profile: ${error.message}`, 'error');
+    }
+}
+
+async function signIn() {
+    const id = document.getElementById('profileName').value.trim().toLowerCase();
+    const token = document.getElementById('profileToken').value.trim();
+    if (!id || !token) {
+        showMessage('Enter the profile id and its token to sign in', 'error');
+        return;
+    }
+    setProfile({ id, name: id, token });
+    if (await pullProfileSettings()) {
+        showMessage(`Signed in to profile "${id}"`, 'success');
+    }
+}
+
+function signOut() {
+    clearTimeout(settingsSyncTimer);
+    setProfile(null);
+    serverUsage = null;
+    renderUsageBar();
+}
+
+// Signed-in status, or the create/sign-in form. `newToken` is shown once, right after creation.
+function renderProfile(newToken = null) {
+    const bar = document.getElementById('profileBar');
+    if (!profile) {
+        bar.replaceChildren(
+            el('input', { type: 'text', id: 'profileName', placeholder: 'Profile name (or id to sign in)' }),
+            el('input', { type: 'password', id: 'profileToken', placeholder: 'Token (to sign in)' }),
+            el('button', { 'data-action': 'createProfile' }, 'Create Profile'),
+            el('button', { class: 'btn-secondary', 'data-action': 'signIn' }, 'Sign In')
+        );
+        return;
+    }
+
+    bar.replaceChildren(
+        el('span', {}, '👤 Signed in as ', el('strong', {}, profile.name), ` (${profile.id}) — settings sync to the server`),
+        el('button', { class: 'btn-secondary', 'data-action': 'signOut' }, 'Sign Out'),
+        newToken && el('p', { class: 'profile-token' },
+            'Profile token (shown once, needed to sign in on other devices): ', el('code', {}, newToken))
+    );
 }
 
 function saveSettings() {
@@ -83,11 +367,7 @@ function loadSettings(event) {
     const reader = new FileReader();
     reader.onload = function(e) {
         try {
-            const loaded = JSON.parse(e.target.result);
-            settings = loaded;
-            document.getElementById('totalArticles').value = settings.totalArticles;
-            document.getElementById('articlesPerInterest').value = settings.articlesPerInterest;
-            renderInterests();
+            applySettings(JSON.parse(e.target.result));
             saveToLocalStorage();
             showMessage('Settings loaded successfully!', 'success');
         } catch (error) {
@@ -97,56 +377,492 @@ function loadSettings(event) {
     reader.readAsText(file);
 }
 
+/**
+ * Build a DOM element: el('a', { class: 'article-link', href: url }, 'text', child, [more children]).
+ * Attributes are set with setAttribute (true sets a boolean attribute; null, undefined and false skip it).
+ * Strings become text nodes, so feed data is never parsed as HTML; empty and false children are skipped.
+ */
+function el(tag, attributes = {}, ...children) {
+    const node = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        node.setAttribute(name, value === true ? '' : value);
+    });
+    node.append(...children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false && child !== ''));
+    return node;
+}
+
+// Only http(s) links and images are rendered; anything else (javascript:, data:, ...) is dropped
+function safeUrl(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// Sources panel: manage feeds.json through the backend /feeds API
+async function loadSources() {
+    try {
+        const response = await fetch(`${BACKEND_URL}/feeds`);
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}`);
+        }
+        const data = await response.json();
+        sources = data.feeds;
+        renderSources();
+    } catch (error) {
+        console.error('Error loading sources:', error);
+    }
+}
+
+function renderSources() {
+    const list = document.getElementById('sourceList');
+    if (sources.length === 0) {
+        list.replaceChildren(el('p', { class: 'empty-note' }, 'No sources configured yet.'));
+        return;
+    }
+
+    list.replaceChildren(...sources.map(source => el('div', { class: 'source-item' },
+        el('div', { class: 'source-info' },
+            el('strong', {}, source.source), ' ',
+            el('span', { class: 'article-tag' }, source.category), ' ',
+            source.disabled && [el('span', { class: 'source-disabled' }, 'disabled'), ' '],
+            source.fullText && [el('span', { class: 'article-tag' }, 'full text'), ' '],
+            el('span', { class: 'source-url' }, source.url)
+        ),
+        source.disabled && el('button', { 'data-action': 'enableSource', 'data-id': source.id }, 'Enable'),
+        el('button', { class: 'btn-secondary', 'data-action': 'editSource', 'data-id': source.id }, 'Edit'),
+        el('button', { class: 'btn-secondary', 'data-action': 'removeSource', 'data-id': source.id }, '×')
+    )));
+}
+
+async function saveSource() {
+    const payload = {
+        url: document.getElementById('sourceUrl').value.trim(),
+        source: document.getElementById('sourceName').value.trim(),
+        category: document.getElementById('sourceCategory').value.trim(),
+        keywords: document.getElementById('sourceKeywords').value,
+        refreshInterval: document.getElementById('sourceRefresh').value,
+        fullText: document.getElementById('sourceFullText').checked
+    };
+
+    if (!payload.url) {
+        showMessage('Please enter a feed URL.', 'error');
+        return;
+    }
+
+    const button = document.getElementById('sourceSubmit');
+    button.disabled = true;
+    button.textContent = 'Checking feed...';
+
+    try {
+        const response = await adminFetch(
+            editingSourceId ? `${BACKEND_URL}/feeds/${editingSourceId}` : `${BACKEND_URL}/feeds`,
+            {
+                method: editingSourceId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            }
+        );
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Server returned ${response.status}`);
+        }
+
+        showMessage(`Source "${data.feed.source}" ${editingSourceId ? 'updated' : 'added'}.`, 'success');
+        resetSourceForm();
+        await loadSources();
+    } catch (error) {
+        showMessage('Error saving source: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = editingSourceId ? 'Update Source' : 'Add Source';
+    }
+}
+
+function editSource(id) {
+    const source = sources.find(s => s.id === id);
+    if (!source) return;
+
+    editingSourceId = id;
+    document.getElementById('sourceUrl').value = source.url;
+    document.getElementById('sourceName').value = source.source;
+    document.getElementById('sourceCategory').value = source.category;
+    document.getElementById('sourceKeywords').value = (source.keywords || []).join(', ');
+    document.getElementById('sourceRefresh').value = source.refreshInterval || '';
+    document.getElementById('sourceFullText').checked = Boolean(source.fullText);
+    document.getElementById('sourceSubmit').textContent = 'Update Source';
+    document.getElementById('sourceCancel').classList.remove('hidden');
+}
+
+function resetSourceForm() {
+    editingSourceId = null;
+    ['sourceUrl', 'sourceName', 'sourceCategory', 'sourceKeywords', 'sourceRefresh'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('sourceFullText').checked = false;
+    document.getElementById('sourceSubmit').textContent = 'Add Source';
+    document.getElementById('sourceCancel').classList.add('hidden');
+}
+
+// Re-enable a feed that was auto-disabled after repeated failures
+async function enableSource(id) {
+    try {
+        const response = await adminFetch(`${BACKEND_URL}/feeds/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ disabled: false })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Server returned ${response.status}`);
+        }
+
+        showMessage(`Source "${data.feed.source}" re-enabled.`, 'success');
+        await loadSources();
+    } catch (error) {
+        showMessage('Error enabling source: ' + error.message, 'error');
+    }
+}
+
+async function removeSource(id) {
+    const source = sources.find(s => s.id === id);
+    if (!source || !confirm(`Remove "${source.source}" and its articles from the index?`)) return;
+
+    try {
+        const response = await adminFetch(`${BACKEND_URL}/feeds/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Server returned ${response.status}`);
+        }
+
+        if (editingSourceId === id) resetSourceForm();
+        showMessage(`Source "${source.source}" removed.`, 'success');
+        await loadSources();
+    } catch (error) {
+        showMessage('Error removing source: ' + error.message, 'error');
+    }
+}
+
+function exportOpml() {
+    window.location.href = `${BACKEND_URL}/feeds/export.opml`;
+}
+
+async function importOpml(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    showMessage(`Importing ${file.name}, checking each feed...`, 'success');
+    try {
+        const response = await adminFetch(`${BACKEND_URL}/feeds/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/x-opml' },
+            body: await file.text()
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Server returned ${response.status}`);
+        }
+
+        showMessage(`Imported ${data.added} source(s); ${data.skipped.length} skipped, ${data.invalid.length} invalid.`, 'success');
+        data.invalid.forEach(entry => {
+            showMessage(`✗ ${entry.source || entry.url || 'Unnamed outline'}: ${entry.reason}`, 'error');
+        });
+        await loadSources();
+    } catch (error) {
+        showMessage('Error importing OPML: ' + error.message, 'error');
+    }
+}
+
+// Reading limits panel in Settings
+function renderWellbeing() {
+    const { dailyArticles, dailyMinutes, loadMoreLimit, cooldownMinutes, quietHours } = settings.wellbeing;
+    document.getElementById('dailyArticles').value = dailyArticles;
+    document.getElementById('dailyMinutes').value = dailyMinutes;
+    document.getElementById('loadMoreLimit').value = loadMoreLimit;
+    document.getElementById('cooldownMinutes').value = cooldownMinutes;
+    document.getElementById('quietEnabled').checked = Boolean(quietHours);
+    document.getElementById('quietStart').value = quietHours?.start || '22:00';
+    document.getElementById('quietEnd').value = quietHours?.end || '07:00';
+}
+
+function setWellbeing() {
+    const number = id => Math.max(parseInt(document.getElementById(id).value) || 0, 0);
+    const start = document.getElementById('quietStart').value;
+    const end = document.getElementById('quietEnd').value;
+    settings.wellbeing = {
+        dailyArticles: number('dailyArticles'),
+        dailyMinutes: number('dailyMinutes'),
+        loadMoreLimit: number('loadMoreLimit'),
+        cooldownMinutes: Math.max(number('cooldownMinutes'), 1),
+        quietHours: document.getElementById('quietEnabled').checked && start && end && start !== end ? { start, end } : null,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    };
+    saveToLocalStorage();
+    renderUsageBar();
+}
+
+// Today's usage record in this browser, starting a fresh one on a new day
+function currentUsage() {
+    const day = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD, local time
+    if (!usage) usage = JSON.parse(localStorage.getItem('newsReaderUsage') || 'null');
+    if (!usage || usage.day !== day) {
+        usage = { day, articleIds: [], activeSeconds: 0, loadMores: 0, cooldownUntil: null, sessionStartedAt: null, lastActiveAt: null };
+    }
+    return usage;
+}
+
+function storeUsage() {
+    localStorage.setItem('newsReaderUsage', JSON.stringify(usage));
+}
+
+// Activity after a long enough break starts a new session (and a fresh load-more count)
+function touchSession(record, now = Date.now()) {
+    if (!record.lastActiveAt || now - record.lastActiveAt > SESSION_GAP_MS) {
+        record.sessionStartedAt = now;
+        record.loadMores = 0;
+    }
+    record.lastActiveAt = now;
+}
+
+// When quiet hours end, or null outside them
+function quietUntil(now = new Date()) {
+    const quiet = settings.wellbeing.quietHours;
+    if (!quiet) return null;
+    const minutesOf = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const start = minutesOf(quiet.start);
+    const end = minutesOf(quiet.end);
+    const inside = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+    if (!inside) return null;
+    const until = new Date(now);
+    until.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (until <= now) until.setDate(until.getDate() + 1);
+    return until;
+}
+
+// Why a feed page can't load now, as { reason, message, retryAt }, or null. Mirrors the server's check.
+function budgetBlock(loadMore = false) {
+    const record = currentUsage();
+    const { dailyArticles, dailyMinutes, quietHours } = settings.wellbeing;
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+
+    const quiet = quietUntil();
+    if (quiet) {
+        return { reason: 'quietHours', message: `Quiet hours: the feed is off until ${quietHours.end}`, retryAt: quiet };
+    }
+    if (dailyArticles > 0 && record.articleIds.length >= dailyArticles) {
+        return { reason: 'dailyArticles', message: `Daily budget of ${dailyArticles} articles used up`, retryAt: midnight };
+    }
+    if (dailyMinutes > 0 && record.activeSeconds >= dailyMinutes * 60) {
+        return { reason: 'dailyMinutes', message: `Daily budget of ${dailyMinutes} minutes used up`, retryAt: midnight };
+    }
+    if (loadMore && record.cooldownUntil > Date.now()) {
+        return { reason: 'cooldown', message: 'Cooling down after loading more several times; take a break', retryAt: new Date(record.cooldownUntil) };
+    }
+    return null;
+}
+
+// Count a page against today's budget; load-more pages count toward the cooldown
+function recordPage(articles, loadMore) {
+    const record = currentUsage();
+    const { loadMoreLimit, cooldownMinutes } = settings.wellbeing;
+    touchSession(record);
+    record.articleIds = [...new Set([...record.articleIds, ...articles.map(article => article.id)])];
+    if (loadMore && loadMoreLimit > 0 && ++record.loadMores >= loadMoreLimit) {
+        record.loadMores = 0;
+        record.cooldownUntil = Date.now() + cooldownMinutes * 60 * 1000;
+    }
+    storeUsage();
+}
+
+// Articles the daily budget still allows today
+function remainingArticles() {
+    const { dailyArticles } = settings.wellbeing;
+    return dailyArticles > 0 ? Math.max(dailyArticles - currentUsage().articleIds.length, 0) : Infinity;
+}
+
+// Today's usage: the server's count while signed in (it covers every device), this browser's otherwise
+function usageSummary() {
+    if (profile && serverUsage) return serverUsage;
+    const record = currentUsage();
+    const { loadMoreLimit } = settings.wellbeing;
+    const inSession = record.lastActiveAt && Date.now() - record.lastActiveAt <= SESSION_GAP_MS;
+    return {
+        articles: record.articleIds.length,
+        minutes: Math.floor(record.activeSeconds / 60),
+        sessionMinutes: inSession ? Math.floor((Date.now() - record.sessionStartedAt) / 60000) : 0,
+        loadMoresLeft: loadMoreLimit > 0 ? loadMoreLimit - record.loadMores : null
+    };
+}
+
+function renderUsageBar() {
+    const { dailyArticles, dailyMinutes, quietHours } = settings.wellbeing;
+    const { articles, minutes, sessionMinutes } = usageSummary();
+    const of = (used, limit, unit) => (limit > 0 ? `${used}/${limit} ${unit}` : `${used} ${unit}`);
+    document.getElementById('usageBar').replaceChildren(
+        el('span', {}, `📊 Today: ${of(articles, dailyArticles, 'articles')} · ${of(minutes, dailyMinutes, 'min')}`),
+        el('span', {}, `⏱️ Session: ${sessionMinutes} min`),
+        quietHours && el('span', {}, `🌙 Quiet hours ${quietHours.start}–${quietHours.end}`)
+    );
+}
+
+// Count a minute on the page while it is visible and in use; profiles report it to the server
+async function heartbeat() {
+    if (document.visibilityState !== 'visible' || Date.now() - lastInteraction > HEARTBEAT_MS * 2) return;
+    const wasBlocked = budgetBlock();
+    const record = currentUsage();
+    touchSession(record);
+    record.activeSeconds += HEARTBEAT_MS / 1000;
+    storeUsage();
+
+    if (profile) {
+        try {
+            serverUsage = await profileRequest(`/${encodeURIComponent(profile.id)}/usage`, {
+                method: 'POST',
+                body: JSON.stringify({ activeSeconds: HEARTBEAT_MS / 1000 })
+            });
+        } catch (error) {
+            console.error('Could not report reading time:', error.message);
+        }
+    }
+    renderUsageBar();
+
+    // The minute budget ran out while reading: no more pages until tomorrow
+    const block = budgetBlock();
+    if (block && !wasBlocked && document.getElementById('feed').dataset.view === 'feed') {
+        showBudgetBlock(block, true);
+    }
+}
+
+const BUDGET_TITLES = {
+    quietHours: '🌙 Quiet hours',
+    dailyArticles: '✅ That\'s today\'s reading',
+    dailyMinutes: '✅ That\'s today\'s reading',
+    cooldown: '☕ Time for a break'
+};
+
+// Replace the feed (or, with keepFeed, the "load more" prompt) with why reading stopped and until when
+function showBudgetBlock(block, keepFeed = false) {
+    const feed = document.getElementById('feed');
+    const retryAt = new Date(block.retryAt);
+    const time = retryAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const when = retryAt.toDateString() === new Date().toDateString() ? time : `tomorrow at ${time}`;
+    const { articles, minutes } = usageSummary();
+
+    const notice = el('div', { class: 'budget-notice' },
+        el('h3', {}, BUDGET_TITLES[block.reason] || '⏸️ Time for a break'),
+        el('p', {}, `${block.message}. The feed is back ${when}.`),
+        el('p', {}, `Today so far: ${articles} articles, ${minutes} minutes.`)
+    );
+    feed.querySelector('.doomscroll-warning')?.remove();
+    feed.querySelector('.budget-notice')?.remove();
+    if (keepFeed) {
+        feed.append(notice);
+    } else {
+        feed.replaceChildren(el('h2', {}, 'Your Feed'), notice);
+        document.getElementById('filterBar').classList.add('hidden');
+    }
+}
+
+// "No, I'm done": end the session and show today's usage instead of reloading the page
+function endSession() {
+    const record = currentUsage();
+    record.lastActiveAt = null;
+    storeUsage();
+    renderUsageBar();
+
+    const { articles, minutes } = usageSummary();
+    const feed = document.getElementById('feed');
+    feed.dataset.view = 'done';
+    document.getElementById('filterBar').classList.add('hidden');
+    feed.replaceChildren(el('div', { class: 'session-end' },
+        el('h3', {}, '👋 Done for now'),
+        el('p', {}, `Today: ${articles} articles in ${minutes} minutes. Enjoy the rest of your day.`),
+        el('button', { class: 'btn-secondary', 'data-action': 'loadFeed' }, 'Back to the feed')
+    ));
+}
+
 async function loadFeed(loadMore = false) {
     if (isLoading) return;
+    document.getElementById('feed').dataset.view = 'feed';
     
     if (settings.interests.length === 0) {
         showMessage('Please add at least one interest first!', 'error');
         return;
     }
 
+    const block = budgetBlock(loadMore);
+    if (block) {
+        showBudgetBlock(block, loadMore);
+        return;
+    }
+
     if (!loadMore) {
         currentPage = 0;
-        loadedArticles.clear();
+        nextCursor = null;
+        pendingArticles.clear(); // A fresh first page already includes them
     }
 
     isLoading = true;
     const feed = document.getElementById('feed');
     
     if (!loadMore) {
-        feed.innerHTML = '<div class="loading">Loading your personalized feed</div>';
+        feed.replaceChildren(el('div', { class: 'loading' }, 'Loading your personalized feed'));
     }
 
     try {
-        const articles = await fetchArticles();
+        const { articles, refreshing, stale } = await fetchArticles();
+        recordPage(articles, loadMore);
+        renderUsageBar();
         
         if (!loadMore) {
-            feed.innerHTML = '<h2>Your Feed</h2>';
+            connectLiveEvents(); // Reopens a stream the reading budget refused earlier
+            feed.replaceChildren(el('h2', {}, 'Your Feed'));
+            if (refreshing || stale) {
+                feed.append(el('p', { class: 'feed-updating' }, 'Updating… showing cached articles'));
+            }
         }
 
         if (articles.length === 0) {
-            feed.innerHTML += '<p style="color: #666;">No articles found. Try different interests or check if the backend server is running!</p>';
+            feed.append(el('p', { class: 'feed-note' }, 'No articles found. Try different interests or check if the backend server is running!'));
         } else {
-            articles.forEach(article => {
-                feed.innerHTML += createArticleHTML(article);
-            });
+            feed.append(...articles.map(createArticleElement));
 
-            // Add doomscroll warning
-            feed.innerHTML += `
-                <div class="doomscroll-warning">
-                    <h3>⚠️ Are you sure you want more results?</h3>
-                    <p>Don't doomscroll! Take a break and come back later.</p>
-                    <div class="warning-buttons">
-                        <button class="btn-secondary" onclick="location.reload()">No, I'm done</button>
-                        <button onclick="loadMoreArticles()">Yes, load more</button>
-                    </div>
-                </div>
-            `;
+            if (nextCursor) {
+                // Add doomscroll warning
+                const { loadMoresLeft } = usageSummary();
+                feed.append(el('div', { class: 'doomscroll-warning' },
+                    el('h3', {}, '⚠️ Are you sure you want more results?'),
+                    el('p', {}, loadMoresLeft === null
+                        ? 'Don\'t doomscroll! Take a break and come back later.'
+                        : `Don't doomscroll! ${loadMoresLeft} more ${loadMoresLeft === 1 ? 'page' : 'pages'} before a ${settings.wellbeing.cooldownMinutes}-minute break.`),
+                    el('div', { class: 'warning-buttons' },
+                        el('button', { class: 'btn-secondary', 'data-action': 'stopReading' }, 'No, I\'m done'),
+                        el('button', { 'data-action': 'loadMore' }, 'Yes, load more')
+                    )
+                ));
+            } else {
+                feed.append(el('p', { class: 'feed-end' }, 'You\'re all caught up.'));
+            }
         }
 
+        if (currentPage === 0) renderFilterChips();
         currentPage++;
     } catch (error) {
-        feed.innerHTML = `<div class="error">Error loading feed: ${error.message}. Make sure the backend server is running!</div>`;
+        if (error.budget) {
+            showBudgetBlock(error.budget, loadMore);
+        } else if (error.updating && !loadMore) {
+            // The server has no articles yet and is fetching them; try again shortly
+            feed.replaceChildren(el('div', { class: 'loading' }, 'Updating… fetching the latest articles'));
+            setTimeout(() => loadFeed(), error.retryAfter * 1000);
+        } else {
+            feed.replaceChildren(el('div', { class: 'error' }, `Error loading feed: ${error.message}. Make sure the backend server is running!`));
+        }
     }
 
     isLoading = false;
@@ -160,78 +876,375 @@ async function loadMoreArticles() {
     await loadFeed(true);
 }
 
+// One POST /feed per page: the server merges, dedupes and interleaves the interests.
+// Signed-in profiles send their token so the server applies (and counts) their reading budget.
 async function fetchArticles() {
-    const articlesPerInterest = settings.articlesPerInterest;
-    const allArticles = [];
+    const response = await fetch(`${BACKEND_URL}/feed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...profileHeaders() },
+        body: JSON.stringify({
+            interests: settings.interests,
+            muted: settings.muted,
+            articlesPerInterest: settings.articlesPerInterest,
+            totalArticles: Math.min(settings.totalArticles, remainingArticles()),
+            cursor: nextCursor,
+            profile: profile?.id,
+            ...filterBody()
+        })
+    });
+    const data = await response.json();
 
-    for (const interest of settings.interests) {
-        try {
-            const offset = currentPage * articlesPerInterest;
-            const response = await fetch(`${BACKEND_URL}/search?q=${encodeURIComponent(interest)}&limit=${articlesPerInterest}&offset=${offset}`);
-            
-            if (!response.ok) {
-                throw new Error(`Server returned ${response.status}`);
-            }
+    if (response.status === 429 && data.reason) {
+        const error = new Error(data.message);
+        error.budget = data;
+        throw error;
+    }
+    if (data.usage) serverUsage = data.usage;
 
-            const data = await response.json();
-            
-            // Process search results
-            let added = 0;
-            for (const article of data.articles) {
-                if (added >= articlesPerInterest) break;
-                
-                // Skip if we've already loaded this article
-                if (loadedArticles.has(article.url)) continue;
-                
-                allArticles.push({
-                    title: article.title,
-                    url: article.url,
-                    snippet: article.snippet || 'No description available',
-                    interest: interest,
-                    source: article.source,
-                    category: article.category,
-                    pubDate: article.pubDate,
-                    imageUrl: article.imageUrl || null
-                });
-                
-                loadedArticles.add(article.url);
-                added++;
-            }
-        } catch (error) {
-            console.error(`Error fetching articles for ${interest}:`, error);
-            showMessage(`Failed to fetch articles for "${interest}". Is the backend running?`, 'error');
-        }
+    if (response.status === 503 && data.refreshing) {
+        const error = new Error(data.error);
+        error.updating = true;
+        error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 5;
+        throw error;
+    }
+    if (!response.ok) {
+        throw new Error(data.message || data.error || `Server returned ${response.status}`);
+    }
+
+    data.errors.forEach(({ interest, message }) => {
+        showMessage(`Interest "${interest}" is not a valid query: ${message}`, 'error');
+    });
+
+    if (currentPage === 0) {
+        availableFacets = {
+            sources: new Map(data.facets.sources.map(({ value, count }) => [value, count])),
+            categories: new Map(data.facets.categories.map(({ value, count }) => [value, count])),
+            topics: new Map(data.facets.topics.map(({ value, count }) => [value, count]))
+        };
+    }
+    nextCursor = data.nextCursor;
+
+    return {
+        refreshing: data.refreshing,
+        stale: data.stale,
+        articles: data.articles.map(article => ({
+            ...article,
+            snippet: article.snippet || 'No description available'
+        }))
+    };
+}
+
+// Active filters in the shape POST /feed expects
+function filterBody() {
+    const body = { sort: activeFilters.sort };
+    if (activeFilters.sources.length) body.source = activeFilters.sources.join(',');
+    if (activeFilters.categories.length) body.category = activeFilters.categories.join(',');
+    if (activeFilters.topics.length) body.topic = activeFilters.topics.join(',');
+    if (activeFilters.sinceDays) {
+        body.since = new Date(Date.now() - activeFilters.sinceDays * 24 * 60 * 60 * 1000).toISOString();
     }
+    if (activeFilters.hasImage) body.hasImage = 'true';
+    if (activeFilters.unreadOnly) body.unread = 'true';
+    return body;
+}
+
+function renderFilterChips() {
+    const bar = document.getElementById('filterBar');
+    const chip = (facet, value, label, active) =>
+        el('button', { class: `filter-chip${active ? ' active' : ''}`, 'data-facet': facet, 'data-value': value }, label);
 
-    // Shuffle and limit to total articles
-    const shuffled = allArticles.sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, settings.totalArticles);
+    const facetChips = facet => {
+        const values = new Map(availableFacets[facet]);
+        activeFilters[facet].forEach(value => { if (!values.has(value)) values.set(value, 0); });
+        return [...values]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 12)
+            .map(([value, count]) => chip(facet, value, `${value} (${count})`, activeFilters[facet].includes(value)));
+    };
+
+    const since = el('select', { id: 'sinceFilter' },
+        [['', 'Any time'], ['1', 'Past day'], ['7', 'Past week'], ['30', 'Past month']]
+            .map(([value, label]) => el('option', { value }, label))
+    );
+    since.value = activeFilters.sinceDays;
+
+    bar.replaceChildren(
+        el('div', { class: 'filter-row' },
+            chip('sort', 'relevance', 'Most relevant', activeFilters.sort === 'relevance'),
+            chip('sort', 'date', 'Newest', activeFilters.sort === 'date'),
+            chip('hasImage', 'true', '📷 With images', activeFilters.hasImage),
+            chip('unreadOnly', 'true', '✉️ Unread only', activeFilters.unreadOnly),
+            since
+        ),
+        el('div', { class: 'filter-row' }, facetChips('sources')),
+        el('div', { class: 'filter-row' }, facetChips('categories')),
+        el('div', { class: 'filter-row' }, facetChips('topics'))
+    );
+    bar.classList.remove('hidden');
+}
+
+function toggleFilter(facet, value) {
+    if (facet === 'sort') {
+        activeFilters.sort = value;
+    } else if (facet === 'hasImage' || facet === 'unreadOnly') {
+        activeFilters[facet] = !activeFilters[facet];
+    } else {
+        const values = activeFilters[facet];
+        activeFilters[facet] = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+    }
+    loadFeed();
 }
 
-function createArticleHTML(article) {
+// Article cards are built node by node: feed text is only ever set as text, and links are http(s) only
+function createArticleElement(article) {
     const pubDate = article.pubDate ? new Date(article.pubDate).toLocaleDateString() : '';
-    
-    // Create image HTML if image exists
-    const imageHTML = article.imageUrl 
-        ? `<div class="article-image">
-               <img src="${article.imageUrl}" alt="${article.title}" onerror="this.parentElement.style.display='none'">
-           </div>`
-        : '';
-    
-    return `
-        <div class="article">
-            ${imageHTML}
-            <div class="article-content">
-                <h3><a href="${article.url}" target="_blank">${article.title}</a></h3>
-                <div class="article-snippet">${article.snippet}</div>
-                <div class="article-meta">
-                    <span class="article-tag">${article.interest}</span>
-                    <span>${article.source}</span>
-                    ${pubDate ? `<span>• ${pubDate}</span>` : ''}
-                </div>
-            </div>
-        </div>
-    `;
+    const url = safeUrl(article.url);
+    const imageUrl = article.imageUrl && safeUrl(article.imageUrl);
+    // Grouped card: the same story from other outlets
+    const coverage = (article.alsoCoveredBy || []).filter(other => safeUrl(other.url));
+
+    const card = el('div', {
+        class: ['article', coverage.length && 'article-grouped', article.read && 'article-read'].filter(Boolean).join(' '),
+        'data-id': article.id
+    });
+
+    if (imageUrl) {
+        const image = el('img', { src: imageUrl, alt: article.title });
+        // error doesn't bubble, so broken images can't be handled by a delegated listener
+        image.addEventListener('error', () => image.parentElement.classList.add('hidden'));
+        card.append(el('div', { class: 'article-image' }, image));
+    }
+
+    card.append(el('div', { class: 'article-content' },
+        el('h3', {}, url
+            ? el('a', { href: url, target: '_blank', rel: 'noopener noreferrer', class: 'article-link' }, article.title)
+            : article.title),
+        el('div', { class: 'article-snippet' }, article.snippet),
+        el('div', { class: 'article-meta' },
+            article.interest && el('span', { class: 'article-tag' }, article.interest),
+            // Topic tags filter the feed by that topic
+            (article.topics || []).map(topic => el('button', {
+                class: `article-tag article-topic${activeFilters.topics.includes(topic) ? ' active' : ''}`,
+                'data-action': 'filterTopic',
+                'data-topic': topic,
+                title: `Only show articles about ${topic}`
+            }, topic)),
+            el('span', {}, article.source),
+            pubDate && el('span', {}, `• ${pubDate}`)
+        ),
+        coverage.length > 0 && el('div', { class: 'article-coverage' }, 'Also covered by: ',
+            coverage.map((other, index) => [
+                index > 0 && ', ',
+                el('a', { href: safeUrl(other.url), target: '_blank', rel: 'noopener noreferrer', title: other.title }, other.source)
+            ])
+        ),
+        el('div', { class: 'article-actions' }, articleActions(article))
+    ));
+    return card;
+}
+
+function articleActions(article) {
+    return [
+        el('button', { class: 'article-action', 'data-state': 'saved', 'data-value': String(!article.saved) },
+            article.saved ? '🔖 Saved' : '🔖 Save for later'),
+        el('button', { class: 'article-action', 'data-state': 'read', 'data-value': String(!article.read) },
+            article.read ? 'Mark unread' : 'Mark read'),
+        el('button', { class: 'article-action', 'data-state': 'hidden', 'data-value': 'true' }, 'Hide'),
+        el('button', { class: 'article-reader' }, '📖 Reader view')
+    ];
+}
+
+// Reader content is sanitized by the server. It is still parsed inertly and stripped of anything
+// executable before it reaches the page, in case an older or imported archive slipped through.
+function readerContent(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.body.querySelectorAll('script, style, iframe, frame, object, embed, form, link, meta, base').forEach(node => node.remove());
+    doc.body.querySelectorAll('*').forEach(node => {
+        [...node.attributes].forEach(({ name, value }) => {
+            const unsafeUrl = ['href', 'src'].includes(name) && !safeUrl(value);
+            if (name.startsWith('on') || name === 'style' || name === 'srcset' || unsafeUrl) node.removeAttribute(name);
+        });
+    });
+    return el('div', { class: 'reader-content' }, [...doc.body.childNodes]);
+}
+
+// Reader view: the article's extracted content in a modal
+async function openReader(card) {
+    const modal = document.getElementById('readerModal');
+    const body = document.getElementById('readerBody');
+    body.replaceChildren(el('div', { class: 'loading' }, 'Loading article'));
+    modal.classList.remove('hidden');
+    document.body.classList.add('reader-open');
+
+    if (!card.classList.contains('article-read')) updateArticleState(card, { read: true });
+
+    try {
+        const response = await fetch(`${BACKEND_URL}/articles/${encodeURIComponent(card.dataset.id)}/content${profileQuery()}`, {
+            headers: profileHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Server returned ${response.status}`);
+        }
+
+        const pubDate = data.pubDate ? new Date(data.pubDate).toLocaleDateString() : '';
+        const url = safeUrl(data.url);
+        body.replaceChildren(
+            el('h1', { id: 'readerTitle' }, data.title),
+            el('div', { class: 'article-meta' },
+                el('span', {}, data.source),
+                data.byline && el('span', {}, `• ${data.byline}`),
+                pubDate && el('span', {}, `• ${pubDate}`)
+            ),
+            !data.extracted && el('p', { class: 'feed-updating' },
+                `Full text unavailable${data.extractionError ? ` (${data.extractionError})` : ''}; showing the feed's summary.`),
+            readerContent(data.content),
+            url && el('p', {}, el('a', { href: url, target: '_blank', rel: 'noopener noreferrer' }, `Read on ${data.source} →`))
+        );
+    } catch (error) {
+        body.replaceChildren(el('div', { class: 'error' }, `Error loading article: ${error.message}`));
+    }
+}
+
+function closeReader() {
+    document.getElementById('readerModal').classList.add('hidden');
+    document.body.classList.remove('reader-open');
+    document.getElementById('readerBody').replaceChildren();
+}
+
+// Read, saved and hidden flags live on the server so they survive reloads
+async function setArticleState(id, changes) {
+    const response = await fetch(`${BACKEND_URL}/articles/${encodeURIComponent(id)}/state`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || `Server returned ${response.status}`);
+    }
+    return data;
+}
+
+async function updateArticleState(card, changes) {
+    try {
+        const state = await setArticleState(card.dataset.id, changes);
+        const view = document.getElementById('feed').dataset.view;
+        if (state.hidden || (view === 'saved' && !state.saved)) {
+            card.remove();
+            return;
+        }
+        card.classList.toggle('article-read', state.read);
+        card.querySelector('.article-actions').replaceChildren(...articleActions(state));
+    } catch (error) {
+        showMessage(`Could not update article: ${error.message}`, 'error');
+    }
+}
+
+async function showSaved() {
+    const feed = document.getElementById('feed');
+    feed.dataset.view = 'saved';
+    feed.replaceChildren(el('div', { class: 'loading' }, 'Loading saved articles'));
+    document.getElementById('filterBar').classList.add('hidden');
+
+    try {
+        const response = await fetch(`${BACKEND_URL}/articles/saved${profileQuery()}`, { headers: profileHeaders() });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Server returned ${response.status}`);
+        }
+
+        feed.replaceChildren(el('h2', {}, 'Saved for Later'));
+        if (data.articles.length === 0) {
+            feed.append(el('p', { class: 'feed-note' }, 'Nothing saved yet. Use "Save for later" on any article.'));
+        }
+        feed.append(...data.articles.map(article =>
+            createArticleElement({ ...article, snippet: article.snippet || 'No description available' })
+        ));
+    } catch (error) {
+        feed.replaceChildren(el('div', { class: 'error' }, `Error loading saved articles: ${error.message}`));
+    }
+}
+
+// The daily digest for the current interests; trends are shown as topic filters for the feed
+async function showDigest() {
+    if (settings.interests.length === 0) {
+        showMessage('Please add at least one interest first!', 'error');
+        return;
+    }
+    const feed = document.getElementById('feed');
+    feed.dataset.view = 'digest';
+    feed.replaceChildren(el('div', { class: 'loading' }, 'Building your digest'));
+    document.getElementById('filterBar').classList.add('hidden');
+
+    try {
+        const response = await fetch(`${BACKEND_URL}/digest`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...profileHeaders() },
+            body: JSON.stringify({ interests: settings.interests, muted: settings.muted, profile: profile?.id })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error || `Server returned ${response.status}`);
+        }
+
+        const { stats } = data;
+        feed.replaceChildren(
+            el('h2', {}, 'Daily Digest'),
+            el('p', { class: 'feed-note' },
+                `Last 24 hours: ${stats.articles} articles (${stats.stories} stories) from ${stats.sources} sources.`),
+            el('div', { class: 'digest-downloads' },
+                el('button', { class: 'btn-secondary', 'data-action': 'downloadDigest', 'data-format': 'html' }, '⬇️ HTML'),
+                el('button', { class: 'btn-secondary', 'data-action': 'downloadDigest', 'data-format': 'md' }, '⬇️ Markdown')
+            ),
+            data.trending.length > 0 && el('div', { class: 'digest-trending' }, 'Trending: ',
+                data.trending.map(({ term, sources }) => el('button', {
+                    class: 'article-tag article-topic',
+                    'data-action': 'filterTopic',
+                    'data-topic': term,
+                    title: `${sources} sources; show matching articles in the feed`
+                }, term))
+            )
+        );
+        data.errors.forEach(({ interest, message }) => {
+            showMessage(`Interest "${interest}" is not a valid query: ${message}`, 'error');
+        });
+        data.sections.forEach(({ interest, articles, more }) => {
+            feed.append(el('h3', { class: 'digest-interest' }, interest));
+            if (articles.length === 0) feed.append(el('p', { class: 'empty-note' }, 'Nothing new.'));
+            feed.append(...articles.map(article =>
+                createArticleElement({ ...article, snippet: article.snippet || 'No description available' })
+            ));
+            if (more > 0) feed.append(el('p', { class: 'empty-note' }, `${more} more ${more === 1 ? 'story' : 'stories'} left out.`));
+        });
+        feed.append(el('div', { class: 'feed-end' }, "That's the digest. See you tomorrow!"));
+    } catch (error) {
+        feed.replaceChildren(el('div', { class: 'error' }, `Error loading digest: ${error.message}`));
+    }
+}
+
+async function downloadDigest(format) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/digest.${format}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...profileHeaders() },
+            body: JSON.stringify({ interests: settings.interests, muted: settings.muted, profile: profile?.id })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || data.error || `Server returned ${response.status}`);
+        }
+
+        const name = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1];
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name || `news-digest.${format}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showMessage(`Could not download digest: ${error.message}`, 'error');
+    }
 }
 
 function showMessage(message, type) {
@@ -244,6 +1257,101 @@ function showMessage(message, type) {
     setTimeout(() => msgDiv.remove(), 5000);
 }
 
+// (Re)open the /events stream whenever interests, mutes or the profile change. A profile's stream
+// follows its reading budget; one refused (quiet hours, budget used up) is retried on the next feed load.
+function connectLiveEvents() {
+    const key = JSON.stringify([settings.interests, settings.muted, profile?.id]);
+    if (key === liveEventsKey) return;
+    liveEventsKey = key;
+    if (liveEvents) liveEvents.close();
+    liveEvents = null;
+    if (settings.interests.length === 0 || !window.EventSource) return;
+
+    const params = new URLSearchParams({ interests: JSON.stringify(settings.interests), muted: JSON.stringify(settings.muted) });
+    if (profile) {
+        params.set('profile', profile.id);
+        params.set('token', profile.token);
+    }
+    liveEvents = new EventSource(`${BACKEND_URL}/events?${params}`);
+    liveEvents.addEventListener('error', () => {
+        if (liveEvents?.readyState === EventSource.CLOSED) liveEventsKey = null;
+    });
+    liveEvents.addEventListener('refresh-start', () => setUpdatingNote(true));
+    liveEvents.addEventListener('refresh-complete', () => setUpdatingNote(false));
+    liveEvents.addEventListener('refresh-failed', () => setUpdatingNote(false));
+    liveEvents.addEventListener('new-articles', event => {
+        const { articles } = JSON.parse(event.data);
+        articles.forEach(article => {
+            if (!document.querySelector(`#feed .article[data-id="${CSS.escape(article.id)}"]`)) {
+                pendingArticles.set(article.id, article);
+            }
+        });
+        renderNewArticlesBanner();
+    });
+}
+
+// Small "Updating…" note under the feed heading while the server refreshes
+function setUpdatingNote(updating) {
+    const feed = document.getElementById('feed');
+    const heading = feed.querySelector('h2');
+    const note = feed.querySelector('.feed-updating');
+    if (!updating) {
+        if (note) note.remove();
+        return;
+    }
+    if (note || !heading || feed.dataset.view !== 'feed') return;
+    heading.after(el('p', { class: 'feed-updating' }, 'Updating… fetching the latest articles'));
+}
+
+// New articles are never inserted on their own; the banner says how many are waiting
+function renderNewArticlesBanner() {
+    const feed = document.getElementById('feed');
+    const heading = feed.querySelector('h2');
+    if (pendingArticles.size === 0 || !heading || feed.dataset.view !== 'feed') return;
+
+    let banner = document.getElementById('newArticlesBanner');
+    if (!banner) {
+        banner = el('button', { id: 'newArticlesBanner', class: 'new-articles-banner' });
+        heading.after(banner);
+    }
+    banner.textContent = `${pendingArticles.size} new article${pendingArticles.size === 1 ? '' : 's'} — show`;
+}
+
+function showNewArticles() {
+    const banner = document.getElementById('newArticlesBanner');
+    if (!banner) return;
+    const block = budgetBlock();
+    if (block) {
+        banner.remove();
+        showBudgetBlock(block, true);
+        return;
+    }
+    // Only as many as the day's budget still allows, newest first; the rest come with the next feed page
+    const articles = [...pendingArticles.values()]
+        .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+        .slice(0, remainingArticles());
+    recordPage(articles, false);
+    reportShownArticles(articles);
+    renderUsageBar();
+    banner.after(...articles.map(article => createArticleElement({ ...article, snippet: article.snippet || 'No description available' })));
+    banner.remove();
+    pendingArticles.clear();
+}
+
+// Articles shown without a feed request still count against a profile's budget on the server
+async function reportShownArticles(articles) {
+    if (!profile || articles.length === 0) return;
+    try {
+        serverUsage = await profileRequest(`/${encodeURIComponent(profile.id)}/usage`, {
+            method: 'POST',
+            body: JSON.stringify({ articleIds: articles.map(article => article.id) })
+        });
+        renderUsageBar();
+    } catch (error) {
+        console.error('Could not report shown articles:', error.message);
+    }
+}
+
 // Check backend connection on load
 async function checkBackend() {
     try {
@@ -251,7 +1359,15 @@ async function checkBackend() {
         if (response.ok) {
             const stats = await response.json();
             console.log('✓ Backend connected:', stats);
-            showMessage(`Backend ready! ${stats.totalArticles} articles indexed from ${stats.totalFeeds} sources.`, 'success');
+            if (stats.refreshing && stats.totalArticles === 0) {
+                showMessage(`Backend is fetching articles from ${stats.totalFeeds} sources. Updating…`, 'success');
+            } else {
+                showMessage(`Backend ready! ${stats.totalArticles} articles indexed from ${stats.totalFeeds} sources.`, 'success');
+                if (stats.refreshing) showMessage('Updating… showing cached articles until the refresh finishes', 'success');
+            }
+            if (stats.deadSources?.length > 0) {
+                showMessage(`⚠️ ${stats.deadSources.length} source(s) failing or disabled: ${stats.deadSources.join(', ')}`, 'error');
+            }
         }
     } catch (error) {
         console.error('Backend connection failed:', error);
@@ -259,6 +1375,105 @@ async function checkBackend() {
     }
 }
 
+// Buttons name their handler in data-action; there are no inline onclick attributes,
+// which the Content-Security-Policy would block anyway
+const ACTIONS = {
+    addInterest,
+    addMute,
+    saveSettings,
+    exportOpml,
+    showSaved,
+    showDigest,
+    saveSource,
+    resetSourceForm,
+    createProfile,
+    signIn,
+    signOut,
+    loadFeed: () => loadFeed(),
+    loadMore: loadMoreArticles,
+    stopReading: endSession,
+    openFile: button => document.getElementById(button.dataset.input).click(),
+    removeInterest: button => removeInterest(Number(button.dataset.index)),
+    removeMute: button => removeMute(button.dataset.type, Number(button.dataset.index)),
+    editSource: button => editSource(button.dataset.id),
+    enableSource: button => enableSource(button.dataset.id),
+    removeSource: button => removeSource(button.dataset.id),
+    filterTopic: button => toggleFilter('topics', button.dataset.topic),
+    downloadDigest: button => downloadDigest(button.dataset.format)
+};
+
+document.addEventListener('click', function(e) {
+    const button = e.target.closest('[data-action]');
+    if (button && ACTIONS[button.dataset.action]) {
+        ACTIONS[button.dataset.action](button);
+    }
+});
+
+document.getElementById('interestList').addEventListener('change', function(e) {
+    if (e.target.classList.contains('interest-weight')) {
+        setInterestWeight(Number(e.target.dataset.index), e.target.value);
+    }
+});
+
+document.getElementById('wellbeingSettings').addEventListener('change', setWellbeing);
+
+// Reading time only counts while someone is actually using the page
+['pointerdown', 'keydown', 'scroll', 'wheel'].forEach(type => {
+    document.addEventListener(type, () => { lastInteraction = Date.now(); }, { passive: true });
+});
+setInterval(heartbeat, HEARTBEAT_MS);
+
+document.getElementById('fileInput').addEventListener('change', loadSettings);
+document.getElementById('opmlInput').addEventListener('change', importOpml);
+
+// Filter chips are re-rendered on every load, so listen on the bar
+document.getElementById('filterBar').addEventListener('click', function(e) {
+    const chip = e.target.closest('.filter-chip');
+    if (chip) {
+        toggleFilter(chip.dataset.facet, chip.dataset.value);
+    }
+});
+
+document.getElementById('filterBar').addEventListener('change', function(e) {
+    if (e.target.id === 'sinceFilter') {
+        activeFilters.sinceDays = e.target.value;
+        loadFeed();
+    }
+});
+
+// Article cards are re-rendered on every load, so listen on the feed
+document.getElementById('feed').addEventListener('click', function(e) {
+    if (e.target.closest('#newArticlesBanner')) {
+        showNewArticles();
+        return;
+    }
+
+    const card = e.target.closest('.article');
+    if (!card) return;
+
+    const action = e.target.closest('.article-action');
+    if (e.target.closest('.article-reader')) {
+        openReader(card);
+    } else if (action) {
+        updateArticleState(card, { [action.dataset.state]: action.dataset.value === 'true' });
+    } else if (e.target.closest('.article-link') && !card.classList.contains('article-read')) {
+        updateArticleState(card, { read: true });
+    }
+});
+
+// Close the reader on the × button, a click outside the dialog, or Escape
+document.getElementById('readerModal').addEventListener('click', function(e) {
+    if (e.target === this || e.target.closest('#readerClose')) {
+        closeReader();
+    }
+});
+
+document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && !document.getElementById('readerModal').classList.contains('hidden')) {
+        closeReader();
+    }
+});
+
 // Allow Enter key to add interests
 document.getElementById('interestInput').addEventListener('keypress', function(e) {
     if (e.key === 'Enter') {
@@ -266,6 +1481,16 @@ document.getElementById('interestInput').addEventListener('keypress', function(e
     }
 });
 
+document.getElementById('muteInput').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+        addMute();
+    }
+});
+
 // Initialize on page load
+renderMuted();
+renderWellbeing();
+renderUsageBar();
 initSettings();
 checkBackend();
+loadSources();
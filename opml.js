@@ -0,0 +1,104 @@
+import xml2js from 'xml2js';
+
+// Raised for documents that are not OPML; `status` maps onto the HTTP response
+export class OpmlError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OpmlError';
+        this.status = status;
+    }
+}
+
+// OPML 2.0 `category` is a comma-separated list of slash paths, e.g. "/Tech/AI,/News"
+function categoryTags(value) {
+    return String(value || '')
+        .split(',')
+        .flatMap(path => path.split('/'))
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Serialize feed entries as OPML 2.0, one folder outline per category.
+ * Keywords, fullText, refreshInterval and disabled are written to non-standard attributes of
+ * the same names so a round trip keeps them.
+ */
+export function buildOpml(feeds, title = 'Personal News Feed sources') {
+    const byCategory = new Map();
+    feeds.forEach(feed => {
+        if (!byCategory.has(feed.category)) byCategory.set(feed.category, []);
+        byCategory.get(feed.category).push(feed);
+    });
+
+    const folders = [...byCategory].map(([category, entries]) => ({
+        $: { text: category, title: category },
+        outline: entries.map(feed => ({
+            $: {
+                type: 'rss',
+                text: feed.source,
+                title: feed.source,
+                xmlUrl: feed.url,
+                category: `/${category}`,
+                ...(feed.keywords?.length && { keywords: feed.keywords.join(',') }),
+                ...(feed.fullText && { fullText: 'true' }),
+                ...(feed.refreshInterval && { refreshInterval: String(feed.refreshInterval) }),
+                ...(feed.disabled && { disabled: 'true' })
+            }
+        }))
+    }));
+
+    const builder = new xml2js.Builder({ rootName: 'opml', xmldec: { version: '1.0', encoding: 'UTF-8' } });
+    return builder.buildObject({
+        $: { version: '2.0' },
+        head: { title, dateCreated: new Date().toUTCString() },
+        body: { outline: folders }
+    });
+}
+
+/**
+ * Parse an OPML document into feed entries ({ url, source, category, keywords }, plus fullText,
+ * refreshInterval and disabled when the outline carries them; addFeed validates their values).
+ * Folder outlines name the category of the feeds inside them (the innermost folder wins),
+ * falling back to the outline's own `category` attribute. Outlines that are neither feeds
+ * nor folders are reported in `skipped`. Throws OpmlError when the document is not OPML.
+ */
+export async function parseOpml(xml) {
+    if (typeof xml !== 'string' || !xml.trim()) throw new OpmlError('Request body must be an OPML document');
+
+    let document;
+    try {
+        document = await xml2js.parseStringPromise(xml, { explicitArray: true });
+    } catch (error) {
+        throw new OpmlError(`Invalid OPML: ${error.message.split('\n')[0]}`);
+    }
+    const body = document?.opml?.body?.[0];
+    if (!body) throw new OpmlError('Invalid OPML: missing <opml> or <body> element');
+
+    const entries = [];
+    const skipped = [];
+    const walk = (outlines, folder) => {
+        for (const outline of outlines || []) {
+            const attrs = outline.$ || {};
+            const text = attrs.title || attrs.text || '';
+            if (attrs.xmlUrl) {
+                const tags = categoryTags(attrs.category);
+                entries.push({
+                    url: attrs.xmlUrl,
+                    source: text,
+                    category: folder || tags[0] || 'general',
+                    keywords: attrs.keywords !== undefined ? attrs.keywords : tags.filter(tag => tag !== (folder || tags[0])),
+                    ...(attrs.fullText !== undefined && { fullText: attrs.fullText }),
+                    ...(attrs.refreshInterval !== undefined && { refreshInterval: attrs.refreshInterval }),
+                    ...(attrs.disabled !== undefined && { disabled: attrs.disabled })
+                });
+            } else if (outline.outline) {
+                walk(outline.outline, text.trim().toLowerCase() || folder);
+            } else {
+                skipped.push({ text, reason: 'Outline has no xmlUrl' });
+            }
+        }
+    };
+    walk(body.outline, null);
+
+    return { entries, skipped };
+}
@@ -0,0 +1,151 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { dataPath } from './data-dir.js';
+
+const PROFILES_FILE = 'profiles.json';
+
+// Limits for a small self-hosted instance
+const MAX_PROFILES = 100;
+const MAX_NAME_LENGTH = 40;
+
+// Raised for bad profile requests; `status` maps onto the HTTP response
+export class ProfileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ProfileError';
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Local profiles, each with its own settings and a bearer token. Only token hashes are stored.
+class ProfileStore {
+    constructor(options = {}) {
+        this.file = options.file ?? dataPath(PROFILES_FILE);
+        this.logger = options.logger ?? console;
+        this.profiles = new Map();
+        this.write = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+            this.profiles = new Map((parsed.profiles || []).map(profile => [profile.id, profile]));
+            this.logger.log(`✓ Loaded ${this.profiles.size} profiles`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Error loading ${this.file}:`, error.message);
+                throw error;
+            }
+        }
+    }
+
+    // Write the profiles file via a temp file and rename; writes are chained so they land in order
+    save() {
+        const write = async () => {
+            const tmpFile = `${this.file}.${process.pid}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify({ profiles: [...this.profiles.values()] }, null, 2));
+            await fs.rename(tmpFile, this.file);
+        };
+        this.write = this.write.then(write, write);
+        return this.write;
+    }
+
+    // Public view of a profile: never includes the token hash or settings
+    summary(profile) {
+        return { id: profile.id, name: profile.name, createdAt: profile.createdAt, updatedAt: profile.updatedAt };
+    }
+
+    list() {
+        return [...this.profiles.values()].map(profile => this.summary(profile));
+    }
+
+    // Public view of one profile, or null when there is none
+    get(id) {
+        const profile = this.profiles.get(id);
+        return profile ? this.summary(profile) : null;
+    }
+
+    // Profile ids are slugs of the name, e.g. "Data Team" -> "data-team"
+    slug(name) {
+        return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Create a profile and return { profile, token }. The token is only ever returned here;
+     * it is needed to read or change the profile's settings.
+     */
+    async create({ name, settings = null } = {}) {
+        if (typeof name !== 'string' || !name.trim()) throw new ProfileError('name is required');
+        name = name.trim();
+        if (name.length > MAX_NAME_LENGTH) throw new ProfileError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+        const id = this.slug(name);
+        if (!id) throw new ProfileError('name must contain letters or digits');
+        if (this.profiles.has(id)) throw new ProfileError(`Profile already exists: ${id}`, 409);
+        if (this.profiles.size >= MAX_PROFILES) throw new ProfileError(`At most ${MAX_PROFILES} profiles are allowed`, 409);
+        if (settings !== null) this.validateSettings(settings);
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = new Date().toISOString();
+        const profile = { id, name, tokenHash: hashToken(token), createdAt: now, updatedAt: now, settings };
+        this.profiles.set(id, profile);
+        await this.save();
+
+        this.logger.log(`✓ Created profile ${id}`);
+        return { profile: this.summary(profile), token };
+    }
+
+    // The profile for an id and bearer token; 404 for unknown ids, 401 for a missing or wrong token
+    authenticate(id, token) {
+        const profile = this.profiles.get(id);
+        if (!profile) throw new ProfileError(`Profile not found: ${id}`, 404);
+        if (typeof token !== 'string' || !token) throw new ProfileError('A profile token is required', 401);
+
+        const expected = Buffer.from(profile.tokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) throw new ProfileError('Invalid profile token', 401);
+        return profile;
+    }
+
+    // Settings are stored as the frontend sends them; it migrates older shapes on load
+    validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new ProfileError('settings must be an object');
+        }
+        if (settings.interests !== undefined && !Array.isArray(settings.interests)) {
+            throw new ProfileError('settings.interests must be an array');
+        }
+        if (settings.wellbeing !== undefined && (!settings.wellbeing || typeof settings.wellbeing !== 'object' || Array.isArray(settings.wellbeing))) {
+            throw new ProfileError('settings.wellbeing must be an object');
+        }
+    }
+
+    getSettings(id, token) {
+        const profile = this.authenticate(id, token);
+        return { settings: profile.settings, updatedAt: profile.updatedAt };
+    }
+
+    async saveSettings(id, token, settings) {
+        const profile = this.authenticate(id, token);
+        this.validateSettings(settings);
+        profile.settings = settings;
+        profile.updatedAt = new Date().toISOString();
+        await this.save();
+        return { settings: profile.settings, updatedAt: profile.updatedAt };
+    }
+
+    async remove(id, token) {
+        const profile = this.authenticate(id, token);
+        this.profiles.delete(id);
+        await this.save();
+        this.logger.log(`✓ Removed profile ${id}`);
+        return this.summary(profile);
+    }
+}
+
+export default ProfileStore;
@@ -0,0 +1,165 @@
+import { tokenize } from './tokenizer.js';
+
+// Qualifiers accepted as `field:value` in /search queries
+const TEXT_FIELDS = ['title', 'snippet', 'content'];
+const FILTER_FIELDS = ['source', 'category', 'topic'];
+const DATE_FIELDS = ['before', 'after'];
+
+// Raised for queries that cannot be parsed; the server maps it onto a 400
+export class QuerySyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.status = 400;
+    }
+}
+
+// Split a query string into words, quoted phrases, field qualifiers and operators
+function lex(query) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const end = query.indexOf('"', i + 1);
+        if (end === -1) throw new QuerySyntaxError(`Unterminated quote at position ${i + 1}`);
+        const value = query.slice(i + 1, end);
+        i = end + 1;
+        return value;
+    };
+
+    while (i < query.length) {
+        if (/\s/.test(query[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let negate = false;
+        if (query[i] === '-') {
+            negate = true;
+            i++;
+            if (i >= query.length || /\s/.test(query[i])) {
+                throw new QuerySyntaxError(`Nothing to exclude after "-" at position ${start + 1}`);
+            }
+        }
+
+        if (query[i] === '"') {
+            tokens.push({ type: 'phrase', value: readQuoted(), negate, position: start + 1 });
+            continue;
+        }
+
+        const wordMatch = query.slice(i).match(/^[^\s"]+/);
+        const word = wordMatch[0];
+        i += word.length;
+
+        const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+        if (fieldMatch) {
+            const field = fieldMatch[1].toLowerCase();
+            let value = fieldMatch[2];
+            let quoted = false;
+            if (value === '' && query[i] === '"') {
+                value = readQuoted();
+                quoted = true;
+            }
+            tokens.push({ type: 'field', field, value, quoted, negate, position: start + 1 });
+            continue;
+        }
+
+        if (!negate && (word === 'AND' || word === 'OR')) {
+            tokens.push({ type: word.toLowerCase(), position: start + 1 });
+            continue;
+        }
+
+        tokens.push({ type: 'word', value: word, negate, position: start + 1 });
+    }
+
+    return tokens;
+}
+
+function parseDate(field, value, position) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        throw new QuerySyntaxError(`Invalid date for ${field}: "${value}" at position ${position} (use YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+// Turn free text into a term or phrase node; stop-word-only text yields null
+function textNode(text, field = null) {
+    const terms = tokenize(text);
+    if (terms.length === 0) return null;
+    return terms.length === 1
+        ? { type: 'term', term: terms[0], field }
+        : { type: 'phrase', terms, field };
+}
+
+function operandNode(token) {
+    let node;
+    if (token.type === 'word' || token.type === 'phrase') {
+        node = textNode(token.value);
+    } else {
+        const { field, value, position } = token;
+        if (!value) throw new QuerySyntaxError(`Missing value for ${field}: at position ${position}`);
+
+        if (TEXT_FIELDS.includes(field)) {
+            node = textNode(value, field);
+        } else if (FILTER_FIELDS.includes(field)) {
+            node = { type: 'filter', field, value: value.toLowerCase() };
+        } else if (DATE_FIELDS.includes(field)) {
+            node = { type: 'date', field, date: parseDate(field, value, position) };
+        } else {
+            const known = [...TEXT_FIELDS, ...FILTER_FIELDS, ...DATE_FIELDS].join(', ');
+            throw new QuerySyntaxError(`Unknown field "${field}" at position ${position} (expected one of: ${known})`);
+        }
+    }
+
+    if (node && token.negate) return { type: 'not', node };
+    return node;
+}
+
+/**
+ * Parse a search query into an AST.
+ *
+ * Supports bare words, "quoted phrases", AND / OR (AND binds tighter, and is implied between
+ * adjacent terms), -exclusions, and the qualifiers title:, snippet:, content:, source:,
+ * category:, topic:, before: and after:. Returns null when the query has nothing searchable
+ * (e.g. only stop words).
+ */
+export function parseQuery(query) {
+    const tokens = lex(query);
+    const groups = [[]];
+    let previous = null;
+
+    for (const token of tokens) {
+        if (token.type === 'and' || token.type === 'or') {
+            if (!previous || previous.type === 'and' || previous.type === 'or') {
+                throw new QuerySyntaxError(`Unexpected ${token.type.toUpperCase()} at position ${token.position}`);
+            }
+            if (token.type === 'or') groups.push([]);
+        } else {
+            const node = operandNode(token);
+            if (node) groups[groups.length - 1].push(node);
+        }
+        previous = token;
+    }
+
+    if (previous && (previous.type === 'and' || previous.type === 'or')) {
+        throw new QuerySyntaxError(`Query cannot end with ${previous.type.toUpperCase()}`);
+    }
+
+    const alternatives = groups
+        .filter(group => group.length > 0)
+        .map(group => (group.length === 1 ? group[0] : { type: 'and', nodes: group }));
+
+    if (alternatives.length === 0) return null;
+    return alternatives.length === 1 ? alternatives[0] : { type: 'or', nodes: alternatives };
+}
+
+// Positive (non-excluded) terms in a query AST, used for relevance scoring
+export function scoringTerms(node, terms = new Set()) {
+    if (!node || node.type === 'not') return terms;
+    if (node.type === 'term') terms.add(node.term);
+    if (node.type === 'phrase') node.terms.forEach(term => terms.add(term));
+    if (node.nodes) node.nodes.forEach(child => scoringTerms(child, terms));
+    return terms;
+}
@@ -0,0 +1,47 @@
+/**
+ * Fixed-window request counter per client key (the client IP). Each key may make `limit`
+ * requests per `windowMs`; a limit of 0 disables the limiter. Expired windows are swept
+ * once per window so idle clients don't accumulate.
+ */
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+
+        this.sweeper = setInterval(() => this.sweep(), windowMs);
+        this.sweeper.unref();
+    }
+
+    get enabled() {
+        return this.limit > 0;
+    }
+
+    // Count one request; returns { allowed, limit, remaining, resetAt }
+    hit(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+        window.count++;
+        return {
+            allowed: window.count <= this.limit,
+            limit: this.limit,
+            remaining: Math.max(this.limit - window.count, 0),
+            resetAt: window.resetAt
+        };
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+
+    close() {
+        clearInterval(this.sweeper);
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,278 @@
+import fs from 'fs/promises';
+import { dataPath } from './data-dir.js';
+
+const USAGE_FILE = 'reading-usage.json';
+
+// Limits used when a profile's settings have no `wellbeing` block; 0 turns a limit off
+export const DEFAULT_LIMITS = {
+    dailyArticles: 100,
+    dailyMinutes: 60,
+    loadMoreLimit: 3,
+    cooldownMinutes: 15,
+    quietHours: null, // { start: 'HH:MM', end: 'HH:MM' } in the profile's time zone
+    timeZone: null // IANA name; null means the server's
+};
+const LIMIT_RANGES = {
+    dailyArticles: [0, 1000],
+    dailyMinutes: [0, 1440],
+    loadMoreLimit: [0, 50],
+    cooldownMinutes: [1, 240]
+};
+
+// Activity after a break this long starts a new session
+const SESSION_GAP_MS = 30 * 60 * 1000;
+// No single request or heartbeat credits more than this, however long the client was away
+const MAX_HEARTBEAT_SECONDS = 5 * 60;
+const MINUTE_MS = 60 * 1000;
+
+// Raised when a profile's reading budget refuses a request; `status` maps onto the HTTP response.
+// `reason` is dailyArticles, dailyMinutes, cooldown or quietHours; `retryAt` is when it lifts.
+export class BudgetError extends Error {
+    constructor(message, { status = 429, reason = null, retryAt = null } = {}) {
+        super(message);
+        this.name = 'BudgetError';
+        this.status = status;
+        this.reason = reason;
+        this.retryAt = retryAt;
+    }
+}
+
+const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+const minutesOf = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+function validTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return null;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * A profile's `settings.wellbeing` with defaults filled in and numbers clamped to sane ranges.
+ * Settings come from the browser, so anything malformed falls back to the default.
+ */
+export function normalizeLimits(wellbeing = {}) {
+    const limits = { ...DEFAULT_LIMITS };
+    Object.entries(LIMIT_RANGES).forEach(([name, [min, max]]) => {
+        const value = Number(wellbeing?.[name]);
+        if (wellbeing?.[name] !== undefined && Number.isFinite(value)) limits[name] = Math.min(Math.max(Math.round(value), min), max);
+    });
+    const quiet = wellbeing?.quietHours;
+    if (quiet && isTime(quiet.start) && isTime(quiet.end) && quiet.start !== quiet.end) {
+        limits.quietHours = { start: quiet.start, end: quiet.end };
+    }
+    limits.timeZone = validTimeZone(wellbeing?.timeZone);
+    return limits;
+}
+
+// Local calendar day (YYYY-MM-DD) and minute of the day in a time zone
+function localClock(now, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: timeZone ?? undefined, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(new Date(now)).map(({ type, value }) => [type, value]));
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, minute: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * Per-profile daily reading budgets, enforced by the server on every route that returns articles
+ * so that a reload can't reset them:
+ *
+ * - dailyArticles: distinct articles served per local day (reloading a page doesn't count twice)
+ * - dailyMinutes: reading time, measured between the pages the server hands out and the browser's
+ *   heartbeats, so a client that never sends heartbeats still uses it up
+ * - loadMoreLimit / cooldownMinutes: after that many "load more" pages in a row, further pages
+ *   are refused for the cooldown (a first page still loads)
+ * - quietHours: no feed at all between start and end, local time
+ *
+ * Usage resets at local midnight and persists in reading-usage.json.
+ */
+class ReadingBudget {
+    constructor(options = {}) {
+        this.file = options.file ?? dataPath(USAGE_FILE);
+        this.logger = options.logger ?? console;
+        // Profile id -> { day, articleIds, activeSeconds, loadMores, cooldownUntil, sessionStartedAt, lastActiveAt }
+        this.usage = new Map();
+        this.write = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+            this.usage = new Map(Object.entries(parsed.usage || {}));
+            this.logger.log(`✓ Loaded reading usage for ${this.usage.size} profiles`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Error loading ${this.file}:`, error.message);
+                throw error;
+            }
+        }
+    }
+
+    // Write via a temp file and rename; writes are chained so they land in order
+    save() {
+        const write = async () => {
+            const tmpFile = `${this.file}.${process.pid}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify({ usage: Object.fromEntries(this.usage) }, null, 2));
+            await fs.rename(tmpFile, this.file);
+        };
+        this.write = this.write.then(write, write);
+        return this.write;
+    }
+
+    // Today's usage record for a profile, starting a fresh one on a new local day
+    record(profileId, limits, now) {
+        const { day } = localClock(now, limits.timeZone);
+        let usage = this.usage.get(profileId);
+        if (!usage || usage.day !== day) {
+            usage = { day, articleIds: [], activeSeconds: 0, loadMores: 0, cooldownUntil: null, sessionStartedAt: null, lastActiveAt: null };
+            this.usage.set(profileId, usage);
+        }
+        return usage;
+    }
+
+    touch(usage, now) {
+        if (!usage.lastActiveAt || now - usage.lastActiveAt > SESSION_GAP_MS) {
+            usage.sessionStartedAt = now;
+            usage.loadMores = 0;
+        }
+        usage.lastActiveAt = now;
+    }
+
+    /**
+     * Credit reading time up to `now`: the time since the session's last page or heartbeat.
+     * A heartbeat passes the seconds it claims, which cap the credit (two open tabs don't count
+     * double) and are all the credit for a session's first activity; a served page passes null.
+     */
+    credit(usage, now, claimedSeconds = null) {
+        const inSession = usage.lastActiveAt && now - usage.lastActiveAt <= SESSION_GAP_MS;
+        const elapsed = inSession ? (now - usage.lastActiveAt) / 1000 : 0;
+        let seconds = elapsed;
+        if (claimedSeconds !== null) seconds = inSession ? Math.min(elapsed, claimedSeconds) : claimedSeconds;
+        usage.activeSeconds += Math.round(Math.min(Math.max(seconds, 0), MAX_HEARTBEAT_SECONDS));
+        this.touch(usage, now);
+    }
+
+    // The next time the local clock shows `target` (minute of the day), corrected for a DST change in between
+    nextLocalMinute(now, target, limits) {
+        const { minute } = localClock(now, limits.timeZone);
+        const ahead = (target - minute + 24 * 60) % (24 * 60) || 24 * 60;
+        const estimate = now - (now % MINUTE_MS) + ahead * MINUTE_MS;
+        const drift = (target - localClock(estimate, limits.timeZone).minute + 36 * 60) % (24 * 60) - 12 * 60;
+        return estimate + drift * MINUTE_MS;
+    }
+
+    nextMidnight(now, limits) {
+        return this.nextLocalMinute(now, 0, limits);
+    }
+
+    // When quiet hours end, or null outside them
+    quietUntil(now, limits) {
+        if (!limits.quietHours) return null;
+        const { minute } = localClock(now, limits.timeZone);
+        const start = minutesOf(limits.quietHours.start);
+        const end = minutesOf(limits.quietHours.end);
+        const inside = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+        return inside ? this.nextLocalMinute(now, end, limits) : null;
+    }
+
+    /**
+     * Throw BudgetError if the profile may not load a feed page now. `loadMore` marks a page
+     * after the first, which the load-more cooldown applies to.
+     */
+    check(profileId, wellbeing, { loadMore = false } = {}, now = Date.now()) {
+        const limits = normalizeLimits(wellbeing);
+        const usage = this.record(profileId, limits, now);
+
+        const quietUntil = this.quietUntil(now, limits);
+        if (quietUntil) {
+            throw new BudgetError(`Quiet hours: the feed is off until ${limits.quietHours.end}`, { reason: 'quietHours', retryAt: new Date(quietUntil) });
+        }
+        if (limits.dailyArticles > 0 && usage.articleIds.length >= limits.dailyArticles) {
+            throw new BudgetError(`Daily budget of ${limits.dailyArticles} articles used up`, { reason: 'dailyArticles', retryAt: new Date(this.nextMidnight(now, limits)) });
+        }
+        if (limits.dailyMinutes > 0 && usage.activeSeconds >= limits.dailyMinutes * 60) {
+            throw new BudgetError(`Daily budget of ${limits.dailyMinutes} minutes used up`, { reason: 'dailyMinutes', retryAt: new Date(this.nextMidnight(now, limits)) });
+        }
+        if (loadMore && usage.cooldownUntil && usage.cooldownUntil > now) {
+            throw new BudgetError('Cooling down after loading more several times; take a break', { reason: 'cooldown', retryAt: new Date(usage.cooldownUntil) });
+        }
+    }
+
+    // How many more articles the profile may be served today (Infinity without a limit)
+    remainingArticles(profileId, wellbeing, now = Date.now()) {
+        const limits = normalizeLimits(wellbeing);
+        if (limits.dailyArticles === 0) return Infinity;
+        return Math.max(limits.dailyArticles - this.record(profileId, limits, now).articleIds.length, 0);
+    }
+
+    // Count a served page: its articles against the daily budget, and a load-more toward the cooldown
+    async recordPage(profileId, wellbeing, articleIds, { loadMore = false } = {}, now = Date.now()) {
+        const limits = normalizeLimits(wellbeing);
+        const usage = this.record(profileId, limits, now);
+        this.credit(usage, now);
+        const seen = new Set(usage.articleIds);
+        articleIds.forEach(id => seen.add(id));
+        usage.articleIds = [...seen];
+
+        if (loadMore && limits.loadMoreLimit > 0) {
+            usage.loadMores++;
+            if (usage.loadMores >= limits.loadMoreLimit) {
+                usage.loadMores = 0;
+                usage.cooldownUntil = now + limits.cooldownMinutes * MINUTE_MS;
+            }
+        }
+        await this.save();
+        return this.summary(profileId, wellbeing, now);
+    }
+
+    // Heartbeat from an open page claiming `seconds` of reading time (see credit)
+    async recordActivity(profileId, wellbeing, seconds, now = Date.now()) {
+        const limits = normalizeLimits(wellbeing);
+        const usage = this.record(profileId, limits, now);
+        this.credit(usage, now, Number(seconds) || 0);
+        await this.save();
+        return this.summary(profileId, wellbeing, now);
+    }
+
+    async forget(profileId) {
+        if (this.usage.delete(profileId)) await this.save();
+    }
+
+    /**
+     * Today's usage against the limits, for the usage bar: { day, articles, minutes, sessionMinutes,
+     * loadMoresLeft, cooldownUntil, quietUntil, limits, blocked } where `blocked` is null or
+     * { reason, message, retryAt }.
+     */
+    summary(profileId, wellbeing, now = Date.now()) {
+        const limits = normalizeLimits(wellbeing);
+        const usage = this.record(profileId, limits, now);
+        const inSession = usage.lastActiveAt && now - usage.lastActiveAt <= SESSION_GAP_MS;
+        const quietUntil = this.quietUntil(now, limits);
+
+        let blocked = null;
+        try {
+            this.check(profileId, wellbeing, { loadMore: true }, now);
+        } catch (error) {
+            if (!(error instanceof BudgetError)) throw error;
+            blocked = { reason: error.reason, message: error.message, retryAt: error.retryAt };
+        }
+
+        return {
+            day: usage.day,
+            articles: usage.articleIds.length,
+            minutes: Math.floor(usage.activeSeconds / 60),
+            sessionMinutes: inSession ? Math.floor((now - usage.sessionStartedAt) / MINUTE_MS) : 0,
+            loadMoresLeft: limits.loadMoreLimit > 0 ? limits.loadMoreLimit - usage.loadMores : null,
+            cooldownUntil: usage.cooldownUntil && usage.cooldownUntil > now ? new Date(usage.cooldownUntil) : null,
+            quietUntil: quietUntil && new Date(quietUntil),
+            limits,
+            blocked
+        };
+    }
+}
+
+export default ReadingBudget;
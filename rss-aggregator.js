@@ -1,10 +1,102 @@
 import Parser from 'rss-parser';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
+import crypto from 'crypto';
+import SearchIndex from './search-index.js';
+import StoryClusterer from './story-clusters.js';
+import TopicTagger from './topic-tagger.js';
+import TrendDetector from './trend-detector.js';
+import ArticleExtractor, { ExtractionError } from './article-extractor.js';
+import UrlGuard from './url-guard.js';
+import { plainText, safeUrl, sanitizeContent } from './sanitize.js';
+import { QuerySyntaxError } from './query-parser.js';
+import { createStorage, reviveArchive, serializeArchive } from './storage.js';
 
-class RSSAggregator {
-    constructor() {
+const FEEDS_FILE = './feeds.json';
+
+// Per-article reader state (read, saved, hidden), persisted on every change
+const STATE_FLAGS = { read: 'readAt', saved: 'savedAt', hidden: 'hiddenAt' };
+
+// Failing feeds are retried after BACKOFF_BASE_MS * 2^(failures - 1), capped at BACKOFF_MAX_MS,
+// and disabled once they fail MAX_CONSECUTIVE_FAILURES times in a row
+const BACKOFF_BASE_MS = 15 * 60 * 1000;
+const BACKOFF_MAX_MS = 12 * 60 * 60 * 1000;
+const MAX_CONSECUTIVE_FAILURES = 8;
+
+// Feeds refresh every DEFAULT_REFRESH_INTERVAL_MS unless feeds.json sets `refreshInterval` (minutes).
+// Publisher hints (<ttl>, sy:updatePeriod, Cache-Control) can stretch that, up to MAX_HINT_MS.
+const DEFAULT_REFRESH_INTERVAL_MS = 30 * 60 * 1000;
+const MAX_HINT_MS = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 60 * 1000;
+const MAX_FEED_BYTES = 10 * 1024 * 1024;
+
+// Retention: the archive keeps articles up to MAX_ARTICLE_AGE_DAYS old and at most
+// MAX_ARTICLES_PER_SOURCE per source (newest first)
+const MAX_ARTICLE_AGE_DAYS = 30;
+const MAX_ARTICLES_PER_SOURCE = 500;
+
+// Feeds with `fullText: true` get their new articles' pages fetched and extracted after each
+// refresh: at most MAX_EXTRACTIONS_PER_REFRESH articles (newest first), EXTRACTION_CONCURRENCY at a time
+const MAX_EXTRACTIONS_PER_REFRESH = 30;
+const EXTRACTION_CONCURRENCY = 3;
+
+const SORT_ORDERS = ['relevance', 'date'];
+const MAX_INTEREST_WEIGHT = 10;
+// Topic facet values returned per query (articles carry far more distinct topics than sources)
+const MAX_TOPIC_FACETS = 30;
+// The daily digest is short on purpose: a few stories per interest, a hard cap overall, the top trends
+const DIGEST_STORIES_PER_INTEREST = 3;
+const DIGEST_MAX_STORIES = 12;
+const DIGEST_TRENDING = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SY_PERIOD_MS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000,
+    yearly: 365 * 24 * 60 * 60 * 1000
+};
+
+// A revived archive date (see reviveArchive) that storage can write
+function validDate(value) {
+    return value instanceof Date && !Number.isNaN(value.getTime());
+}
+
+// Raised for feed configs that fail validation; `status` maps onto the HTTP response
+export class FeedValidationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'FeedValidationError';
+        this.status = status;
+    }
+}
+
+// A feed that could not be fetched or parsed during a refresh; the original error is the `cause`
+export class FeedFetchError extends Error {
+    constructor(feedConfig, cause) {
+        super(`Could not fetch ${feedConfig.url}: ${cause?.message ?? cause}`, { cause });
+        this.name = 'FeedFetchError';
+        this.feedConfig = feedConfig;
+    }
+}
+
+// Raised for invalid read/saved/hidden updates; `status` maps onto the HTTP response
+export class ArticleStateError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ArticleStateError';
+        this.status = status;
+    }
+}
+
+// Emits 'refresh-start', 'refresh-complete' ({ added, updated, pruned, failed, totalArticles, lastUpdate })
+// and 'refresh-failed' ({ message }) around every feed refresh
+class RSSAggregator extends EventEmitter {
+    constructor(options = {}) {
+        super();
         this.parser = new Parser({
             customFields: {
+                feed: ['sy:updatePeriod', 'sy:updateFrequency'],
                 item: [
                     ['media:content', 'media:content'],
                     ['media:thumbnail', 'media:thumbnail'],
@@ -13,7 +105,51 @@ class RSSAggregator {
         });
         this.articles = [];
         this.feeds = [];
+        this.feedsFile = options.feedsFile ?? FEEDS_FILE;
+        // Progress and errors are reported here; anything with console's log and error methods
+        this.logger = options.logger ?? console;
         this.lastUpdate = null;
+        this.feedsWrite = Promise.resolve();
+
+        // Per-feed health, keyed by feed URL
+        this.feedStatus = new Map();
+        this.backoffBase = options.backoffBase ?? BACKOFF_BASE_MS;
+        this.backoffMax = options.backoffMax ?? BACKOFF_MAX_MS;
+        this.maxFailures = options.maxFailures ?? MAX_CONSECUTIVE_FAILURES;
+        this.refreshInterval = options.refreshInterval ?? DEFAULT_REFRESH_INTERVAL_MS;
+        this.fetchTimeout = options.fetchTimeout ?? FETCH_TIMEOUT_MS;
+        this.maxFeedBytes = options.maxFeedBytes ?? MAX_FEED_BYTES;
+        this.maxArticleAgeDays = options.maxArticleAgeDays ?? MAX_ARTICLE_AGE_DAYS;
+        this.maxArticlesPerSource = options.maxArticlesPerSource ?? MAX_ARTICLES_PER_SOURCE;
+        // A cache older than this, with feeds overdue, is reported stale
+        this.staleAfter = options.staleAfter ?? this.refreshInterval;
+        // The refresh in progress; concurrent triggers share it instead of fetching every feed again
+        this.currentRefresh = null;
+        this.clusterer = new StoryClusterer();
+        // Topics are computed locally on reindex and stored with each article (see topic-tagger.js)
+        this.tagger = new TopicTagger();
+        this.trendDetector = new TrendDetector();
+        this.clusters = new Map();
+        this.articlesById = new Map();
+
+        // Reader state keyed by article id: { readAt, savedAt, hiddenAt, article }.
+        // Saved entries keep a copy of the article so bookmarks outlive retention.
+        this.articleState = new Map();
+
+        // Every feed and page fetch goes through the guard: public http(s) addresses only, bounded size and time
+        this.urlGuard = options.urlGuard ?? new UrlGuard();
+
+        // Full-text extraction for reader view and fullText feeds; in-flight extractions keyed by article id
+        this.extractor = options.extractor ?? new ArticleExtractor({ urlGuard: this.urlGuard });
+        this.maxExtractionsPerRefresh = options.maxExtractionsPerRefresh ?? MAX_EXTRACTIONS_PER_REFRESH;
+        this.extractions = new Map();
+
+        // Where the archive, feed status and reader state persist (see storage.js)
+        this.storage = options.storage ?? createStorage('sqlite', { logger: this.logger });
+        this.searchIndex = new SearchIndex({
+            recencyHalfLifeDays: options.recencyHalfLifeDays,
+            recencyWeight: options.recencyWeight
+        });
     }
 
     // Extract image directly from RSS item fields, avoiding a network round-trip
@@ -51,204 +187,1411 @@ class RSSAggregator {
 
     async loadFeeds() {
         try {
-            const feedsData = await fs.readFile('./feeds.json', 'utf-8');
+            const feedsData = await fs.readFile(this.feedsFile, 'utf-8');
             const config = JSON.parse(feedsData);
             this.feeds = config.feeds;
-            console.log(`✓ Loaded ${this.feeds.length} RSS feed sources`);
+            this.logger.log(`✓ Loaded ${this.feeds.length} RSS feed sources`);
+        } catch (error) {
+            this.logger.error(`Error loading ${this.feedsFile}:`, error.message);
+            throw error;
+        }
+    }
+
+    // Refresh feeds whose schedule is due; pass force to fetch every enabled feed now.
+    // Fetched items are merged into the archive, so feeds that were skipped, unchanged or failing keep their articles.
+    // A call made while a refresh is running joins it (even with force) and resolves when it finishes.
+    fetchAllFeeds(options = {}) {
+        if (this.currentRefresh) {
+            this.logger.log('ℹ Refresh already in progress, waiting for it');
+            return this.currentRefresh;
+        }
+        this.currentRefresh = this.runRefresh(options).finally(() => {
+            this.currentRefresh = null;
+        });
+        return this.currentRefresh;
+    }
+
+    async runRefresh(options) {
+        this.emit('refresh-start', { startedAt: new Date() });
+        try {
+            return await this.fetchDueFeeds(options);
         } catch (error) {
-            console.error('Error loading feeds.json:', error.message);
+            this.emit('refresh-failed', { message: error.message });
             throw error;
         }
     }
 
-    async fetchAllFeeds() {
-        console.log('\n🔄 Starting RSS feed aggregation...');
+    async fetchDueFeeds({ force = false } = {}) {
+        this.logger.log('\n🔄 Starting RSS feed aggregation...');
         const startTime = Date.now();
         let successCount = 0;
+        let unchangedCount = 0;
         let errorCount = 0;
+        let disabledCount = 0;
 
-        // Fetch all feeds in parallel
-        const results = await Promise.allSettled(
-            this.feeds.map(feedConfig => this.parser.parseURL(feedConfig.url).then(feed => ({ feed, feedConfig })))
-        );
+        const dueFeeds = this.feeds.filter(feedConfig => this.isFeedDue(feedConfig, startTime, force));
+        const skippedCount = this.feeds.length - dueFeeds.length;
+
+        // Fetch all due feeds in parallel
+        const results = await Promise.allSettled(dueFeeds.map(feedConfig => this.fetchFeed(feedConfig)));
 
         const newArticles = [];
         for (const result of results) {
             if (result.status === 'fulfilled') {
-                const { feed, feedConfig } = result.value;
-                feed.items.forEach(item => {
-                    const url = item.link || item.guid || '';
-                    if (!url) return;
-                    newArticles.push({
-                        title: item.title || 'Untitled',
-                        url,
-                        snippet: this.cleanDescription(item.contentSnippet || item.description || ''),
-                        content: item.content || item.description || '',
-                        imageUrl: this.extractImageFromItem(item), // Extract from feed data first
-                        source: feedConfig.source,
-                        category: feedConfig.category,
-                        keywords: feedConfig.keywords,
-                        pubDate: item.pubDate ? new Date(item.pubDate) : new Date(),
-                        fetchedAt: new Date()
-                    });
-                });
+                const { feed, feedConfig, notModified } = result.value;
                 successCount++;
-                console.log(`  ✓ ${feedConfig.source} (${feed.items.length} articles)`);
+                if (notModified) {
+                    unchangedCount++;
+                    this.logger.log(`  ✓ ${feedConfig.source} (not modified)`);
+                } else {
+                    newArticles.push(...this.articlesFromFeed(feed, feedConfig));
+                    this.logger.log(`  ✓ ${feedConfig.source} (${feed.items.length} articles)`);
+                }
             } else {
                 errorCount++;
-                // Extract feed name from the rejected promise if possible
-                console.log(`  ✗ Feed failed: ${result.reason?.message || result.reason}`);
+                const { feedConfig, cause: error } = result.reason;
+                const status = this.getFeedStatus(feedConfig.url);
+                if (feedConfig.disabled) disabledCount++;
+                const retry = feedConfig.disabled
+                    ? `disabled after ${status.consecutiveFailures} failures`
+                    : `retry after ${status.nextAttempt.toLocaleString()}`;
+                this.logger.log(`  ✗ ${feedConfig.source} failed: ${error.message} (${retry})`);
             }
         }
 
-        // Remove duplicates based on URL
-        const uniqueArticles = this.removeDuplicates(newArticles);
-
-        // Sort by publication date (newest first)
-        uniqueArticles.sort((a, b) => b.pubDate - a.pubDate);
-
-        this.articles = uniqueArticles;
+        const knownIds = new Set(this.articlesById.keys());
+        const { added, updated, pruned } = this.mergeArticles(newArticles);
+        const extracted = await this.extractPending();
 
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
-        console.log(`\n✓ RSS aggregation complete in ${duration}s`);
-        console.log(`  - Feeds fetched: ${successCount}/${this.feeds.length}`);
-        console.log(`  - Total articles: ${this.articles.length}`);
-        console.log(`  - Failed feeds: ${errorCount}`);
+        this.logger.log(`\n✓ RSS aggregation complete in ${duration}s`);
+        this.logger.log(`  - Feeds fetched: ${successCount}/${dueFeeds.length} (${unchangedCount} not modified)`);
+        this.logger.log(`  - Articles: ${added} new, ${updated} updated, ${pruned} pruned`);
+        if (extracted.attempted > 0) this.logger.log(`  - Full text extracted: ${extracted.succeeded}/${extracted.attempted}`);
+        this.logger.log(`  - Total articles: ${this.articles.length}`);
+        this.logger.log(`  - Failed feeds: ${errorCount}`);
+        if (skippedCount > 0) this.logger.log(`  - Skipped (not due/disabled): ${skippedCount}`);
+
+        // Persist feeds that were auto-disabled on this run
+        if (disabledCount > 0) {
+            this.logger.log(`  - Auto-disabled feeds: ${disabledCount}`);
+            await this.saveFeeds();
+        }
 
         this.lastUpdate = new Date();
+        this.emit('refresh-complete', {
+            added: this.articles.filter(article => !knownIds.has(article.id)),
+            updated,
+            pruned,
+            failed: errorCount,
+            totalArticles: this.articles.length,
+            lastUpdate: this.lastUpdate
+        });
         return this.articles;
     }
 
-    removeDuplicates(articles) {
-        const seen = new Set();
-        return articles.filter(article => {
-            if (seen.has(article.url)) {
+    // Fetch one feed and record its health; rejects with a FeedFetchError
+    async fetchFeed(feedConfig) {
+        const startTime = Date.now();
+        try {
+            const result = await this.downloadFeed(feedConfig);
+            this.recordFeedSuccess(feedConfig, result, Date.now() - startTime);
+            return { ...result, feedConfig };
+        } catch (error) {
+            this.recordFeedFailure(feedConfig, error, Date.now() - startTime);
+            throw new FeedFetchError(feedConfig, error);
+        }
+    }
+
+    // Conditional GET using the validators stored from the previous response
+    async downloadFeed(feedConfig) {
+        const status = this.feedStatus.get(feedConfig.url) || {};
+        const headers = {
+            'User-Agent': 'personal-news-feed/1.0 (RSS aggregator)',
+            Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8'
+        };
+        if (status.etag) headers['If-None-Match'] = status.etag;
+        if (status.lastModified) headers['If-Modified-Since'] = status.lastModified;
+
+        const response = await this.urlGuard.fetch(feedConfig.url, { headers, timeout: this.fetchTimeout });
+
+        if (response.status === 304) {
+            return { feed: null, notModified: true, headers: response.headers };
+        }
+        if (!response.ok) {
+            throw new Error(`Status code ${response.status}`);
+        }
+
+        const body = await this.urlGuard.read(response, this.maxFeedBytes);
+        const feed = await this.parser.parseString(body.toString('utf-8'));
+        return { feed, notModified: false, headers: response.headers };
+    }
+
+    getFeedStatus(url) {
+        if (!this.feedStatus.has(url)) {
+            this.feedStatus.set(url, {
+                lastAttempt: null,
+                lastSuccess: null,
+                lastError: null,
+                lastErrorAt: null,
+                consecutiveFailures: 0,
+                itemCount: 0,
+                durationMs: null,
+                nextAttempt: null,
+                disabledAt: null,
+                etag: null,
+                lastModified: null,
+                feedHintMs: null,
+                cacheMaxAgeMs: null,
+                refreshIntervalMs: null
+            });
+        }
+        return this.feedStatus.get(url);
+    }
+
+    isFeedDue(feedConfig, now = Date.now(), force = false) {
+        if (feedConfig.disabled) return false;
+        if (force) return true;
+        const { nextAttempt } = this.getFeedStatus(feedConfig.url);
+        return !nextAttempt || nextAttempt <= now;
+    }
+
+    // Earliest time any enabled feed is due, or null when none are scheduled
+    nextRefreshAt() {
+        let next = null;
+        for (const feedConfig of this.feeds) {
+            if (feedConfig.disabled) continue;
+            const { nextAttempt } = this.getFeedStatus(feedConfig.url);
+            if (!nextAttempt) return new Date();
+            if (!next || nextAttempt < next) next = nextAttempt;
+        }
+        return next;
+    }
+
+    recordFeedSuccess(feedConfig, { feed, notModified, headers }, durationMs) {
+        const status = this.getFeedStatus(feedConfig.url);
+        status.lastAttempt = new Date();
+        status.lastSuccess = status.lastAttempt;
+        status.consecutiveFailures = 0;
+        status.durationMs = durationMs;
+        if (!notModified) {
+            status.itemCount = feed.items.length;
+            status.feedHintMs = this.feedRefreshHint(feed);
+        }
+        if (headers) {
+            // A 304 may omit validators; keep the ones we already have
+            status.etag = headers.get('etag') || status.etag;
+            status.lastModified = headers.get('last-modified') || status.lastModified;
+            status.cacheMaxAgeMs = this.cacheMaxAge(headers.get('cache-control'));
+        }
+
+        status.refreshIntervalMs = this.refreshIntervalFor(feedConfig, status);
+        status.nextAttempt = new Date(status.lastAttempt.getTime() + status.refreshIntervalMs);
+    }
+
+    // Configured interval, stretched by any publisher hint (capped at MAX_HINT_MS)
+    refreshIntervalFor(feedConfig, status = this.getFeedStatus(feedConfig.url)) {
+        const configured = feedConfig.refreshInterval ? feedConfig.refreshInterval * 60 * 1000 : this.refreshInterval;
+        const hint = Math.min(Math.max(status.feedHintMs || 0, status.cacheMaxAgeMs || 0), MAX_HINT_MS);
+        return Math.max(configured, hint);
+    }
+
+    // Minimum refresh interval announced by the feed via <ttl> or sy:updatePeriod/updateFrequency
+    feedRefreshHint(feed) {
+        let hint = 0;
+        const ttl = parseInt(feed.ttl, 10);
+        if (ttl > 0) hint = ttl * 60 * 1000;
+
+        const period = SY_PERIOD_MS[String(feed['sy:updatePeriod'] || '').trim().toLowerCase()];
+        if (period) {
+            const frequency = parseInt(feed['sy:updateFrequency'], 10) || 1;
+            hint = Math.max(hint, period / frequency);
+        }
+        return hint || null;
+    }
+
+    cacheMaxAge(cacheControl) {
+        if (!cacheControl || /no-cache|no-store/i.test(cacheControl)) return null;
+        const match = cacheControl.match(/(?:^|,)\s*max-age=(\d+)/i);
+        return match ? parseInt(match[1], 10) * 1000 : null;
+    }
+
+    recordFeedFailure(feedConfig, error, durationMs) {
+        const status = this.getFeedStatus(feedConfig.url);
+        status.lastAttempt = new Date();
+        status.lastError = error.message || String(error);
+        status.lastErrorAt = status.lastAttempt;
+        status.consecutiveFailures++;
+        status.durationMs = durationMs;
+
+        const delay = Math.min(this.backoffBase * 2 ** (status.consecutiveFailures - 1), this.backoffMax);
+        status.nextAttempt = new Date(status.lastAttempt.getTime() + delay);
+
+        if (status.consecutiveFailures >= this.maxFailures) {
+            feedConfig.disabled = true;
+            status.disabledAt = status.lastAttempt;
+            status.nextAttempt = null;
+        }
+    }
+
+    // Health summary for one feed, as reported by /feeds/status
+    feedHealth(feedConfig) {
+        const status = this.getFeedStatus(feedConfig.url);
+        let state = 'pending';
+        if (feedConfig.disabled) state = 'disabled';
+        else if (status.consecutiveFailures > 0) state = 'failing';
+        else if (status.lastSuccess) state = 'healthy';
+
+        return {
+            id: this.feedId(feedConfig.url),
+            url: feedConfig.url,
+            source: feedConfig.source,
+            state,
+            ...status
+        };
+    }
+
+    // Map parsed feed items onto article records tagged with their feed.
+    // Feed fields are untrusted: titles and snippets become plain text, content is sanitized HTML,
+    // and links and images must be http(s) (relative ones resolve against the feed URL).
+    articlesFromFeed(feed, feedConfig) {
+        const articles = [];
+        feed.items.forEach(item => {
+            // A guid is an opaque id unless it is already an absolute URL, so it is never resolved
+            const url = safeUrl(item.link, feedConfig.url) || safeUrl(item.guid);
+            if (!url) return;
+            const published = new Date(item.pubDate);
+            const article = {
+                guid: item.guid || item.id || item.link || url,
+                title: plainText(item.title) || 'Untitled',
+                url,
+                // From the raw HTML: rss-parser's contentSnippet strips tags with a regex and keeps <style> text
+                snippet: this.cleanDescription(item.content || item.description || item.contentSnippet || ''),
+                content: sanitizeContent(item.content || item.description || ''),
+                imageUrl: safeUrl(this.extractImageFromItem(item), feedConfig.url), // Extract from feed data first
+                source: feedConfig.source,
+                category: feedConfig.category,
+                keywords: feedConfig.keywords,
+                feedUrl: feedConfig.url,
+                pubDate: item.pubDate && !Number.isNaN(published.getTime()) ? published : new Date(), // Unparseable dates count as now
+                fetchedAt: new Date(), // First seen; preserved across refreshes
+                lastSeenAt: new Date()
+            };
+            article.id = this.articleId(article);
+            articles.push(article);
+        });
+        return articles;
+    }
+
+    // Stable identifier for a feed, derived from its URL
+    feedId(url) {
+        return crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+    }
+
+    getFeed(id) {
+        return this.feeds.find(feed => this.feedId(feed.url) === id) || null;
+    }
+
+    // Articles cached before feedUrl was recorded fall back to matching on source
+    belongsToFeed(article, feedConfig) {
+        return article.feedUrl ? article.feedUrl === feedConfig.url : article.source === feedConfig.source;
+    }
+
+    // Check shape and URL of a feed entry, returning a cleaned copy
+    normalizeFeedConfig(input, existing = {}) {
+        const merged = { ...existing, ...input };
+        const url = typeof merged.url === 'string' ? merged.url.trim() : '';
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch {
+            throw new FeedValidationError(`Invalid feed URL: "${url}"`);
+        }
+        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+            throw new FeedValidationError(`Feed URL must use http or https: "${url}"`);
+        }
+
+        let keywords = merged.keywords ?? [];
+        if (typeof keywords === 'string') keywords = keywords.split(',');
+        if (!Array.isArray(keywords)) {
+            throw new FeedValidationError('Keywords must be an array or comma-separated string');
+        }
+
+        const { url: _url, category, source, keywords: _keywords, disabled, fullText, refreshInterval, ...extra } = merged;
+        if (disabled === true || disabled === 'true') extra.disabled = true;
+        if (fullText === true || fullText === 'true') extra.fullText = true;
+        if (refreshInterval !== undefined && refreshInterval !== null && refreshInterval !== '') {
+            const minutes = Number(refreshInterval);
+            if (!Number.isFinite(minutes) || minutes <= 0) {
+                throw new FeedValidationError('Refresh interval must be a positive number of minutes');
+            }
+            extra.refreshInterval = minutes;
+        }
+        return {
+            url: parsedUrl.href,
+            category: (typeof category === 'string' && category.trim().toLowerCase()) || 'general',
+            source: typeof source === 'string' ? source.trim() : '',
+            keywords: keywords.map(k => String(k).trim().toLowerCase()).filter(Boolean),
+            ...extra
+        };
+    }
+
+    // Fetch a feed once to prove it parses before accepting it
+    async validateFeed(feedConfig) {
+        try {
+            return await this.downloadFeed(feedConfig);
+        } catch (error) {
+            throw new FeedValidationError(`Could not fetch feed ${feedConfig.url}: ${error.message}`, 422);
+        }
+    }
+
+    async addFeed(input) {
+        const feedConfig = this.normalizeFeedConfig(input);
+        if (this.feeds.some(feed => feed.url === feedConfig.url)) {
+            throw new FeedValidationError(`Feed already exists: ${feedConfig.url}`, 409);
+        }
+
+        const validateStart = Date.now();
+        const result = await this.validateFeed(feedConfig);
+        const { feed } = result;
+        if (!feedConfig.source) feedConfig.source = plainText(feed.title) || new URL(feedConfig.url).hostname;
+        this.recordFeedSuccess(feedConfig, result, Date.now() - validateStart);
+
+        this.feeds.push(feedConfig);
+        await this.saveFeeds();
+
+        this.mergeArticles(this.articlesFromFeed(feed, feedConfig));
+        this.logger.log(`✓ Added feed ${feedConfig.source} (${feed.items.length} articles)`);
+        return feedConfig;
+    }
+
+    /**
+     * Add several feed entries at once, e.g. from an OPML import. Entries are validated like
+     * addFeed() (fetched in parallel) unless `validate` is false, in which case they are picked up
+     * by the next refresh. Returns { added, skipped, invalid }: skipped entries were already
+     * subscribed or repeated, invalid ones failed normalization or could not be fetched.
+     */
+    async importFeeds(entries, { validate = true } = {}) {
+        const skipped = [];
+        const invalid = [];
+        const candidates = [];
+        const seen = new Set(this.feeds.map(feed => feed.url));
+
+        for (const entry of entries) {
+            let feedConfig;
+            try {
+                feedConfig = this.normalizeFeedConfig(entry);
+            } catch (error) {
+                if (!(error instanceof FeedValidationError)) throw error;
+                invalid.push({ url: entry.url || null, source: entry.source || null, reason: error.message });
+                continue;
+            }
+            if (seen.has(feedConfig.url)) {
+                skipped.push({ url: feedConfig.url, source: feedConfig.source || null, reason: 'Feed already exists' });
+                continue;
+            }
+            seen.add(feedConfig.url);
+            candidates.push(feedConfig);
+        }
+
+        const results = await Promise.allSettled(candidates.map(async feedConfig => {
+            if (!validate) return null;
+            const validateStart = Date.now();
+            const result = await this.validateFeed(feedConfig);
+            return { result, durationMs: Date.now() - validateStart };
+        }));
+
+        const added = [];
+        const fetched = [];
+        results.forEach((outcome, index) => {
+            const feedConfig = candidates[index];
+            if (outcome.status === 'rejected') {
+                invalid.push({ url: feedConfig.url, source: feedConfig.source || null, reason: outcome.reason.message });
+                return;
+            }
+            const validated = outcome.value;
+            if (!feedConfig.source) {
+                feedConfig.source = plainText(validated?.result.feed.title) || new URL(feedConfig.url).hostname;
+            }
+            if (validated) {
+                this.recordFeedSuccess(feedConfig, validated.result, validated.durationMs);
+                fetched.push(...this.articlesFromFeed(validated.result.feed, feedConfig));
+            }
+            this.feeds.push(feedConfig);
+            added.push(feedConfig);
+        });
+
+        if (added.length > 0) {
+            await this.saveFeeds();
+            this.mergeArticles(fetched);
+        }
+        this.logger.log(`✓ Imported ${added.length} feeds (${skipped.length} skipped, ${invalid.length} invalid)`);
+        return { added, skipped, invalid };
+    }
+
+    async updateFeed(id, changes) {
+        const existing = this.getFeed(id);
+        if (!existing) throw new FeedValidationError(`Feed not found: ${id}`, 404);
+
+        const feedConfig = this.normalizeFeedConfig(changes, existing);
+        const urlChanged = feedConfig.url !== existing.url;
+        if (urlChanged && this.feeds.some(feed => feed.url === feedConfig.url)) {
+            throw new FeedValidationError(`Feed already exists: ${feedConfig.url}`, 409);
+        }
+
+        const validateStart = Date.now();
+        const result = urlChanged ? await this.validateFeed(feedConfig) : null;
+        const feed = result?.feed;
+        if (!feedConfig.source) feedConfig.source = plainText(feed?.title) || existing.source;
+
+        if (urlChanged) {
+            this.feedStatus.delete(existing.url);
+            this.recordFeedSuccess(feedConfig, result, Date.now() - validateStart);
+        } else if (existing.disabled && !feedConfig.disabled) {
+            // Re-enabling a feed gives it a clean slate
+            this.feedStatus.delete(feedConfig.url);
+        } else if (feedConfig.refreshInterval !== existing.refreshInterval) {
+            const status = this.getFeedStatus(feedConfig.url);
+            status.refreshIntervalMs = this.refreshIntervalFor(feedConfig, status);
+            if (status.lastSuccess && status.consecutiveFailures === 0) {
+                status.nextAttempt = new Date(status.lastSuccess.getTime() + status.refreshIntervalMs);
+            }
+        }
+
+        this.feeds[this.feeds.indexOf(existing)] = feedConfig;
+        await this.saveFeeds();
+
+        if (urlChanged) {
+            this.articles = this.articles.filter(article => !this.belongsToFeed(article, existing));
+            this.mergeArticles(this.articlesFromFeed(feed, feedConfig));
+        } else {
+            // Re-tag the feed's indexed articles with the edited metadata
+            this.articles.forEach(article => {
+                if (!this.belongsToFeed(article, existing)) return;
+                article.source = feedConfig.source;
+                article.category = feedConfig.category;
+                article.keywords = feedConfig.keywords;
+                article.feedUrl = feedConfig.url;
+            });
+            this.reindex();
+        }
+
+        this.logger.log(`✓ Updated feed ${feedConfig.source}`);
+        return feedConfig;
+    }
+
+    async removeFeed(id) {
+        const existing = this.getFeed(id);
+        if (!existing) throw new FeedValidationError(`Feed not found: ${id}`, 404);
+
+        this.feeds = this.feeds.filter(feed => feed !== existing);
+        this.feedStatus.delete(existing.url);
+        await this.saveFeeds();
+
+        const before = this.articles.length;
+        this.articles = this.articles.filter(article => !this.belongsToFeed(article, existing));
+        this.reindex();
+        this.logger.log(`✓ Removed feed ${existing.source} (${before - this.articles.length} articles dropped)`);
+        return existing;
+    }
+
+    // GUIDs are only unique within a feed, so namespace them by feed URL
+    articleKey(article) {
+        return article.guid ? `${article.feedUrl || article.source}#${article.guid}` : article.url;
+    }
+
+    // Stable identifier for an article, derived from its archive key
+    articleId(article) {
+        return crypto.createHash('sha1').update(this.articleKey(article)).digest('hex').slice(0, 12);
+    }
+
+    // Merge fetched articles into the archive keyed by GUID (falling back to URL).
+    // Known articles are updated in place and keep their first-seen fetchedAt.
+    mergeArticles(articles) {
+        const byKey = new Map();
+        const byUrl = new Map();
+        this.articles.forEach(article => {
+            byKey.set(this.articleKey(article), article);
+            byUrl.set(article.url, article);
+        });
+
+        let added = 0;
+        let updated = 0;
+        for (const article of articles) {
+            const existing = byKey.get(this.articleKey(article)) || byUrl.get(article.url);
+            if (!existing) {
+                this.articles.push(article);
+                byKey.set(this.articleKey(article), article);
+                byUrl.set(article.url, article);
+                added++;
+                continue;
+            }
+
+            if (this.articleChanged(existing, article)) {
+                ['title', 'url', 'snippet', 'content', 'imageUrl', 'pubDate'].forEach(field => {
+                    existing[field] = article[field];
+                });
+                existing.updatedAt = article.lastSeenAt;
+                delete existing.topics; // Retagged on reindex
+                byUrl.set(existing.url, existing);
+                updated++;
+            }
+            existing.lastSeenAt = article.lastSeenAt;
+        }
+
+        const pruned = this.applyRetention();
+        this.articles.sort((a, b) => b.pubDate - a.pubDate);
+        this.reindex();
+        return { added, updated, pruned };
+    }
+
+    articleChanged(existing, article) {
+        return ['title', 'url', 'snippet', 'content', 'imageUrl'].some(field => existing[field] !== article[field]) ||
+            new Date(existing.pubDate).getTime() !== new Date(article.pubDate).getTime();
+    }
+
+    // Drop articles older than the max age, then cap each source at its newest N articles
+    applyRetention() {
+        const before = this.articles.length;
+        const cutoff = Date.now() - this.maxArticleAgeDays * 24 * 60 * 60 * 1000;
+        const perSource = new Map();
+
+        this.articles = this.articles
+            .filter(article => article.pubDate >= cutoff)
+            .sort((a, b) => b.pubDate - a.pubDate)
+            .filter(article => {
+                const count = (perSource.get(article.source) || 0) + 1;
+                perSource.set(article.source, count);
+                return count <= this.maxArticlesPerSource;
+            });
+
+        return before - this.articles.length;
+    }
+
+    // Articles from fullText feeds that have never been through extraction, newest first
+    pendingExtractions() {
+        const fullTextFeeds = this.feeds.filter(feed => feed.fullText);
+        if (fullTextFeeds.length === 0) return [];
+        return this.articles
+            .filter(article => !article.extractedAt && fullTextFeeds.some(feed => this.belongsToFeed(article, feed)))
+            .slice(0, this.maxExtractionsPerRefresh);
+    }
+
+    // Extract pending fullText articles a few at a time, then reindex so search sees the new text
+    async extractPending() {
+        const queue = this.pendingExtractions();
+        let succeeded = 0;
+        const worker = async () => {
+            while (queue.length > 0) {
+                if (await this.extractFullText(queue.shift())) succeeded++;
+            }
+        };
+        const attempted = queue.length;
+        await Promise.all(Array.from({ length: Math.min(EXTRACTION_CONCURRENCY, attempted) }, worker));
+        if (succeeded > 0) this.reindex();
+        return { attempted, succeeded };
+    }
+
+    /**
+     * Fetch an article's page and store its readable content as `fullContent` (sanitized HTML)
+     * and `byline`. Failures are recorded in `extractionError` so refreshes don't retry them;
+     * the reader view still can. Concurrent calls for one article share a single fetch.
+     */
+    extractFullText(article) {
+        if (this.extractions.has(article.id)) return this.extractions.get(article.id);
+        const extraction = (async () => {
+            try {
+                const { content, byline } = await this.extractor.extract(article.url);
+                article.fullContent = content;
+                if (byline) article.byline = byline;
+                delete article.extractionError;
+                delete article.topics; // Retagged from the full text on reindex
+                return true;
+            } catch (error) {
+                if (!(error instanceof ExtractionError)) throw error;
+                article.extractionError = error.message;
+                this.logger.log(`  ✗ Full text for "${article.title}" failed: ${error.message}`);
                 return false;
+            } finally {
+                article.extractedAt = new Date();
+                this.extractions.delete(article.id);
             }
-            seen.add(article.url);
+        })();
+        this.extractions.set(article.id, extraction);
+        return extraction;
+    }
+
+    /**
+     * Reader view for an article: its extracted content, extracted now if it never was or
+     * failed before. Falls back to the feed's own content (sanitized) when extraction fails.
+     * Newly extracted text is saved right away and reaches the search index on the next refresh.
+     */
+    async readableArticle(id) {
+        const article = this.articlesById.get(id);
+        if (!article) throw new ExtractionError(`Article not found: ${id}`, 404);
+
+        if (!article.fullContent) {
+            const extracted = await this.extractFullText(article);
+            if (extracted) await this.saveToFile();
+        }
+
+        return {
+            id: article.id,
+            title: article.title,
+            url: article.url,
+            source: article.source,
+            byline: article.byline || null,
+            pubDate: article.pubDate,
+            extracted: Boolean(article.fullContent),
+            extractionError: article.extractionError || null,
+            content: article.fullContent || sanitizeContent(article.content || article.snippet)
+        };
+    }
+
+    // Write feeds.json via a temp file and rename so a crash never leaves it half-written.
+    // Writes are chained so concurrent edits land in order.
+    saveFeeds() {
+        const write = async () => {
+            const tmpFile = `${this.feedsFile}.${process.pid}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify({ feeds: this.feeds }, null, 2));
+            await fs.rename(tmpFile, this.feedsFile);
+        };
+        this.feedsWrite = this.feedsWrite.then(write, write);
+        return this.feedsWrite;
+    }
+
+    // Plain-text snippet of at most 300 characters (see plainText in sanitize.js)
+    cleanDescription(text) {
+        return plainText(text).substring(0, 300);
+    }
+
+    // Tag untagged articles and rebuild the inverted index after the article set changes
+    reindex() {
+        this.tagger.tagArticles(this.articles);
+        this.searchIndex.build(this.articles);
+        this.clusterer.cluster(this.articles);
+        this.articlesById = new Map(this.articles.map(article => [article.id, article]));
+
+        this.clusters = new Map();
+        this.articles.forEach(article => {
+            if (!article.clusterId) return;
+            if (!this.clusters.has(article.clusterId)) this.clusters.set(article.clusterId, []);
+            this.clusters.get(article.clusterId).push(article);
+        });
+    }
+
+    // Other outlets carrying the same story, one entry per source
+    alsoCoveredBy(article) {
+        if (!article.clusterId) return [];
+        const seen = new Set([article.source]);
+        const coverage = [];
+        for (const other of this.clusters.get(article.clusterId) || []) {
+            if (seen.has(other.source)) continue;
+            seen.add(other.source);
+            coverage.push({ source: other.source, title: other.title, url: other.url });
+        }
+        return coverage;
+    }
+
+    // Keep the best-ranked article of each story cluster
+    collapseClusters(results) {
+        const seen = new Set();
+        return results.filter(({ article }) => {
+            if (!article.clusterId) return true;
+            if (seen.has(article.clusterId)) return false;
+            seen.add(article.clusterId);
             return true;
         });
     }
 
-    cleanDescription(text) {
-        // Remove HTML tags
-        let cleaned = text.replace(/<[^>]*>/g, '');
-        // Decode HTML entities
-        cleaned = cleaned.replace(/&nbsp;/g, ' ')
-                        .replace(/&amp;/g, '&')
-                        .replace(/&lt;/g, '<')
-                        .replace(/&gt;/g, '>')
-                        .replace(/&quot;/g, '"')
-                        .replace(/&#39;/g, "'");
-        // Trim and limit length
-        cleaned = cleaned.trim().substring(0, 300);
-        return cleaned;
-    }
-
-    search(query, limit = 20, offset = 0) {
-        if (!query || query.trim() === '') {
-            // Return recent articles if no query
-            return this.articles.slice(0, limit);
-        }
-
-        const queryLower = query.toLowerCase();
-        const queryWords = queryLower.split(/\s+/);
-
-        // Score each article
-        const scoredArticles = this.articles.map(article => {
-            let score = 0;
-
-            // Check title (highest weight)
-            const titleLower = article.title.toLowerCase();
-            queryWords.forEach(word => {
-                if (titleLower.includes(word)) {
-                    score += 10;
-                }
+    search(query, limit = 20, offset = 0, params = {}) {
+        return this.query({ ...params, q: query, limit, offset }).articles;
+    }
+
+    // Normalize /search filter parameters; throws QuerySyntaxError for bad values
+    parseFilters({ source, category, topic, since, until, hasImage, sort, collapse, exclude, mutedSources, unread } = {}) {
+        const list = value => [].concat(value ?? [])
+            .flatMap(v => String(v).split(','))
+            .map(v => v.trim().toLowerCase())
+            .filter(Boolean);
+        const date = (name, value) => {
+            if (value === undefined || value === '') return null;
+            const parsed = new Date(value);
+            if (Number.isNaN(parsed.getTime())) throw new QuerySyntaxError(`Invalid ${name} date: "${value}"`);
+            // A bare until=YYYY-MM-DD includes that whole day
+            if (name === 'until' && /^\d{4}-\d{2}-\d{2}$/.test(value)) parsed.setUTCHours(23, 59, 59, 999);
+            return parsed;
+        };
+
+        if (sort !== undefined && !SORT_ORDERS.includes(sort)) {
+            throw new QuerySyntaxError(`Invalid sort "${sort}" (expected ${SORT_ORDERS.join(' or ')})`);
+        }
+        if (hasImage !== undefined && !['true', 'false', true, false].includes(hasImage)) {
+            throw new QuerySyntaxError(`Invalid hasImage "${hasImage}" (expected true or false)`);
+        }
+        if (collapse !== undefined && !['true', 'false', true, false].includes(collapse)) {
+            throw new QuerySyntaxError(`Invalid collapse "${collapse}" (expected true or false)`);
+        }
+        if (unread !== undefined && !['true', 'false', true, false].includes(unread)) {
+            throw new QuerySyntaxError(`Invalid unread "${unread}" (expected true or false)`);
+        }
+
+        return {
+            sources: list(source),
+            categories: list(category),
+            topics: list(topic),
+            since: date('since', since),
+            until: date('until', until),
+            hasImage: hasImage === undefined ? null : String(hasImage) === 'true',
+            collapse: collapse === undefined || String(collapse) === 'true',
+            excludeKeywords: list(exclude),
+            mutedSources: list(mutedSources),
+            unreadOnly: String(unread) === 'true',
+            stateAsOf: null,
+            sort
+        };
+    }
+
+    // Scored matches for a query; an empty query matches every article
+    rankedMatches(q) {
+        return q.trim() !== ''
+            ? this.searchIndex.search(q)
+            : this.articles.map(article => ({ article, score: 0 }));
+    }
+
+    // Drop matches from muted sources or mentioning an excluded keyword
+    withoutMuted(matches, { excludeKeywords = [], mutedSources = [] }) {
+        if (excludeKeywords.length === 0 && mutedSources.length === 0) return matches;
+        const excluded = new Set();
+        excludeKeywords.forEach(keyword => this.searchIndex.articlesMentioning(keyword).forEach(a => excluded.add(a)));
+        return matches.filter(({ article }) =>
+            !excluded.has(article) && !mutedSources.includes(article.source.toLowerCase())
+        );
+    }
+
+    // Interests are { query, weight, exclude }; bare strings are weight 1 with no exclusions
+    normalizeInterest(interest) {
+        const raw = typeof interest === 'string' ? { query: interest } : interest;
+        const query = typeof raw?.query === 'string' ? raw.query.trim() : '';
+        if (!query) throw new QuerySyntaxError('Each interest needs a non-empty query');
+
+        const weight = raw.weight === undefined ? 1 : Number(raw.weight);
+        if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_INTEREST_WEIGHT) {
+            throw new QuerySyntaxError(`Interest "${query}" has an invalid weight (expected 0 < weight <= ${MAX_INTEREST_WEIGHT})`);
+        }
+        if (raw.exclude !== undefined && !Array.isArray(raw.exclude)) {
+            throw new QuerySyntaxError(`Interest "${query}" exclude must be an array of keywords`);
+        }
+
+        const exclude = (raw.exclude || []).map(k => String(k).trim().toLowerCase()).filter(Boolean);
+        return { query, weight, exclude };
+    }
+
+    // Whether an article passes the parsed filters, optionally ignoring one facet.
+    // Hidden articles never pass; read and hidden flags set after `stateAsOf` are ignored.
+    passesFilters(article, filters, except = null) {
+        const state = this.articleState.get(article.id);
+        const flagged = at => Boolean(at) && (!filters.stateAsOf || at <= filters.stateAsOf);
+        const checks = {
+            state: () => !flagged(state?.hiddenAt) && (!filters.unreadOnly || !flagged(state?.readAt)),
+            source: () => !filters.sources.length || filters.sources.includes(article.source.toLowerCase()),
+            category: () => !filters.categories.length || filters.categories.includes(article.category.toLowerCase()),
+            topic: () => !filters.topics.length || (article.topics || []).some(t => filters.topics.includes(t.toLowerCase())),
+            day: () => (!filters.since || article.pubDate >= filters.since) && (!filters.until || article.pubDate <= filters.until),
+            image: () => filters.hasImage === null || Boolean(article.imageUrl) === filters.hasImage
+        };
+        return Object.entries(checks).every(([name, check]) => name === except || check());
+    }
+
+    // Filter, sort and collapse scored matches into the final ranked list
+    rankResults(matches, filters, hasQuery) {
+        const sort = filters.sort || (hasQuery ? 'relevance' : 'date');
+        let results = matches.filter(({ article }) => this.passesFilters(article, filters));
+        if (sort === 'date') results.sort((a, b) => b.article.pubDate - a.article.pubDate);
+        if (filters.collapse) results = this.collapseClusters(results);
+        return results;
+    }
+
+    // Disjunctive facet counts: each facet is counted with every filter applied except its own
+    facetCounts(articles, filters) {
+        // keyOf may return several values (an article has several topics); each is counted once
+        const count = (except, keyOf) => {
+            const counts = new Map();
+            articles.forEach(article => {
+                if (!this.passesFilters(article, filters, except)) return;
+                [].concat(keyOf(article)).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
             });
+            return [...counts].map(([value, total]) => ({ value, count: total }));
+        };
 
-            // Check snippet
-            const snippetLower = article.snippet.toLowerCase();
-            queryWords.forEach(word => {
-                if (snippetLower.includes(word)) {
-                    score += 5;
+        return {
+            sources: count('source', a => a.source).sort((a, b) => b.count - a.count),
+            categories: count('category', a => a.category).sort((a, b) => b.count - a.count),
+            topics: count('topic', a => a.topics || []).sort((a, b) => b.count - a.count).slice(0, MAX_TOPIC_FACETS),
+            days: count('day', a => new Date(a.pubDate).toISOString().slice(0, 10))
+                .sort((a, b) => b.value.localeCompare(a.value))
+        };
+    }
+
+    /**
+     * Search with filters, sorting and facet counts, as served by /search.
+     * Facets are disjunctive, so the UI can offer the other values of a facet that is already filtered.
+     * Near-duplicate stories are collapsed to their best-ranked article unless collapse=false;
+     * facets still count every article. Returns { total, articles, facets }.
+     */
+    query({ q = '', limit = 20, offset = 0, ...params } = {}) {
+        const filters = this.parseFilters(params);
+        const matches = this.withoutMuted(this.rankedMatches(q), filters);
+        const results = this.rankResults(matches, filters, q.trim() !== '');
+
+        return {
+            total: results.length,
+            articles: results.slice(offset, offset + limit).map(item => item.article),
+            facets: this.facetCounts(matches.map(match => match.article), filters)
+        };
+    }
+
+    encodeCursor(cursor) {
+        return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    }
+
+    decodeCursor(token, interestsKey) {
+        let cursor;
+        try {
+            cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf-8'));
+        } catch {
+            throw new QuerySyntaxError('Invalid cursor');
+        }
+        if (!Array.isArray(cursor?.positions) || typeof cursor.snapshot !== 'number') {
+            throw new QuerySyntaxError('Invalid cursor');
+        }
+        if (cursor.interests !== interestsKey) {
+            throw new QuerySyntaxError('Cursor does not match these interests; start again without a cursor');
+        }
+        return cursor;
+    }
+
+    /**
+     * Personalized feed across several interests, as served by POST /feed.
+     *
+     * Each interest is ranked like /search (same filters and collapsing), minus its own exclude
+     * keywords and the global `muted` keywords and sources. Pages are built by weighted
+     * round-robin: every turn an interest earns `weight` credits and takes one article per whole
+     * credit, skipping stories already shown, until the page holds `limit` articles or each
+     * interest has given perInterest x weight. The cursor records how far each interest's list
+     * has been consumed, plus a snapshot time so articles fetched after the first page never
+     * shift later pages. An article counts as already shown when any interest's list has been
+     * consumed past it, so no state beyond the cursor is needed.
+     *
+     * Returns { articles: [{ article, interest, matchedInterests }], nextCursor, facets, errors }.
+     */
+    personalizedFeed({ interests = [], perInterest = 5, limit = 10, cursor = null, muted = {}, ...params } = {}) {
+        const filters = this.parseFilters(params);
+        const interestList = [];
+        for (const interest of interests) {
+            const normalized = this.normalizeInterest(interest);
+            if (!interestList.some(({ query }) => query === normalized.query)) interestList.push(normalized);
+        }
+        const mutedKeywords = (muted.keywords || []).map(k => String(k).trim().toLowerCase()).filter(Boolean);
+        const mutedSources = (muted.sources || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+
+        const interestsKey = crypto.createHash('sha1')
+            .update(JSON.stringify([interestList, mutedKeywords, mutedSources]))
+            .digest('hex').slice(0, 12);
+        const state = cursor
+            ? this.decodeCursor(cursor, interestsKey)
+            : { positions: interestList.map(() => 0), snapshot: Date.now(), interests: interestsKey };
+
+        // Reading or hiding articles between pages must not shift the cursor positions
+        filters.stateAsOf = state.snapshot;
+
+        const storyKey = article => article.clusterId || article.url;
+        const errors = [];
+        const facetArticles = new Set();
+
+        const lists = interestList.map(({ query, exclude }) => {
+            let matches;
+            try {
+                matches = this.rankedMatches(query);
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error;
+                errors.push({ interest: query, message: error.message });
+                return [];
+            }
+            const current = this.withoutMuted(
+                matches.filter(({ article }) => article.fetchedAt <= state.snapshot),
+                { excludeKeywords: [...mutedKeywords, ...exclude], mutedSources: [...mutedSources, ...filters.mutedSources] }
+            );
+            current.forEach(({ article }) => facetArticles.add(article));
+            return this.rankResults(current, filters, true).map(({ article }) => article);
+        });
+
+        // Story key -> [interest index, position] entries, to tell which interests matched and what was shown
+        const placements = new Map();
+        lists.forEach((list, index) => list.forEach((article, position) => {
+            const key = storyKey(article);
+            if (!placements.has(key)) placements.set(key, []);
+            placements.get(key).push([index, position]);
+        }));
+
+        const positions = [...state.positions];
+        const shownBefore = key => placements.get(key).some(([index, position]) => position < state.positions[index]);
+        const shownNow = new Set();
+        const taken = interestList.map(() => 0);
+        const credits = interestList.map(() => 0);
+        const caps = interestList.map(({ weight }) => Math.max(1, Math.round(perInterest * weight)));
+        const order = interestList.map((_, index) => index).sort((a, b) => interestList[b].weight - interestList[a].weight);
+        const page = [];
+
+        // Next unseen article from an interest's list, or null when the list runs out
+        const takeNext = index => {
+            const list = lists[index];
+            while (positions[index] < list.length) {
+                const article = list[positions[index]++];
+                const key = storyKey(article);
+                if (shownNow.has(key) || shownBefore(key)) continue;
+                shownNow.add(key);
+                return article;
+            }
+            return null;
+        };
+        const isActive = index => taken[index] < caps[index] && positions[index] < lists[index].length;
+
+        while (page.length < limit && order.some(isActive)) {
+            for (const index of order) {
+                if (!isActive(index)) continue;
+                credits[index] += interestList[index].weight;
+                while (credits[index] >= 1 && page.length < limit && isActive(index)) {
+                    const article = takeNext(index);
+                    if (!article) break;
+                    credits[index]--;
+                    taken[index]++;
+                    page.push({
+                        article,
+                        interest: interestList[index].query,
+                        matchedInterests: [...new Set(placements.get(storyKey(article)).map(([i]) => interestList[i].query))]
+                    });
                 }
-            });
+            }
+        }
 
-            // Check keywords
-            article.keywords.forEach(keyword => {
-                queryWords.forEach(word => {
-                    if (keyword.toLowerCase().includes(word) || word.includes(keyword.toLowerCase())) {
-                        score += 3;
-                    }
-                });
+        const exhausted = lists.every((list, index) => positions[index] >= list.length);
+        return {
+            articles: page,
+            nextCursor: exhausted ? null : this.encodeCursor({ ...state, positions }),
+            facets: this.facetCounts([...facetArticles], filters),
+            errors
+        };
+    }
+
+    /**
+     * Which of the given articles (e.g. a refresh's new ones) match any of the interests, newest first.
+     * Muted keywords and sources, interest exclusions and hidden articles are dropped; malformed
+     * interests match nothing. Each result is { article, interest, matchedInterests }.
+     */
+    matchingArticles(articles, { interests = [], muted = {} } = {}) {
+        const candidates = new Set(articles);
+        if (candidates.size === 0) return [];
+        const filters = this.parseFilters();
+        const mutedKeywords = (muted.keywords || []).map(k => String(k).trim().toLowerCase()).filter(Boolean);
+        const mutedSources = (muted.sources || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+
+        const matched = new Map();
+        for (const interest of interests) {
+            let normalized;
+            let matches;
+            try {
+                normalized = this.normalizeInterest(interest);
+                matches = this.rankedMatches(normalized.query);
+            } catch (error) {
+                if (error instanceof QuerySyntaxError) continue;
+                throw error;
+            }
+            this.withoutMuted(
+                matches.filter(({ article }) => candidates.has(article) && this.passesFilters(article, filters)),
+                { excludeKeywords: [...mutedKeywords, ...normalized.exclude], mutedSources }
+            ).forEach(({ article }) => {
+                if (!matched.has(article)) matched.set(article, []);
+                matched.get(article).push(normalized.query);
             });
+        }
+
+        return [...matched]
+            .map(([article, matchedInterests]) => ({ article, interest: matchedInterests[0], matchedInterests }))
+            .sort((a, b) => b.article.pubDate - a.article.pubDate);
+    }
 
-            // Check category
-            if (article.category.toLowerCase().includes(queryLower)) {
-                score += 7;
+    // Trending terms over the last `hours` hours (see trend-detector.js); throws QuerySyntaxError for bad values
+    trending({ hours, limit } = {}) {
+        const windowHours = hours === undefined || hours === '' ? undefined : Number(hours);
+        if (windowHours !== undefined && !(windowHours > 0 && windowHours <= 7 * 24)) {
+            throw new QuerySyntaxError(`Invalid hours "${hours}" (expected 0 < hours <= 168)`);
+        }
+        return this.trendDetector.detect(this.articles, {
+            windowHours,
+            limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50)
+        });
+    }
+
+    /**
+     * Daily digest for a set of interests: the top stories of one day per interest, one article
+     * per story cluster, at most `perInterest` x weight per interest and DIGEST_MAX_STORIES in
+     * all; a story matching several interests is listed once, under the heaviest. `date`
+     * (YYYY-MM-DD, UTC) picks a day; by default the digest covers the last 24 hours.
+     * Interests are handled as in personalizedFeed; hidden articles are left out.
+     *
+     * Returns { since, until, sections: [{ interest, stories: [{ article, alsoCoveredBy }], more }],
+     * trending, stats, errors }; `more` counts the matching stories that didn't fit.
+     */
+    dailyDigest({ interests = [], muted = {}, date, perInterest = DIGEST_STORIES_PER_INTEREST, now = Date.now() } = {}) {
+        let since;
+        let until;
+        if (date === undefined || date === '') {
+            until = new Date(now);
+            since = new Date(now - DAY_MS);
+        } else {
+            since = new Date(`${date}T00:00:00Z`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(since.getTime())) {
+                throw new QuerySyntaxError(`Invalid digest date: "${date}" (expected YYYY-MM-DD)`);
             }
+            until = new Date(since.getTime() + DAY_MS - 1);
+        }
 
-            // Boost recent articles
-            const ageInDays = (Date.now() - article.pubDate) / (1000 * 60 * 60 * 24);
-            if (ageInDays < 1) score += 2;
-            else if (ageInDays < 7) score += 1;
+        const interestList = [];
+        for (const interest of interests) {
+            const normalized = this.normalizeInterest(interest);
+            if (!interestList.some(({ query }) => query === normalized.query)) interestList.push(normalized);
+        }
+        interestList.sort((a, b) => b.weight - a.weight);
+        const mutedKeywords = (muted.keywords || []).map(k => String(k).trim().toLowerCase()).filter(Boolean);
+        const mutedSources = (muted.sources || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+        const filters = { ...this.parseFilters(), since, until };
+
+        const storyKey = article => article.clusterId || article.url;
+        const listed = new Set();
+        const errors = [];
+        let total = 0;
+        const sections = interestList.map(({ query, weight, exclude }) => {
+            let matches;
+            try {
+                matches = this.rankedMatches(query);
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error;
+                errors.push({ interest: query, message: error.message });
+                return { interest: query, stories: [], more: 0 };
+            }
+            const ranked = this.rankResults(
+                this.withoutMuted(matches, { excludeKeywords: [...mutedKeywords, ...exclude], mutedSources }),
+                filters,
+                true
+            ).filter(({ article }) => !listed.has(storyKey(article)));
 
-            return { article, score };
+            const cap = Math.min(Math.max(1, Math.round(perInterest * weight)), DIGEST_MAX_STORIES - total);
+            const stories = ranked.slice(0, cap).map(({ article }) => {
+                listed.add(storyKey(article));
+                return { article, alsoCoveredBy: this.alsoCoveredBy(article) };
+            });
+            total += stories.length;
+            return { interest: query, stories, more: ranked.length - stories.length };
         });
 
-        // Filter articles with score > 0 and sort by score
-        const results = scoredArticles
-            .filter(item => item.score > 0)
-            .sort((a, b) => b.score - a.score)
-            .slice(offset, offset + limit)
-            .map(item => item.article);
+        const { totalArticles, totalFeeds, healthyFeeds, failingFeeds, deadSources, lastUpdate } = this.getStats();
+        const published = this.articles.filter(article => article.pubDate >= since && article.pubDate <= until);
+        return {
+            since,
+            until,
+            sections,
+            trending: this.trendDetector.detect(this.articles, { now: until.getTime(), limit: DIGEST_TRENDING }),
+            stats: {
+                articles: published.length,
+                stories: new Set(published.map(storyKey)).size,
+                sources: new Set(published.map(article => article.source)).size,
+                totalArticles,
+                totalFeeds,
+                healthyFeeds,
+                failingFeeds,
+                deadSources,
+                lastUpdate
+            },
+            errors
+        };
+    }
 
-        return results;
+    // Read/saved/hidden flags for an article id
+    getArticleState(id) {
+        const state = this.articleState.get(id) || {};
+        return Object.fromEntries(Object.entries(STATE_FLAGS).map(([flag, field]) => [flag, Boolean(state[field])]));
+    }
+
+    /**
+     * Set or clear read/saved/hidden on one or more articles, e.g. { saved: true, read: false }.
+     * Unknown ids are a 404, unless they are bookmarks whose article has aged out of the archive.
+     * Saving an article stores a copy of it so the Saved view survives retention.
+     * Returns [{ id, read, saved, hidden }] and persists the change.
+     */
+    async setArticleState(ids, changes) {
+        if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+            throw new ArticleStateError('ids must be a non-empty array of article ids');
+        }
+        const flags = Object.keys(changes || {}).filter(flag => changes[flag] !== undefined);
+        if (flags.length === 0) {
+            throw new ArticleStateError(`Nothing to update (expected one of: ${Object.keys(STATE_FLAGS).join(', ')})`);
+        }
+        for (const flag of flags) {
+            if (!STATE_FLAGS[flag]) throw new ArticleStateError(`Unknown state "${flag}" (expected one of: ${Object.keys(STATE_FLAGS).join(', ')})`);
+            if (typeof changes[flag] !== 'boolean') throw new ArticleStateError(`${flag} must be true or false`);
+        }
+        const unknown = ids.find(id => !this.articlesById.has(id) && !this.articleState.has(id));
+        if (unknown) throw new ArticleStateError(`Article not found: ${unknown}`, 404);
+
+        const now = new Date();
+        for (const id of ids) {
+            const state = { ...this.articleState.get(id) };
+            const article = this.articlesById.get(id);
+            for (const flag of flags) {
+                const field = STATE_FLAGS[flag];
+                if (!changes[flag]) delete state[field];
+                else if (!state[field]) state[field] = now;
+            }
+            if (state.savedAt && article) state.article = this.savedCopy(article);
+            if (!state.savedAt) delete state.article;
+
+            if (Object.values(STATE_FLAGS).some(field => state[field])) this.articleState.set(id, state);
+            else this.articleState.delete(id);
+        }
+
+        await this.storage.saveArticleState(this.articleState, ids);
+        return ids.map(id => ({ id, ...this.getArticleState(id) }));
+    }
+
+    // Fields kept for a bookmark once the article itself is pruned
+    savedCopy(article) {
+        const { id, title, url, snippet, imageUrl, source, category, topics, pubDate } = article;
+        return { id, title, url, snippet, imageUrl, source, category, topics, pubDate };
+    }
+
+    // Saved articles, most recently saved first; pruned ones come from their stored copy
+    savedArticles() {
+        return [...this.articleState]
+            .filter(([, state]) => state.savedAt)
+            .sort((a, b) => b[1].savedAt - a[1].savedAt)
+            .map(([id, state]) => this.articlesById.get(id) || state.article);
+    }
+
+    // Forget read/hidden flags of articles that left the archive; bookmarks are kept.
+    // Returns the ids that were dropped.
+    pruneArticleState() {
+        const pruned = [];
+        this.articleState.forEach((state, id) => {
+            if (state.savedAt || this.articlesById.has(id)) return;
+            this.articleState.delete(id);
+            pruned.push(id);
+        });
+        return pruned;
+    }
+
+    /**
+     * Freshness of the archive: `stale` when lastUpdate is older than staleAfter and some feed
+     * is overdue (so a quiet schedule with long feed intervals is not stale), `refreshing`
+     * while a refresh is running.
+     */
+    cacheStatus(now = Date.now()) {
+        const cacheAgeMs = this.lastUpdate ? now - this.lastUpdate : null;
+        const nextRefresh = this.nextRefreshAt();
+        const overdue = nextRefresh !== null && nextRefresh <= now;
+        return {
+            lastUpdate: this.lastUpdate,
+            cacheAgeMs,
+            stale: cacheAgeMs === null || (cacheAgeMs > this.staleAfter && overdue),
+            refreshing: this.currentRefresh !== null
+        };
     }
 
     getStats() {
+        const health = this.feeds.map(feedConfig => this.feedHealth(feedConfig));
         return {
             totalArticles: this.articles.length,
             totalFeeds: this.feeds.length,
-            lastUpdate: this.lastUpdate,
+            healthyFeeds: health.filter(h => h.state === 'healthy').length,
+            failingFeeds: health.filter(h => h.state === 'failing').length,
+            disabledFeeds: health.filter(h => h.state === 'disabled').length,
+            deadSources: health.filter(h => h.state === 'failing' || h.state === 'disabled').map(h => h.source),
+            ...this.cacheStatus(),
             categories: [...new Set(this.articles.map(a => a.category))],
-            sources: [...new Set(this.articles.map(a => a.source))]
+            sources: [...new Set(this.articles.map(a => a.source))],
+            savedArticles: this.savedArticles().length,
+            storage: this.storage.describe()
         };
     }
 
-    // Save articles to JSON file (optional, for persistence)
+    // Open storage, upgrading archives left by older versions with restoreArticle. Load feeds first.
+    async openStorage() {
+        await this.storage.open({ restoreArticle: article => this.restoreArticle(article) });
+    }
+
+    // Persist the archive and feed status to storage; reader state is saved as it changes.
+    // Rejects when storage does, see saveToFile() for the logging variant
+    async saveArchive() {
+        await this.storage.saveArchive({
+            articles: this.articles,
+            lastUpdate: this.lastUpdate,
+            feedStatus: this.feedStatus
+        });
+        const pruned = this.pruneArticleState();
+        if (pruned.length > 0) await this.storage.saveArticleState(this.articleState, pruned);
+        this.logger.log(`✓ Articles saved to ${this.storage.describe().backend} storage`);
+    }
+
     async saveToFile() {
         try {
-            const data = {
-                articles: this.articles,
-                lastUpdate: this.lastUpdate
-            };
-            await fs.writeFile('./articles-cache.json', JSON.stringify(data, null, 2));
-            console.log('✓ Articles cached to file');
+            await this.saveArchive();
         } catch (error) {
-            console.error('Error saving articles cache:', error.message);
+            this.logger.error('Error saving articles:', error.message);
         }
     }
 
-    // Load articles from JSON file (optional, for persistence)
+    // Load the archive, feed status and reader state from storage.
+    // Returns false when there are no stored articles yet.
     async loadFromFile() {
         try {
-            const data = await fs.readFile('./articles-cache.json', 'utf-8');
-            const parsed = JSON.parse(data);
-            this.articles = parsed.articles.map(a => ({
-                ...a,
-                pubDate: new Date(a.pubDate),
-                fetchedAt: new Date(a.fetchedAt)
-            }));
-            this.lastUpdate = new Date(parsed.lastUpdate);
-            console.log(`✓ Loaded ${this.articles.length} articles from cache`);
-            return true;
+            const archive = await this.storage.load();
+            if (!archive) {
+                this.logger.log('ℹ No stored articles found, will fetch fresh data');
+                return false;
+            }
+            this.restoreArchive(archive);
+            this.logger.log(`✓ Loaded ${this.articles.length} articles from ${this.storage.describe().backend} storage`);
+            return this.articles.length > 0;
         } catch (error) {
-            console.log('ℹ No cache file found, will fetch fresh data');
+            this.logger.error('Error loading articles:', error.message);
             return false;
         }
     }
+
+    // Adopt a revived archive (see reviveArchive) as the current state
+    restoreArchive({ articles, lastUpdate, feedStatus, articleState }) {
+        this.articles = articles.map(article => this.restoreArticle(article));
+        this.articleState = new Map(Object.entries(articleState));
+        this.lastUpdate = lastUpdate;
+        this.restoreFeedStatus(feedStatus);
+        this.reindex();
+    }
+
+    // Fill in fields that older archives did not store: the feed is found by source name, then the id derives from it.
+    // Archives written before feed fields were normalized, or imported from elsewhere, may carry unsafe links
+    restoreArticle(article) {
+        const feedUrl = article.feedUrl || this.feeds.find(feed => feed.source === article.source)?.url;
+        const restored = { ...article, ...(feedUrl && { feedUrl }) };
+        restored.id = article.id || this.articleId(restored);
+        restored.lastSeenAt = article.lastSeenAt || article.fetchedAt;
+        if (restored.url && !safeUrl(restored.url)) restored.url = '';
+        if (restored.imageUrl && !safeUrl(restored.imageUrl)) delete restored.imageUrl;
+        // Imported topics are only trusted as a list of strings; anything else is retagged
+        if (!Array.isArray(restored.topics) || !restored.topics.every(topic => typeof topic === 'string')) delete restored.topics;
+        return restored;
+    }
+
+    // Why an imported article cannot be stored, or null. Storage requires these fields (see the articles table)
+    invalidArticle(article) {
+        if (!article || typeof article !== 'object') return 'Not an article';
+        const missing = ['title', 'source', 'category'].filter(field => typeof article[field] !== 'string' || !article[field].trim());
+        if (typeof article.url !== 'string') missing.push('url');
+        if (missing.length > 0) return `Missing ${missing.join(', ')}`;
+        if (!validDate(article.pubDate)) return 'Missing or invalid pubDate';
+        return null;
+    }
+
+    // An article from an imported archive, held to the same rules as one from a feed: plain-text
+    // title and snippet, sanitized content, and dates that storage can write. Null when invalid.
+    importedArticle(article) {
+        if (this.invalidArticle(article)) return null;
+        const imported = {
+            ...article,
+            title: plainText(article.title) || 'Untitled',
+            source: plainText(article.source) || article.source,
+            category: plainText(article.category) || article.category,
+            snippet: this.cleanDescription(typeof article.snippet === 'string' ? article.snippet : ''),
+            content: sanitizeContent(typeof article.content === 'string' ? article.content : ''),
+            fetchedAt: validDate(article.fetchedAt) ? article.fetchedAt : new Date()
+        };
+        if (!validDate(article.lastSeenAt)) delete imported.lastSeenAt;
+        if (typeof article.fullContent === 'string') imported.fullContent = sanitizeContent(article.fullContent);
+        else delete imported.fullContent;
+        ['updatedAt', 'extractedAt'].forEach(field => {
+            if (!validDate(imported[field])) delete imported[field];
+        });
+        return this.restoreArticle(imported);
+    }
+
+    // Reader state from an imported archive: only the known flags, and a bookmark copy that is a valid article
+    importedState(state) {
+        if (!state || typeof state !== 'object') return null;
+        const imported = {};
+        Object.values(STATE_FLAGS).forEach(field => {
+            if (validDate(state[field])) imported[field] = state[field];
+        });
+        if (imported.savedAt && state.article) {
+            const article = this.importedArticle({ fetchedAt: state.savedAt, ...state.article });
+            if (article) imported.article = this.savedCopy(article);
+        }
+        return Object.keys(imported).length > 0 ? imported : null;
+    }
+
+    // The whole archive as one JSON document, the import/export format
+    exportArchive() {
+        return serializeArchive({
+            articles: this.articles,
+            lastUpdate: this.lastUpdate,
+            feedStatus: this.feedStatus,
+            articleState: this.articleState
+        });
+    }
+
+    /**
+     * Merge an exported archive (or an old articles-cache.json) into the current one.
+     * Articles merge like a refresh; reader state and feed status are only taken for
+     * articles and feeds that have none yet. Articles that storage could not hold are
+     * skipped and listed in `invalid` as { index, id, reason }. Rejects when saving fails.
+     * Returns { added, updated, pruned, states, invalid }.
+     */
+    async importArchive(data) {
+        const archive = reviveArchive(data);
+        const articles = [];
+        const invalid = [];
+        archive.articles.forEach((article, index) => {
+            const imported = this.importedArticle(article);
+            if (imported) articles.push(imported);
+            else invalid.push({ index, id: article?.id || null, reason: this.invalidArticle(article) });
+        });
+        const result = this.mergeArticles(articles);
+
+        const states = [];
+        for (const [id, state] of Object.entries(archive.articleState)) {
+            if (this.articleState.has(id)) continue;
+            const imported = this.importedState(state);
+            if (!imported) continue;
+            this.articleState.set(id, imported);
+            states.push(id);
+        }
+        const unknownStatus = Object.fromEntries(Object.entries(archive.feedStatus)
+            .filter(([url]) => !this.feedStatus.has(url)));
+        this.restoreFeedStatus(unknownStatus);
+
+        await this.storage.saveArticleState(this.articleState, states);
+        await this.saveArchive();
+        this.logger.log(`✓ Imported archive: ${result.added} new, ${result.updated} updated articles, ` +
+            `${states.length} reader states, ${invalid.length} invalid articles skipped`);
+        return { ...result, states: states.length, invalid };
+    }
+
+    // Saved status comes from storage with dates revived; fields it lacks keep their defaults
+    restoreFeedStatus(saved) {
+        for (const [url, status] of Object.entries(saved)) {
+            this.feedStatus.set(url, { ...this.getFeedStatus(url), ...status });
+        }
+    }
 }
 
 export default RSSAggregator;
@@ -0,0 +1,90 @@
+import sanitizeHtml from 'sanitize-html';
+import { decodeHTML } from 'entities';
+
+// Links and images from feeds must use one of these; javascript:, data:, vbscript: etc. are dropped
+const SAFE_PROTOCOLS = ['http:', 'https:'];
+
+// C0 controls other than tab/newline/carriage return, plus DEL
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Block-level tags whose boundaries should become spaces in plain text ("<p>a</p><p>b</p>" -> "a b")
+const BLOCK_BOUNDARY = /<\/?(?:p|div|br|li|ul|ol|h[1-6]|tr|td|th|blockquote|pre|section|article|figure|figcaption)\b[^>]*>/gi;
+
+// What survives sanitizing article HTML: text structure, links and images. No scripts, styles,
+// forms, iframes or event handlers; links and image sources must be http(s).
+const CONTENT_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+        'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'small', 'mark',
+        'a', 'img', 'figure', 'figcaption', 'picture', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        th: ['colspan', 'rowspan'],
+        td: ['colspan', 'rowspan']
+    },
+    allowedSchemes: ['http', 'https'],
+    allowedSchemesAppliedToAttributes: ['href', 'src'],
+    allowProtocolRelative: false,
+    // An image whose source was dropped is just an empty box
+    exclusiveFilter: frame => frame.tag === 'img' && !frame.attribs.src,
+    transformTags: {
+        // Promote page headings one level: the reader view's <h1> is the article title
+        h1: 'h2',
+        a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' })
+    }
+};
+
+// Everything is text: no tags, and the contents of script/style-like elements are dropped entirely
+const TEXT_OPTIONS = {
+    allowedTags: [],
+    allowedAttributes: {},
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'title', 'head']
+};
+
+// Decode every HTML entity: named ones, decimal and hex references. Invalid code points become U+FFFD.
+export function decodeEntities(text) {
+    return decodeHTML(String(text ?? ''));
+}
+
+/**
+ * Feed-supplied HTML or text as safe plain text: tags parsed out (not regex-stripped),
+ * entities decoded once, control characters removed and whitespace collapsed.
+ * The result is text, never markup; render it with textContent.
+ */
+export function plainText(html) {
+    const withBreaks = String(html ?? '').replace(BLOCK_BOUNDARY, ' $&');
+    return decodeEntities(sanitizeHtml(withBreaks, TEXT_OPTIONS))
+        .replace(CONTROL_CHARS, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// An absolute http(s) URL, resolving relative ones against `base`; null for anything else
+export function safeUrl(value, base) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    try {
+        const url = new URL(value.trim(), base);
+        return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// Article HTML (feed content or an extracted page) cleaned down to the reader-view allowlist
+export function sanitizeContent(html) {
+    return sanitizeHtml(String(html ?? ''), CONTENT_OPTIONS).trim();
+}
+
+// Sanitized article HTML with every image source passed through `rewrite` (e.g. to proxy it);
+// images it returns null for are dropped
+export function rewriteImages(html, rewrite) {
+    return sanitizeHtml(String(html ?? ''), {
+        ...CONTENT_OPTIONS,
+        transformTags: {
+            ...CONTENT_OPTIONS.transformTags,
+            img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, src: rewrite(attribs.src) ?? '' } })
+        }
+    }).trim();
+}
@@ -0,0 +1,280 @@
+import { tokenize, stripTags } from './tokenizer.js';
+import { parseQuery, scoringTerms } from './query-parser.js';
+
+// Field boosts for BM25F scoring: a title hit counts three times a snippet hit
+const FIELD_BOOSTS = {
+    title: 3,
+    category: 2,
+    keywords: 1,
+    topics: 2,
+    snippet: 1,
+    content: 0.5
+};
+
+// BM25 tuning: k1 controls term-frequency saturation, b controls length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Recency multiplier is 1 + RECENCY_WEIGHT * 0.5^(ageDays / RECENCY_HALF_LIFE_DAYS)
+const RECENCY_HALF_LIFE_DAYS = 2;
+const RECENCY_WEIGHT = 0.3;
+
+// Fields that phrases and title:/snippet:/content: qualifiers match against
+const TEXT_FIELDS = ['title', 'snippet', 'content'];
+
+// Inverted index over articles. Each posting stores a precomputed BM25F term weight,
+// so a query only touches the documents that contain its terms. Text fields also keep
+// token positions for phrases, and source/category/topic values and dates are indexed
+// for filters, so no query has to re-read article text or scan every document.
+class SearchIndex {
+    constructor(options = {}) {
+        this.boosts = { ...FIELD_BOOSTS, ...options.boosts };
+        this.k1 = options.k1 ?? BM25_K1;
+        this.b = options.b ?? BM25_B;
+        this.recencyHalfLifeDays = options.recencyHalfLifeDays ?? RECENCY_HALF_LIFE_DAYS;
+        this.recencyWeight = options.recencyWeight ?? RECENCY_WEIGHT;
+
+        this.docs = [];
+        this.postings = new Map();
+        // Text field -> term -> Map(docId -> positions of the term in that field)
+        this.positions = Object.fromEntries(TEXT_FIELDS.map(field => [field, new Map()]));
+        // Filter field -> lowercased value -> docIds
+        this.values = { source: new Map(), category: new Map(), topic: new Map() };
+        // DocIds in publication order, and their publication times
+        this.byDate = new Int32Array(0);
+        this.times = new Float64Array(0);
+    }
+
+    fieldText(article, field) {
+        if (field === 'keywords') return (article.keywords || []).join(' ');
+        if (field === 'topics') return (article.topics || []).join(' ');
+        // Extracted page text, when there is one, supersedes the feed's often truncated content
+        if (field === 'content') return stripTags(article.fullContent || article.content || '');
+        return article[field] || '';
+    }
+
+    build(articles) {
+        const fields = Object.keys(this.boosts);
+        const totals = Object.fromEntries(fields.map(field => [field, 0]));
+
+        const positions = Object.fromEntries(TEXT_FIELDS.map(field => [field, new Map()]));
+
+        // First pass: term counts and lengths per field, and where each term sits in the text fields
+        const docTerms = articles.map((article, docId) => {
+            const perField = {};
+            for (const field of fields) {
+                const tokens = tokenize(this.fieldText(article, field));
+                const counts = new Map();
+                tokens.forEach((token, position) => {
+                    counts.set(token, (counts.get(token) || 0) + 1);
+                    if (!positions[field]) return;
+                    if (!positions[field].has(token)) positions[field].set(token, new Map());
+                    const docs = positions[field].get(token);
+                    if (docs.has(docId)) docs.get(docId).push(position);
+                    else docs.set(docId, [position]);
+                });
+                perField[field] = { counts, length: tokens.length };
+                totals[field] += tokens.length;
+            }
+            return perField;
+        });
+
+        const avgLength = Object.fromEntries(
+            fields.map(field => [field, Math.max(totals[field] / Math.max(articles.length, 1), 1)])
+        );
+
+        // Second pass: fold field frequencies into one length-normalized, boosted weight per posting
+        const building = new Map();
+        docTerms.forEach((perField, docId) => {
+            const weights = new Map();
+            for (const field of fields) {
+                const { counts, length } = perField[field];
+                const norm = 1 - this.b + this.b * (length / avgLength[field]);
+                counts.forEach((tf, term) => {
+                    weights.set(term, (weights.get(term) || 0) + this.boosts[field] * tf / norm);
+                });
+            }
+            weights.forEach((weight, term) => {
+                if (!building.has(term)) building.set(term, { docs: [], weights: [] });
+                const posting = building.get(term);
+                posting.docs.push(docId);
+                posting.weights.push(weight);
+            });
+        });
+
+        this.postings = new Map();
+        building.forEach((posting, term) => {
+            this.postings.set(term, {
+                docs: Int32Array.from(posting.docs),
+                weights: Float32Array.from(posting.weights)
+            });
+        });
+        this.docs = articles;
+        this.positions = positions;
+        this.indexFilters(articles);
+    }
+
+    // Filter values and publication dates; a date that doesn't parse matches neither before: nor after:
+    indexFilters(articles) {
+        const values = { source: new Map(), category: new Map(), topic: new Map() };
+        const add = (field, value, docId) => {
+            const key = value.toLowerCase();
+            if (!values[field].has(key)) values[field].set(key, []);
+            values[field].get(key).push(docId);
+        };
+        const dated = [];
+        articles.forEach((article, docId) => {
+            add('source', article.source || '', docId);
+            add('category', article.category || '', docId);
+            new Set((article.topics || []).map(topic => topic.toLowerCase())).forEach(topic => add('topic', topic, docId));
+            const time = new Date(article.pubDate).getTime();
+            if (!Number.isNaN(time)) dated.push([time, docId]);
+        });
+        dated.sort((a, b) => a[0] - b[0]);
+
+        this.values = values;
+        this.byDate = Int32Array.from(dated, ([, docId]) => docId);
+        this.times = Float64Array.from(dated, ([time]) => time);
+    }
+
+    idf(term) {
+        const posting = this.postings.get(term);
+        if (!posting) return 0;
+        const n = this.docs.length;
+        const df = posting.docs.length;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    recencyMultiplier(article, now = Date.now()) {
+        if (!this.recencyWeight) return 1;
+        const ageDays = Math.max(0, (now - new Date(article.pubDate)) / (1000 * 60 * 60 * 24));
+        return 1 + this.recencyWeight * 0.5 ** (ageDays / this.recencyHalfLifeDays);
+    }
+
+    allDocs() {
+        return new Set(this.docs.keys());
+    }
+
+    // Whether the document's field (or any text field) holds the terms consecutively
+    containsSequence(docId, terms, field) {
+        const fields = field ? [field] : TEXT_FIELDS;
+        return fields.some(f => {
+            const lists = terms.map(term => this.positions[f].get(term)?.get(docId));
+            if (lists.some(list => !list)) return false;
+            const following = lists.slice(1).map(list => new Set(list));
+            return lists[0].some(start => following.every((list, k) => list.has(start + k + 1)));
+        });
+    }
+
+    // Documents containing a term: anywhere, or in one text field
+    termDocs(term, field) {
+        if (field) return new Set(this.positions[field].get(term)?.keys() || []);
+        return new Set(this.postings.get(term)?.docs || []);
+    }
+
+    // Set of document ids matching a query AST node
+    matchDocs(node) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase': {
+                const terms = node.type === 'term' ? [node.term] : node.terms;
+                // Candidates contain every term (in the field, if qualified); phrases are then checked by position
+                let candidates = null;
+                for (const term of terms) {
+                    const docs = this.termDocs(term, node.field);
+                    candidates = candidates ? new Set([...candidates].filter(docId => docs.has(docId))) : docs;
+                }
+                if (node.type === 'term') return candidates;
+                return new Set([...candidates].filter(docId => this.containsSequence(docId, terms, node.field)));
+            }
+            case 'filter': {
+                // source: matches part of a name, category: and topic: the whole value
+                if (node.field !== 'source') return new Set(this.values[node.field].get(node.value) || []);
+                const matches = [];
+                this.values.source.forEach((docIds, source) => {
+                    if (source.includes(node.value)) matches.push(...docIds);
+                });
+                return new Set(matches.sort((a, b) => a - b)); // Document order, which breaks ranking ties
+            }
+            case 'date': {
+                // First document published at or after the date, by binary search
+                let low = 0;
+                let high = this.times.length;
+                while (low < high) {
+                    const middle = (low + high) >> 1;
+                    if (this.times[middle] < node.date.getTime()) low = middle + 1;
+                    else high = middle;
+                }
+                return new Set(node.field === 'before' ? this.byDate.subarray(0, low) : this.byDate.subarray(low));
+            }
+            case 'not': {
+                const excluded = this.matchDocs(node.node);
+                return new Set([...this.allDocs()].filter(docId => !excluded.has(docId)));
+            }
+            case 'and': {
+                // Intersect positive clauses first, then subtract exclusions
+                const positives = node.nodes.filter(child => child.type !== 'not');
+                const negatives = node.nodes.filter(child => child.type === 'not');
+                let matches = positives.length ? null : this.allDocs();
+                for (const child of positives) {
+                    const docs = this.matchDocs(child);
+                    matches = matches ? new Set([...matches].filter(docId => docs.has(docId))) : docs;
+                    if (matches.size === 0) return matches;
+                }
+                for (const child of negatives) {
+                    const excluded = this.matchDocs(child.node);
+                    matches = new Set([...matches].filter(docId => !excluded.has(docId)));
+                }
+                return matches;
+            }
+            case 'or': {
+                const matches = new Set();
+                node.nodes.forEach(child => this.matchDocs(child).forEach(docId => matches.add(docId)));
+                return matches;
+            }
+            default:
+                throw new Error(`Unknown query node: ${node.type}`);
+        }
+    }
+
+    // Articles mentioning a keyword or phrase anywhere, for exclusions and mutes
+    articlesMentioning(text) {
+        const terms = tokenize(text);
+        if (terms.length === 0) return new Set();
+        const node = terms.length === 1 ? { type: 'term', term: terms[0] } : { type: 'phrase', terms };
+        return new Set([...this.matchDocs(node)].map(docId => this.docs[docId]));
+    }
+
+    // Parse the query, find matching documents and rank them by BM25 x recency, best first.
+    // Throws QuerySyntaxError for malformed queries.
+    search(query, now = Date.now()) {
+        const ast = parseQuery(query);
+        if (!ast) return [];
+
+        const matches = this.matchDocs(ast);
+        const scores = new Map([...matches].map(docId => [docId, 0]));
+
+        for (const term of scoringTerms(ast)) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            const idf = this.idf(term);
+            for (let i = 0; i < posting.docs.length; i++) {
+                const docId = posting.docs[i];
+                if (!scores.has(docId)) continue;
+                const weight = posting.weights[i];
+                scores.set(docId, scores.get(docId) + idf * (weight * (this.k1 + 1)) / (weight + this.k1));
+            }
+        }
+
+        // Filter-only queries (e.g. source:BBC) have no relevance scores and rank by recency alone
+        const results = [];
+        scores.forEach((score, docId) => {
+            const article = this.docs[docId];
+            const recency = this.recencyMultiplier(article, now);
+            results.push({ article, score: score > 0 ? score * recency : recency - 1 });
+        });
+        return results.sort((a, b) => b.score - a.score || new Date(b.article.pubDate) - new Date(a.article.pubDate));
+    }
+}
+
+export default SearchIndex;
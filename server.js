@@ -2,7 +2,22 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import RSSAggregator from './rss-aggregator.js';
+import RSSAggregator, { FeedValidationError, ArticleStateError } from './rss-aggregator.js';
+import { QuerySyntaxError } from './query-parser.js';
+import ProfileStore, { ProfileError } from './profile-store.js';
+import ReadingBudget, { BudgetError } from './reading-budget.js';
+import { buildOpml, parseOpml, OpmlError } from './opml.js';
+import { FEED_FORMATS, renderFeed } from './feed-formats.js';
+import { DIGEST_FORMATS, renderDigest } from './digest-formats.js';
+import { createStorage } from './storage.js';
+import LiveEvents, { LiveEventsError } from './live-events.js';
+import { ExtractionError } from './article-extractor.js';
+import UrlGuard from './url-guard.js';
+import AccessControl from './access-control.js';
+import RateLimiter from './rate-limiter.js';
+import ImageProxy, { ImageProxyError } from './image-proxy.js';
+import { rewriteImages } from './sanitize.js';
+import { prepareDataDir, acquireServerLock, releaseServerLock } from './data-dir.js';
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -10,13 +25,137 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const PORT = process.env.BACKEND_PORT;
-const REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const REFRESH_INTERVAL_MINUTES = parseFloat(process.env.REFRESH_INTERVAL_MINUTES) || 30; // Default per-feed interval
+const STALE_CACHE_MINUTES = parseFloat(process.env.STALE_CACHE_MINUTES) || REFRESH_INTERVAL_MINUTES; // Cache age that triggers a warm start
+const WARMING_RETRY_SECONDS = 5; // Retry-After while the first fetch is running
+const MAX_REPORTED_ARTICLES = 100; // Per POST /profiles/:id/usage; an event carries at most 50
+const SCHEDULER_MIN_DELAY = 5 * 1000; // Never spin faster than this
+const SCHEDULER_MAX_DELAY = 60 * 60 * 1000; // Re-check at least hourly
+const SEARCH_RATE_LIMIT = parseInt(process.env.SEARCH_RATE_LIMIT ?? 60); // Per client IP per minute, 0 to disable
+const REFRESH_RATE_LIMIT = parseInt(process.env.REFRESH_RATE_LIMIT ?? 10); // Per client IP per hour, 0 to disable
+
+// Numeric env setting, or undefined to fall back to the aggregator default
+function envNumber(name) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : undefined;
+}
+
+// Comma-separated env setting as a list
+function envList(name) {
+    return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
 
 // Initialize RSS Aggregator
-const aggregator = new RSSAggregator();
+const aggregator = new RSSAggregator({
+    refreshInterval: REFRESH_INTERVAL_MINUTES * 60 * 1000,
+    staleAfter: STALE_CACHE_MINUTES * 60 * 1000,
+    maxArticleAgeDays: envNumber('RETENTION_DAYS'),
+    maxArticlesPerSource: envNumber('MAX_ARTICLES_PER_SOURCE'),
+    recencyHalfLifeDays: envNumber('RECENCY_HALF_LIFE_DAYS'),
+    recencyWeight: envNumber('RECENCY_WEIGHT'),
+    storage: createStorage(process.env.STORAGE || 'sqlite', { file: process.env.DATABASE_FILE || undefined }),
+    urlGuard: new UrlGuard({ allowedHosts: envList('ALLOWED_PRIVATE_HOSTS') })
+});
+const profiles = new ProfileStore();
+const readingBudget = new ReadingBudget();
+const imageProxy = new ImageProxy({
+    urlGuard: aggregator.urlGuard,
+    cacheDir: process.env.IMAGE_CACHE_DIR || undefined,
+    maxCacheBytes: envNumber('IMAGE_CACHE_MB') === undefined ? undefined : envNumber('IMAGE_CACHE_MB') * 1024 * 1024,
+    baseUrl: process.env.BACKEND_URL || '',
+    secret: process.env.IMAGE_PROXY_SECRET
+});
+let refreshTimer = null;
+
+// The frontend has no inline scripts, styles or event handlers, so the policy forbids them all.
+// Article images come through the /img proxy; BACKEND_URL may be a different origin than the page.
+function contentSecurityPolicy() {
+    let backendOrigin = '';
+    try {
+        backendOrigin = process.env.BACKEND_URL ? new URL(process.env.BACKEND_URL).origin : '';
+    } catch {
+        console.error(`✗ Ignoring invalid BACKEND_URL in Content-Security-Policy: ${process.env.BACKEND_URL}`);
+    }
+    return [
+        "default-src 'self'",
+        "script-src 'self'",
+        "style-src 'self'",
+        `img-src 'self' data:${backendOrigin ? ` ${backendOrigin}` : ''}`,
+        `connect-src 'self'${backendOrigin ? ` ${backendOrigin}` : ''}`,
+        "object-src 'none'",
+        "base-uri 'none'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; ');
+}
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': contentSecurityPolicy(),
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer'
+};
+
+const access = new AccessControl({
+    adminToken: process.env.ADMIN_TOKEN || '',
+    allowedOrigins: envList('CORS_ORIGINS')
+});
+const searchLimiter = new RateLimiter({ limit: SEARCH_RATE_LIMIT, windowMs: 60 * 1000 });
+const refreshLimiter = new RateLimiter({ limit: REFRESH_RATE_LIMIT, windowMs: 60 * 60 * 1000 });
+
+// Behind a reverse proxy, TRUST_PROXY (hop count, true, or a subnet list) makes req.ip the real client
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
+// Routes that change feeds or the archive, the archive export and manual refreshes (see access-control.js)
+function requireAdmin(req, res, next) {
+    try {
+        access.authorizeAdmin(req);
+        next();
+    } catch (error) {
+        res.status(error.status).json({ error: 'Not authorized', message: error.message });
+    }
+}
+
+// Routes any reader may use to change the server, such as reading state: only other sites are kept out
+function requireAllowedOrigin(req, res, next) {
+    try {
+        access.authorizeOrigin(req);
+        next();
+    } catch (error) {
+        res.status(error.status).json({ error: 'Not authorized', message: error.message });
+    }
+}
+
+// 429 once a client IP is over the limiter's budget; RateLimit-* headers tell clients where they stand
+function rateLimit(limiter) {
+    return (req, res, next) => {
+        if (!limiter.enabled) return next();
+        const { allowed, limit, remaining, resetAt } = limiter.hit(req.ip);
+        const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(remaining),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+        if (allowed) return next();
+        res.set('Retry-After', String(resetSeconds));
+        res.status(429).json({
+            error: 'Too many requests',
+            message: `Limit of ${limit} requests reached, retry in ${resetSeconds} seconds`
+        });
+    };
+}
 
 // Middleware
-app.use(cors());
+app.use(cors(access.corsOptions()));
+app.use((req, res, next) => {
+    res.set(SECURITY_HEADERS);
+    next();
+});
+// Archives are far bigger than API bodies; check the caller before reading one
+app.use('/archive/import', requireAdmin, express.json({ limit: '200mb' }));
 app.use(express.json());
 
 // Health check endpoint
@@ -26,7 +165,22 @@ app.get('/health', (req, res) => {
         message: 'RSS News Aggregator API',
         endpoints: {
             search: '/search?q=your+query&limit=20',
-            stats: '/stats'
+            feed: 'POST /feed',
+            publishedFeeds: '/feed.rss, /feed.atom, /feed.json',
+            stats: '/stats',
+            feeds: '/feeds',
+            feedStatus: '/feeds/status',
+            exportArchive: '/archive/export.json',
+            importArchive: 'POST /archive/import',
+            exportOpml: '/feeds/export.opml',
+            importOpml: 'POST /feeds/import',
+            saved: '/articles/saved',
+            articleState: 'PUT /articles/:id/state',
+            articleContent: '/articles/:id/content',
+            profiles: '/profiles',
+            profileSettings: '/profiles/:id/settings',
+            events: '/events',
+            image: '/img'
         }
     });
 });
@@ -34,43 +188,155 @@ app.get('/health', (req, res) => {
 // Inject backend URL into config.js before static middleware intercepts it
 app.get("/config.js", (req, res) => {
   res.type("application/javascript");
-  res.send(`window.CONFIG = { BACKEND_URL: "${process.env.BACKEND_URL}" };`);
+  res.send(`window.CONFIG = { BACKEND_URL: ${JSON.stringify(process.env.BACKEND_URL || '')} };`);
+});
+
+// Serve the frontend's assets by name; the project directory also holds the source, .env and feeds.json.
+// index.html is served by the catch-all route at the end.
+const STATIC_ASSETS = ['logic.js', 'styles.css'];
+STATIC_ASSETS.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
 });
 
-// Serve static assets (logic.js, styles.css, etc.)
-app.use(express.static(__dirname, { index: false }));
+// 503 for article endpoints until there is something to serve; `refreshing` tells clients to retry shortly
+function sendNotLoaded(res) {
+    const { refreshing } = aggregator.cacheStatus();
+    if (refreshing) res.set('Retry-After', String(WARMING_RETRY_SECONDS));
+    res.status(503).json({
+        error: refreshing
+            ? 'Articles are being fetched. Please try again in a moment.'
+            : 'Articles not yet loaded. Please try again in a moment.',
+        refreshing,
+        articles: []
+    });
+}
+
+// A reading budget refused the request: 429 with when it lifts
+function sendBudgetError(res, error) {
+    res.set('Retry-After', String(Math.max(Math.ceil((error.retryAt - Date.now()) / 1000), 1)));
+    res.status(error.status).json({
+        error: 'Reading budget reached',
+        message: error.message,
+        reason: error.reason,
+        retryAt: error.retryAt
+    });
+}
+
+// Every route that returns articles goes through the reading budget. A request naming a profile
+// (`profile` in the body or query string, with its token as `Authorization: Bearer <token>` or
+// ?token=) is refused with 429 while the profile is in quiet hours or over budget; a later page
+// (`cursor` or `offset`) also respects the load-more cooldown. The route finds the profile in
+// req.budget and counts what it serves with recordReading.
+function requireReadingBudget(req, res, next) {
+    const profileId = req.body?.profile ?? req.query.profile;
+    if (!profileId) return next();
+    try {
+        const { settings } = profiles.getSettings(String(profileId), bearerToken(req) || req.query.token);
+        req.budget = {
+            profileId: String(profileId),
+            wellbeing: settings?.wellbeing,
+            loadMore: Boolean(req.body?.cursor) || parseInt(req.query.offset) > 0
+        };
+        readingBudget.check(req.budget.profileId, req.budget.wellbeing, { loadMore: req.budget.loadMore });
+        next();
+    } catch (error) {
+        if (error instanceof BudgetError) return sendBudgetError(res, error);
+        if (error instanceof ProfileError) {
+            return res.status(error.status).json({ error: 'Invalid profile', message: error.message });
+        }
+        next(error);
+    }
+}
+
+// Most articles a budgeted request may still be served
+function budgetLimit(req, limit) {
+    return req.budget ? Math.min(limit, readingBudget.remainingArticles(req.budget.profileId, req.budget.wellbeing)) : limit;
+}
+
+// New articles a profile's event stream may carry now: none while the budget refuses a feed page
+function liveArticleLimit({ profileId, wellbeing }) {
+    try {
+        readingBudget.check(profileId, wellbeing);
+    } catch (error) {
+        if (error instanceof BudgetError) return 0;
+        throw error;
+    }
+    return readingBudget.remainingArticles(profileId, wellbeing);
+}
+
+// Count served articles against the request's profile; resolves with its usage, or undefined without one
+async function recordReading(req, articles) {
+    if (!req.budget) return undefined;
+    const { profileId, wellbeing, loadMore } = req.budget;
+    return readingBudget.recordPage(profileId, wellbeing, articles.map(article => article.id), { loadMore });
+}
+
+// Freshness flags included in article responses
+const freshness = () => {
+    const { refreshing, stale, lastUpdate } = aggregator.cacheStatus();
+    return { refreshing, stale, lastUpdate };
+};
+
+// Article fields returned to the frontend
+const articleResponse = article => ({
+    id: article.id,
+    ...aggregator.getArticleState(article.id),
+    title: article.title,
+    url: article.url,
+    snippet: article.snippet,
+    imageUrl: imageProxy.proxyUrl(article.imageUrl), // Never the publisher's URL: see /img
+    source: article.source,
+    category: article.category,
+    topics: article.topics || [],
+    pubDate: article.pubDate,
+    clusterId: article.clusterId || null,
+    alsoCoveredBy: aggregator.alsoCoveredBy(article)
+});
+
+const liveEvents = new LiveEvents(aggregator, { formatArticle: articleResponse });
 
 // Search endpoint
-app.get('/search', (req, res) => {
+// Filters: source, category, topic (comma-separated or repeated), since, until, hasImage; sort=relevance|date;
+// collapse=false lists every copy of a story instead of one article per cluster;
+// exclude and mutedSources (comma-separated) drop articles mentioning those keywords or from those sources;
+// unread=true drops articles marked read. Hidden articles are never returned.
+// ?profile= applies that profile's reading budget (see requireReadingBudget).
+app.get('/search', rateLimit(searchLimiter), requireReadingBudget, async (req, res) => {
     try {
         const query = req.query.q || '';
-        const limit = parseInt(req.query.limit) || 20;
+        const limit = budgetLimit(req, parseInt(req.query.limit) || 20);
         const offset = parseInt(req.query.offset) || 0;
 
         if (aggregator.articles.length === 0) {
-            return res.status(503).json({
-                error: 'Articles not yet loaded. Please try again in a moment.',
-                articles: []
-            });
+            return sendNotLoaded(res);
         }
 
-        const results = aggregator.search(query, limit, offset);
+        const { source, category, topic, since, until, hasImage, sort, collapse, exclude, mutedSources, unread } = req.query;
+        const results = aggregator.query({
+            q: query, limit, offset, source, category, topic, since, until, hasImage, sort, collapse, exclude, mutedSources, unread
+        });
+        const usage = await recordReading(req, results.articles);
 
         res.json({
             query: query,
-            count: results.length,
-            articles: results.map(article => ({
-                title: article.title,
-                url: article.url,
-                snippet: article.snippet,
-                imageUrl: article.imageUrl || null,
-                source: article.source,
-                category: article.category,
-                pubDate: article.pubDate,
+            ...freshness(),
+            usage,
+            count: results.articles.length,
+            total: results.total,
+            offset,
+            facets: results.facets,
+            articles: results.articles.map(article => ({
+                ...articleResponse(article),
                 interest: query // For frontend compatibility
             }))
         });
     } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            return res.status(400).json({
+                error: 'Invalid query',
+                message: error.message
+            });
+        }
         console.error('Search error:', error);
         res.status(500).json({
             error: 'Search failed',
@@ -79,20 +345,247 @@ app.get('/search', (req, res) => {
     }
 });
 
+// Personalized feed: merges, dedupes and interleaves several interests server-side.
+// Body: { interests: [{ query, weight, exclude }], muted: { keywords, sources },
+//         articlesPerInterest, totalArticles, cursor, profile, ...the /search filters }
+// With `profile` (and its token as `Authorization: Bearer <token>`), the profile's reading budget
+// applies: pages are refused with 429 once it is used up, and the response carries `usage`.
+app.post('/feed', rateLimit(searchLimiter), requireReadingBudget, async (req, res) => {
+    try {
+        const {
+            interests, muted, articlesPerInterest, totalArticles, cursor,
+            source, category, topic, since, until, hasImage, sort, unread
+        } = req.body || {};
+
+        if (!Array.isArray(interests) || interests.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid feed request',
+                message: 'interests must be a non-empty array'
+            });
+        }
+
+        if (aggregator.articles.length === 0) {
+            return sendNotLoaded(res);
+        }
+
+        const perInterest = Math.min(Math.max(parseInt(articlesPerInterest) || 5, 1), 20);
+        const limit = budgetLimit(req, Math.min(Math.max(parseInt(totalArticles) || 10, 1), 100));
+        const feed = aggregator.personalizedFeed({
+            interests, muted: muted || {}, perInterest, limit, cursor, source, category, topic, since, until, hasImage, sort, unread
+        });
+        const usage = await recordReading(req, feed.articles.map(({ article }) => article));
+
+        res.json({
+            ...freshness(),
+            usage,
+            count: feed.articles.length,
+            nextCursor: feed.nextCursor,
+            facets: feed.facets,
+            errors: feed.errors,
+            articles: feed.articles.map(({ article, interest, matchedInterests }) => ({
+                ...articleResponse(article),
+                interest,
+                matchedInterests
+            }))
+        });
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            return res.status(error.status).json({
+                error: 'Invalid feed request',
+                message: error.message
+            });
+        }
+        console.error('Feed error:', error);
+        res.status(500).json({
+            error: 'Feed failed',
+            message: error.message
+        });
+    }
+});
+
+// Published feeds: search results or a profile's interests as RSS, Atom or JSON Feed.
+// ?q= and the /search filters pick the articles; ?profile=<id>&token=<token> publishes that
+// profile's personalized feed instead (tokens go in the URL because feed readers can't send headers).
+// Quiet hours and used-up budgets hold for feed readers too, but polling doesn't count as reading.
+app.get('/feed.:format(rss|atom|json)', rateLimit(searchLimiter), requireReadingBudget, (req, res) => {
+    try {
+        const { format } = req.params;
+        const { q = '', profile: profileId, token, source, category, topic, since, until, hasImage, sort, exclude, mutedSources } = req.query;
+        const filters = { source, category, topic, since, until, hasImage, sort, exclude, mutedSources };
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        let title;
+        let articles;
+        if (profileId) {
+            const { settings } = profiles.getSettings(profileId, token);
+            if (!settings?.interests?.length) {
+                return res.status(422).json({ error: 'Feed failed', message: `Profile ${profileId} has no interests` });
+            }
+            const feed = aggregator.personalizedFeed({
+                ...filters,
+                interests: settings.interests,
+                muted: settings.muted || {},
+                perInterest: Math.min(Math.max(parseInt(settings.articlesPerInterest) || 5, 1), 20),
+                limit
+            });
+            title = `Personal News Feed: ${profiles.get(profileId).name}`;
+            articles = feed.articles.map(({ article }) => article);
+        } else {
+            title = q.trim() ? `Personal News Feed: ${q.trim()}` : 'Personal News Feed: latest';
+            articles = aggregator.query({ ...filters, q, limit }).articles;
+        }
+
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        res.type(FEED_FORMATS[format].type);
+        res.send(renderFeed(format, {
+            title,
+            description: `Articles aggregated from ${aggregator.feeds.length} sources`,
+            homeUrl: process.env.BACKEND_URL || baseUrl,
+            selfUrl: `${baseUrl}${req.originalUrl}`,
+            updated: aggregator.lastUpdate || new Date(),
+            articles,
+            // Feed readers fetch images from us too, so the URL must be absolute
+            image: article => {
+                const url = imageProxy.proxyUrl(article.imageUrl, 'full');
+                return url && { url: new URL(url, baseUrl).href, type: 'image/webp' };
+            }
+        }));
+    } catch (error) {
+        if (error instanceof QuerySyntaxError || error instanceof ProfileError) {
+            return res.status(error.status).json({ error: 'Feed failed', message: error.message });
+        }
+        console.error('Published feed error:', error);
+        res.status(500).json({ error: 'Feed failed', message: error.message });
+    }
+});
+
+// Server-Sent Events: refresh-start, refresh-complete and refresh-failed for everyone, plus new-articles
+// matching the client's interests. EventSource can't send a body or headers, so interests and muted
+// come as JSON in the query string (?interests=[...]&muted={...}), or from ?profile=<id>&token=<token>.
+// A profile's stream goes through its reading budget: it is refused like a feed page, and new-articles
+// carry no more than the budget has left and are held back while it is used up or in quiet hours.
+app.get('/events', rateLimit(searchLimiter), requireReadingBudget, (req, res) => {
+    try {
+        const json = (name, fallback) => {
+            if (req.query[name] === undefined) return fallback;
+            try {
+                return JSON.parse(req.query[name]);
+            } catch {
+                throw new LiveEventsError(`${name} must be JSON`);
+            }
+        };
+        let filters;
+        if (req.budget) {
+            // Interests in the query string win: the page reconnects before its settings reach the profile
+            const { settings } = profiles.getSettings(req.budget.profileId, bearerToken(req) || req.query.token);
+            filters = { interests: json('interests', settings?.interests || []), muted: json('muted', settings?.muted || {}) };
+            filters.articleLimit = () => liveArticleLimit(req.budget);
+        } else {
+            filters = { interests: json('interests', []), muted: json('muted', {}) };
+        }
+        liveEvents.connect(req, res, filters);
+    } catch (error) {
+        if (error instanceof LiveEventsError || error instanceof QuerySyntaxError || error instanceof ProfileError) {
+            return res.status(error.status).json({ error: 'Event stream failed', message: error.message });
+        }
+        console.error('Event stream error:', error);
+        res.status(500).json({ error: 'Event stream failed', message: error.message });
+    }
+});
+
+// Terms whose mention rate across sources is spiking: ?hours= (window, default 24) and ?limit=
+app.get('/trending', rateLimit(searchLimiter), requireReadingBudget, (req, res) => {
+    try {
+        if (aggregator.articles.length === 0) {
+            return sendNotLoaded(res);
+        }
+        const { hours, limit } = req.query;
+        res.json({
+            ...freshness(),
+            trending: aggregator.trending({ hours, limit }).map(({ examples, ...trend }) => ({
+                ...trend,
+                examples: examples.map(article => ({ id: article.id, title: article.title, url: article.url, source: article.source }))
+            }))
+        });
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            return res.status(400).json({ error: 'Invalid trending request', message: error.message });
+        }
+        console.error('Trending error:', error);
+        res.status(500).json({ error: 'Trending failed', message: error.message });
+    }
+});
+
+// Daily digest: the top stories per interest for one day, plus trends and feed stats.
+// Body: { interests, muted, date (YYYY-MM-DD, default the last 24 hours), profile }.
+// /digest answers JSON; /digest.html and /digest.md download a standalone document.
+app.post(['/digest', '/digest.:format(html|md)'], rateLimit(searchLimiter), requireReadingBudget, async (req, res) => {
+    try {
+        const { interests, muted, date } = req.body || {};
+        if (!Array.isArray(interests) || interests.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid digest request',
+                message: 'interests must be a non-empty array'
+            });
+        }
+        if (aggregator.articles.length === 0) {
+            return sendNotLoaded(res);
+        }
+
+        const digest = aggregator.dailyDigest({ interests, muted: muted || {}, date });
+        const usage = await recordReading(req, digest.sections.flatMap(({ stories }) => stories.map(({ article }) => article)));
+        const { format } = req.params;
+        if (format) {
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            res.attachment(`news-digest-${digest.until.toISOString().slice(0, 10)}.${format}`);
+            res.type(DIGEST_FORMATS[format].type);
+            return res.send(renderDigest(format, {
+                title: `News digest for ${digest.until.toISOString().slice(0, 10)}`,
+                digest,
+                homeUrl: process.env.BACKEND_URL || baseUrl
+            }));
+        }
+
+        res.json({
+            ...freshness(),
+            usage,
+            since: digest.since,
+            until: digest.until,
+            stats: digest.stats,
+            errors: digest.errors,
+            trending: digest.trending.map(({ examples: _examples, ...trend }) => trend),
+            sections: digest.sections.map(({ interest, stories, more }) => ({
+                interest,
+                more,
+                articles: stories.map(({ article }) => articleResponse(article))
+            }))
+        });
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            return res.status(400).json({ error: 'Invalid digest request', message: error.message });
+        }
+        console.error('Digest error:', error);
+        res.status(500).json({ error: 'Digest failed', message: error.message });
+    }
+});
+
 // Stats endpoint
 app.get('/stats', (req, res) => {
     const stats = aggregator.getStats();
     res.json(stats);
 });
 
-// Refresh endpoint (manual trigger)
-app.post('/refresh', async (req, res) => {
+// Refresh endpoint (manual trigger). While a refresh is already running, the request waits for that one.
+app.post('/refresh', requireAdmin, rateLimit(refreshLimiter), async (req, res) => {
     try {
-        console.log('Manual refresh triggered');
-        await aggregator.fetchAllFeeds();
+        const joined = aggregator.cacheStatus().refreshing;
+        console.log(joined ? 'Manual refresh joined the running refresh' : 'Manual refresh triggered');
+        await aggregator.fetchAllFeeds({ force: true });
         await aggregator.saveToFile();
+        scheduleRefresh();
         res.json({
             success: true,
+            joined,
             message: 'Articles refreshed successfully',
             stats: aggregator.getStats()
         });
@@ -105,40 +598,352 @@ app.post('/refresh', async (req, res) => {
     }
 });
 
+// Whole archive (articles, feed status, reader state) as one JSON document, for backups and moving instances.
+// Admin only: it is everything the server holds, saved articles included.
+app.get('/archive/export.json', requireAdmin, (req, res) => {
+    res.attachment('news-archive.json');
+    res.json(aggregator.exportArchive());
+});
+
+// Body: an exported archive or an old articles-cache.json; merged into the current archive.
+// Articles storage cannot hold come back as `invalid`; a failed save is a 500
+app.post('/archive/import', async (req, res) => {
+    try {
+        if (!Array.isArray(req.body?.articles)) {
+            return res.status(400).json({
+                error: 'Import archive failed',
+                message: 'Body must be a JSON archive with an articles array'
+            });
+        }
+        const result = await aggregator.importArchive(req.body);
+        scheduleRefresh();
+        res.json({ success: true, ...result, stats: aggregator.getStats() });
+    } catch (error) {
+        console.error('Import archive error:', error);
+        res.status(500).json({ error: 'Import archive failed', message: error.message });
+    }
+});
+
+// Feed management endpoints
+const feedResponse = feed => ({ id: aggregator.feedId(feed.url), ...feed });
+
+function sendFeedError(res, action, error) {
+    if (error instanceof FeedValidationError || error instanceof OpmlError) {
+        return res.status(error.status).json({ error: `${action} failed`, message: error.message });
+    }
+    console.error(`${action} error:`, error);
+    res.status(500).json({ error: `${action} failed`, message: error.message });
+}
+
+app.get('/feeds', (req, res) => {
+    res.json({
+        count: aggregator.feeds.length,
+        feeds: aggregator.feeds.map(feedResponse)
+    });
+});
+
+// Per-feed health: last success/error, failure streak, backoff and auto-disable state
+app.get('/feeds/status', (req, res) => {
+    const feeds = aggregator.feeds.map(feed => aggregator.feedHealth(feed));
+    res.json({
+        count: feeds.length,
+        healthy: feeds.filter(feed => feed.state === 'healthy').length,
+        failing: feeds.filter(feed => feed.state === 'failing').length,
+        disabled: feeds.filter(feed => feed.state === 'disabled').length,
+        feeds
+    });
+});
+
+// OPML export of every source, grouped by category
+app.get('/feeds/export.opml', (req, res) => {
+    res.type('text/x-opml');
+    res.attachment('news-feed-sources.opml');
+    res.send(buildOpml(aggregator.feeds));
+});
+
+// OPML import. Body: the OPML document (any XML content type). Each feed is fetched once to
+// validate it unless ?validate=false. Responds with the added feeds and the skipped/invalid entries.
+app.post('/feeds/import', requireAdmin, express.text({ type: ['text/*', 'application/xml', 'application/*+xml'], limit: '1mb' }), async (req, res) => {
+    try {
+        const { entries, skipped: unusable } = await parseOpml(req.body);
+        const { added, skipped, invalid } = await aggregator.importFeeds(entries, { validate: req.query.validate !== 'false' });
+        if (added.length > 0) {
+            await aggregator.saveToFile();
+            scheduleRefresh();
+        }
+        res.json({
+            success: true,
+            added: added.length,
+            feeds: added.map(feedResponse),
+            skipped: [...skipped, ...unusable],
+            invalid,
+            stats: aggregator.getStats()
+        });
+    } catch (error) {
+        sendFeedError(res, 'Import feeds', error);
+    }
+});
+
+app.post('/feeds', requireAdmin, async (req, res) => {
+    try {
+        const feed = await aggregator.addFeed(req.body || {});
+        await aggregator.saveToFile();
+        scheduleRefresh();
+        res.status(201).json({ success: true, feed: feedResponse(feed), stats: aggregator.getStats() });
+    } catch (error) {
+        sendFeedError(res, 'Add feed', error);
+    }
+});
+
+app.put('/feeds/:id', requireAdmin, async (req, res) => {
+    try {
+        const feed = await aggregator.updateFeed(req.params.id, req.body || {});
+        await aggregator.saveToFile();
+        scheduleRefresh();
+        res.json({ success: true, feed: feedResponse(feed), stats: aggregator.getStats() });
+    } catch (error) {
+        sendFeedError(res, 'Update feed', error);
+    }
+});
+
+app.delete('/feeds/:id', requireAdmin, async (req, res) => {
+    try {
+        const feed = await aggregator.removeFeed(req.params.id);
+        await aggregator.saveToFile();
+        res.json({ success: true, feed: feedResponse(feed), stats: aggregator.getStats() });
+    } catch (error) {
+        sendFeedError(res, 'Remove feed', error);
+    }
+});
+
+// Reader state endpoints: read, saved for later and hidden. The state is shared by everyone
+// reading this server, so marking it needs no admin token.
+function sendStateError(res, error) {
+    if (error instanceof ArticleStateError) {
+        return res.status(error.status).json({ error: 'Update article state failed', message: error.message });
+    }
+    console.error('Article state error:', error);
+    res.status(500).json({ error: 'Update article state failed', message: error.message });
+}
+
+// Saved view: bookmarks, most recently saved first (including articles pruned from the archive)
+app.get('/articles/saved', requireReadingBudget, (req, res) => {
+    const articles = aggregator.savedArticles();
+    res.json({
+        count: articles.length,
+        articles: articles.map(articleResponse)
+    });
+});
+
+// Reader view: the article's extracted, sanitized content (extracted on first request if needed)
+app.get('/articles/:id/content', rateLimit(searchLimiter), requireReadingBudget, async (req, res) => {
+    try {
+        const article = await aggregator.readableArticle(req.params.id);
+        await recordReading(req, [article]);
+        res.json({ ...article, content: rewriteImages(article.content, url => imageProxy.proxyUrl(url, 'full')) });
+    } catch (error) {
+        if (error instanceof ExtractionError) {
+            return res.status(error.status).json({ error: 'Reader view failed', message: error.message });
+        }
+        console.error('Reader view error:', error);
+        res.status(500).json({ error: 'Reader view failed', message: error.message });
+    }
+});
+
+app.get('/articles/:id/state', (req, res) => {
+    const { id } = req.params;
+    if (!aggregator.articlesById.has(id) && !aggregator.articleState.has(id)) {
+        return res.status(404).json({ error: 'Article not found', message: `Article not found: ${id}` });
+    }
+    res.json({ id, ...aggregator.getArticleState(id) });
+});
+
+// Body: any of { read, saved, hidden } as booleans
+app.put('/articles/:id/state', requireAllowedOrigin, async (req, res) => {
+    try {
+        const [state] = await aggregator.setArticleState([req.params.id], req.body || {});
+        res.json({ success: true, ...state });
+    } catch (error) {
+        sendStateError(res, error);
+    }
+});
+
+// Bulk update, e.g. mark a whole page read. Body: { ids: [...], read, saved, hidden }
+app.post('/articles/state', requireAllowedOrigin, async (req, res) => {
+    try {
+        const { ids, ...changes } = req.body || {};
+        const states = await aggregator.setArticleState(ids, changes);
+        res.json({ success: true, count: states.length, articles: states });
+    } catch (error) {
+        sendStateError(res, error);
+    }
+});
+
+// Profile endpoints: per-profile settings, authenticated with the token returned on creation
+// (sent as `Authorization: Bearer <token>`)
+function bearerToken(req) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+function sendProfileError(res, action, error) {
+    if (error instanceof ProfileError) {
+        return res.status(error.status).json({ error: `${action} failed`, message: error.message });
+    }
+    console.error(`${action} error:`, error);
+    res.status(500).json({ error: `${action} failed`, message: error.message });
+}
+
+app.get('/profiles', (req, res) => {
+    const list = profiles.list();
+    res.json({ count: list.length, profiles: list });
+});
+
+// Body: { name, settings? }. The token in the response is shown once; keep it to sign in elsewhere.
+app.post('/profiles', async (req, res) => {
+    try {
+        const { profile, token } = await profiles.create(req.body || {});
+        res.status(201).json({ success: true, profile, token });
+    } catch (error) {
+        sendProfileError(res, 'Create profile', error);
+    }
+});
+
+app.delete('/profiles/:id', async (req, res) => {
+    try {
+        const profile = await profiles.remove(req.params.id, bearerToken(req));
+        await readingBudget.forget(profile.id);
+        res.json({ success: true, profile });
+    } catch (error) {
+        sendProfileError(res, 'Remove profile', error);
+    }
+});
+
+app.get('/profiles/:id/settings', (req, res) => {
+    try {
+        res.json(profiles.getSettings(req.params.id, bearerToken(req)));
+    } catch (error) {
+        sendProfileError(res, 'Load settings', error);
+    }
+});
+
+// Body: the whole settings document, as exported by "Save Settings"
+app.put('/profiles/:id/settings', async (req, res) => {
+    try {
+        const saved = await profiles.saveSettings(req.params.id, bearerToken(req), req.body);
+        res.json({ success: true, ...saved });
+    } catch (error) {
+        sendProfileError(res, 'Save settings', error);
+    }
+});
+
+// Today's reading usage against the profile's budget (see reading-budget.js)
+app.get('/profiles/:id/usage', (req, res) => {
+    try {
+        const { settings } = profiles.getSettings(req.params.id, bearerToken(req));
+        res.json(readingBudget.summary(req.params.id, settings?.wellbeing));
+    } catch (error) {
+        sendProfileError(res, 'Load usage', error);
+    }
+});
+
+// Heartbeat from an open page. Body: { activeSeconds } spent on the page since the last one, or
+// { articleIds } the page showed without requesting a feed page (new articles from /events).
+app.post('/profiles/:id/usage', async (req, res) => {
+    try {
+        const { settings } = profiles.getSettings(req.params.id, bearerToken(req));
+        const articleIds = req.body?.articleIds;
+        if (articleIds === undefined) {
+            return res.json(await readingBudget.recordActivity(req.params.id, settings?.wellbeing, req.body?.activeSeconds));
+        }
+        if (!Array.isArray(articleIds) || articleIds.length > MAX_REPORTED_ARTICLES || !articleIds.every(id => typeof id === 'string')) {
+            throw new ProfileError(`articleIds must be an array of at most ${MAX_REPORTED_ARTICLES} article ids`);
+        }
+        res.json(await readingBudget.recordPage(req.params.id, settings?.wellbeing, articleIds));
+    } catch (error) {
+        sendProfileError(res, 'Record usage', error);
+    }
+});
+
+// Image proxy: article images fetched, resized and cached by the server, so readers' browsers never
+// contact publishers. Only signed URLs from API responses are served (?url=&size=thumb|full&sig=).
+app.get('/img', async (req, res) => {
+    try {
+        const image = await imageProxy.get(req.query);
+        res.set('Cache-Control', 'public, max-age=604800, immutable');
+        res.type('image/webp').send(image);
+    } catch (error) {
+        if (error instanceof ImageProxyError) {
+            return res.status(error.status).json({ error: 'Image proxy failed', message: error.message });
+        }
+        console.error('Image proxy error:', error);
+        res.status(500).json({ error: 'Image proxy failed', message: error.message });
+    }
+});
+
 // Catch-all: serve index.html for any unmatched route
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Per-feed scheduler: sleep until the next feed is due, refresh the due feeds, repeat
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    const nextRefresh = aggregator.nextRefreshAt();
+    const delay = nextRefresh
+        ? Math.min(Math.max(nextRefresh - Date.now(), SCHEDULER_MIN_DELAY), SCHEDULER_MAX_DELAY)
+        : SCHEDULER_MAX_DELAY;
+    refreshTimer = setTimeout(runScheduledRefresh, delay);
+}
+
+async function runScheduledRefresh() {
+    try {
+        const nextRefresh = aggregator.nextRefreshAt();
+        if (nextRefresh && nextRefresh <= Date.now()) {
+            console.log('⏰ Scheduled refresh triggered');
+            await aggregator.fetchAllFeeds();
+            await aggregator.saveToFile();
+        }
+    } catch (error) {
+        console.error('Scheduled refresh failed:', error.message);
+    }
+    scheduleRefresh();
+}
+
 // Initialize aggregator
 async function initialize() {
     try {
         console.log('🚀 Starting RSS News Aggregator...\n');
         
-        // Load feed configuration
+        // Load feed configuration, user profiles and the image cache index. The lock tells the CLI
+        // not to write to the archive or feeds.json while the server has them open.
+        await prepareDataDir();
+        await acquireServerLock();
+        process.on('exit', releaseServerLock);
         await aggregator.loadFeeds();
+        await profiles.load();
+        await readingBudget.load();
+        await imageProxy.load();
         
-        // Try to load cached articles first
+        // Load stored articles; the server starts serving them right away
+        await aggregator.openStorage();
         const cacheLoaded = await aggregator.loadFromFile();
         
-        // If no cache or cache is old, fetch fresh data
-        if (!cacheLoaded) {
-            await aggregator.fetchAllFeeds();
-            await aggregator.saveToFile();
+        // If no cache or cache is old, fetch fresh data in the background
+        const { stale, cacheAgeMs } = aggregator.cacheStatus();
+        if (!cacheLoaded || stale) {
+            if (cacheLoaded) console.log(`ℹ Cache is ${Math.round(cacheAgeMs / 60000)} minutes old, serving it while refreshing`);
+            warmStart();
+        } else {
+            // Set up per-feed automatic refresh
+            scheduleRefresh();
         }
         
-        // Set up automatic refresh
-        setInterval(async () => {
-            try {
-                console.log('⏰ Auto-refresh triggered');
-                await aggregator.fetchAllFeeds();
-                await aggregator.saveToFile();
-            } catch (error) {
-                console.error('Auto-refresh failed:', error.message);
-            }
-        }, REFRESH_INTERVAL);
-        
-        console.log(`⏰ Auto-refresh scheduled every ${REFRESH_INTERVAL / 60000} minutes\n`);
+        console.log(`⏰ Feeds refresh every ${REFRESH_INTERVAL_MINUTES} minutes unless feeds.json or the feed says otherwise`);
+        if (!process.env.ADMIN_TOKEN) {
+            console.log('ℹ ADMIN_TOKEN is not set: feed and archive changes are only accepted from this machine');
+        }
+        console.log('');
         
     } catch (error) {
         console.error('Initialization failed:', error);
@@ -146,6 +951,17 @@ async function initialize() {
     }
 }
 
+// Background refresh at startup; the scheduler takes over once it is done
+async function warmStart() {
+    try {
+        await aggregator.fetchAllFeeds();
+        await aggregator.saveToFile();
+    } catch (error) {
+        console.error('Warm start refresh failed:', error.message);
+    }
+    scheduleRefresh();
+}
+
 // Start server
 initialize().then(() => {
     app.listen(PORT, () => {
@@ -158,6 +974,8 @@ initialize().then(() => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n\n🛑 Shutting down gracefully...');
+    liveEvents.close();
     await aggregator.saveToFile();
+    await aggregator.storage.close();
     process.exit(0);
 });
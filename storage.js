@@ -0,0 +1,463 @@
+import fs from 'fs/promises';
+import Database from 'better-sqlite3';
+import { dataPath } from './data-dir.js';
+
+// Default file names inside the data directory
+const CACHE_FILE = 'articles-cache.json';
+const STATE_FILE = 'article-state.json';
+const DATABASE_FILE = 'news.db';
+
+const ARTICLE_DATE_FIELDS = ['pubDate', 'fetchedAt', 'lastSeenAt', 'updatedAt', 'extractedAt'];
+const STATUS_DATE_FIELDS = ['lastAttempt', 'lastSuccess', 'lastErrorAt', 'nextAttempt', 'disabledAt'];
+const STATE_DATE_FIELDS = ['readAt', 'savedAt', 'hiddenAt'];
+
+// Write a file via a temp file and rename, so a crash never leaves it half-written
+async function writeAtomic(file, contents) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, contents);
+    await fs.rename(tmpFile, file);
+}
+
+function reviveDates(record, fields) {
+    const revived = { ...record };
+    fields.forEach(field => {
+        if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    return revived;
+}
+
+/**
+ * Turn a parsed JSON archive back into records with Date fields.
+ * Accepts the cache file ({ articles, lastUpdate, feedStatus }), optionally with the
+ * reader state inlined as `articleState`, as written by serializeArchive().
+ */
+export function reviveArchive(parsed, articleState = parsed.articleState) {
+    return {
+        articles: (parsed.articles || []).map(article => reviveDates(article, ARTICLE_DATE_FIELDS)),
+        lastUpdate: parsed.lastUpdate ? new Date(parsed.lastUpdate) : null,
+        feedStatus: Object.fromEntries(Object.entries(parsed.feedStatus || {})
+            .map(([url, status]) => [url, reviveDates(status, STATUS_DATE_FIELDS)])),
+        articleState: Object.fromEntries(Object.entries(articleState || {}).map(([id, state]) => {
+            const revived = reviveDates(state, STATE_DATE_FIELDS);
+            if (revived.article) revived.article = reviveDates(revived.article, ['pubDate']);
+            return [id, revived];
+        }))
+    };
+}
+
+/**
+ * The portable JSON archive: articles, feed status and reader state in one document.
+ * Used for export/import and by JsonStorage (which keeps reader state in its own file).
+ */
+export function serializeArchive({ articles, lastUpdate, feedStatus, articleState }) {
+    return {
+        version: 1,
+        exportedAt: new Date(),
+        lastUpdate,
+        articles,
+        feedStatus: Object.fromEntries(feedStatus),
+        articleState: Object.fromEntries(articleState)
+    };
+}
+
+// The original storage: articles-cache.json plus article-state.json, rewritten whole on every save
+export class JsonStorage {
+    constructor(options = {}) {
+        this.cacheFile = options.cacheFile ?? dataPath(CACHE_FILE);
+        this.stateFile = options.stateFile ?? dataPath(STATE_FILE);
+        this.logger = options.logger ?? console;
+        this.writes = Promise.resolve();
+    }
+
+    // Nothing to open: the files are read by load()
+    async open() {}
+
+    async close() {
+        await this.writes;
+    }
+
+    describe() {
+        return { backend: 'json', file: this.cacheFile };
+    }
+
+    // Chain writes so they land in the order they were made
+    enqueue(write) {
+        this.writes = this.writes.then(write, write);
+        return this.writes;
+    }
+
+    // Returns { articles, lastUpdate, feedStatus, articleState }, or null when there is no cache yet
+    async load() {
+        let articleState = {};
+        try {
+            articleState = JSON.parse(await fs.readFile(this.stateFile, 'utf-8')).articles || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') this.logger.error('Error loading article state:', error.message);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(await fs.readFile(this.cacheFile, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') this.logger.error('Error loading articles cache:', error.message);
+            return Object.keys(articleState).length ? reviveArchive({}, articleState) : null;
+        }
+        return reviveArchive(parsed, articleState);
+    }
+
+    saveArchive({ articles, lastUpdate, feedStatus }) {
+        return this.enqueue(() => writeAtomic(this.cacheFile, JSON.stringify({
+            articles,
+            lastUpdate,
+            feedStatus: Object.fromEntries(feedStatus)
+        }, null, 2)));
+    }
+
+    saveArticleState(articleState) {
+        return this.enqueue(() => writeAtomic(this.stateFile, JSON.stringify({
+            articles: Object.fromEntries(articleState)
+        }, null, 2)));
+    }
+}
+
+// Schema migrations, applied in order inside a transaction; PRAGMA user_version records the last one applied.
+// Append new steps, never edit old ones.
+const MIGRATIONS = [
+    `
+    CREATE TABLE articles (
+        id TEXT PRIMARY KEY,
+        guid TEXT,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        snippet TEXT,
+        content TEXT,
+        image_url TEXT,
+        source TEXT NOT NULL,
+        category TEXT NOT NULL,
+        keywords TEXT NOT NULL DEFAULT '[]',
+        feed_url TEXT,
+        pub_date INTEGER NOT NULL,
+        fetched_at INTEGER NOT NULL,
+        last_seen_at INTEGER NOT NULL,
+        updated_at INTEGER
+    );
+    CREATE INDEX articles_pub_date ON articles (pub_date);
+    CREATE INDEX articles_source ON articles (source);
+    CREATE INDEX articles_feed_url ON articles (feed_url);
+
+    CREATE VIRTUAL TABLE articles_fts USING fts5 (
+        title, snippet, content,
+        content = 'articles', content_rowid = 'rowid',
+        tokenize = 'porter unicode61 remove_diacritics 2'
+    );
+    CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles BEGIN
+        INSERT INTO articles_fts (rowid, title, snippet, content) VALUES (new.rowid, new.title, new.snippet, new.content);
+    END;
+    CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, snippet, content) VALUES ('delete', old.rowid, old.title, old.snippet, old.content);
+    END;
+    CREATE TRIGGER articles_fts_update AFTER UPDATE OF title, snippet, content ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, snippet, content) VALUES ('delete', old.rowid, old.title, old.snippet, old.content);
+        INSERT INTO articles_fts (rowid, title, snippet, content) VALUES (new.rowid, new.title, new.snippet, new.content);
+    END;
+
+    CREATE TABLE feed_status (
+        url TEXT PRIMARY KEY,
+        last_attempt INTEGER,
+        last_success INTEGER,
+        last_error TEXT,
+        last_error_at INTEGER,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        item_count INTEGER NOT NULL DEFAULT 0,
+        duration_ms INTEGER,
+        next_attempt INTEGER,
+        disabled_at INTEGER,
+        etag TEXT,
+        last_modified TEXT,
+        feed_hint_ms INTEGER,
+        cache_max_age_ms INTEGER,
+        refresh_interval_ms INTEGER
+    );
+
+    CREATE TABLE article_state (
+        id TEXT PRIMARY KEY,
+        read_at INTEGER,
+        saved_at INTEGER,
+        hidden_at INTEGER,
+        article TEXT
+    );
+    CREATE INDEX article_state_saved_at ON article_state (saved_at) WHERE saved_at IS NOT NULL;
+
+    CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    `,
+    // 2: full article text extracted from the linked page, included in full-text search
+    `
+    ALTER TABLE articles ADD COLUMN full_content TEXT;
+    ALTER TABLE articles ADD COLUMN byline TEXT;
+    ALTER TABLE articles ADD COLUMN extracted_at INTEGER;
+    ALTER TABLE articles ADD COLUMN extraction_error TEXT;
+
+    DROP TRIGGER articles_fts_insert;
+    DROP TRIGGER articles_fts_delete;
+    DROP TRIGGER articles_fts_update;
+    DROP TABLE articles_fts;
+    CREATE VIRTUAL TABLE articles_fts USING fts5 (
+        title, snippet, content, full_content,
+        content = 'articles', content_rowid = 'rowid',
+        tokenize = 'porter unicode61 remove_diacritics 2'
+    );
+    CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles BEGIN
+        INSERT INTO articles_fts (rowid, title, snippet, content, full_content)
+        VALUES (new.rowid, new.title, new.snippet, new.content, new.full_content);
+    END;
+    CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, snippet, content, full_content)
+        VALUES ('delete', old.rowid, old.title, old.snippet, old.content, old.full_content);
+    END;
+    CREATE TRIGGER articles_fts_update AFTER UPDATE OF title, snippet, content, full_content ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, snippet, content, full_content)
+        VALUES ('delete', old.rowid, old.title, old.snippet, old.content, old.full_content);
+        INSERT INTO articles_fts (rowid, title, snippet, content, full_content)
+        VALUES (new.rowid, new.title, new.snippet, new.content, new.full_content);
+    END;
+    INSERT INTO articles_fts (articles_fts) VALUES ('rebuild');
+    `,
+    // 3: per-article topics (see topic-tagger.js); NULL until the article is tagged
+    `
+    ALTER TABLE articles ADD COLUMN topics TEXT;
+    `
+];
+
+// Column <-> record field mappings. `date` columns hold epoch milliseconds, `json` columns
+// hold serialized values and `list` columns a JSON array that defaults to []
+const ARTICLE_COLUMNS = [
+    ['id', 'id'], ['guid', 'guid'], ['title', 'title'], ['url', 'url'], ['snippet', 'snippet'],
+    ['content', 'content'], ['image_url', 'imageUrl'], ['source', 'source'], ['category', 'category'],
+    ['keywords', 'keywords', 'list'], ['feed_url', 'feedUrl'], ['pub_date', 'pubDate', 'date'],
+    ['fetched_at', 'fetchedAt', 'date'], ['last_seen_at', 'lastSeenAt', 'date'], ['updated_at', 'updatedAt', 'date'],
+    ['full_content', 'fullContent'], ['byline', 'byline'], ['extracted_at', 'extractedAt', 'date'],
+    ['extraction_error', 'extractionError'], ['topics', 'topics', 'json']
+];
+const STATUS_COLUMNS = [
+    ['url', 'url'], ['last_attempt', 'lastAttempt', 'date'], ['last_success', 'lastSuccess', 'date'],
+    ['last_error', 'lastError'], ['last_error_at', 'lastErrorAt', 'date'],
+    ['consecutive_failures', 'consecutiveFailures'], ['item_count', 'itemCount'], ['duration_ms', 'durationMs'],
+    ['next_attempt', 'nextAttempt', 'date'], ['disabled_at', 'disabledAt', 'date'], ['etag', 'etag'],
+    ['last_modified', 'lastModified'], ['feed_hint_ms', 'feedHintMs'], ['cache_max_age_ms', 'cacheMaxAgeMs'],
+    ['refresh_interval_ms', 'refreshIntervalMs']
+];
+const STATE_COLUMNS = [
+    ['id', 'id'], ['read_at', 'readAt', 'date'], ['saved_at', 'savedAt', 'date'],
+    ['hidden_at', 'hiddenAt', 'date'], ['article', 'article', 'json']
+];
+
+function toRow(columns, record) {
+    return Object.fromEntries(columns.map(([column, field, type]) => {
+        const value = record[field] ?? null;
+        if (type === 'list') return [column, JSON.stringify(value || [])];
+        if (value === null) return [column, null];
+        if (type === 'date') return [column, new Date(value).getTime()];
+        if (type === 'json') return [column, JSON.stringify(value)];
+        return [column, value];
+    }));
+}
+
+// NULL columns are left out of the record, as they would be in the JSON archive
+function fromRow(columns, row) {
+    const record = {};
+    columns.forEach(([column, field, type]) => {
+        const value = row[column];
+        if (value === null || value === undefined) return;
+        if (type === 'date') {
+            record[field] = new Date(value);
+        } else if (type === 'json' || type === 'list') {
+            record[field] = JSON.parse(value);
+        } else {
+            record[field] = value;
+        }
+    });
+    return record;
+}
+
+function upsertSql(table, columns) {
+    const names = columns.map(([column]) => column);
+    return `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(name => `@${name}`).join(', ')})
+        ON CONFLICT (${names[0]}) DO UPDATE SET ${names.slice(1).map(name => `${name} = excluded.${name}`).join(', ')}`;
+}
+
+/**
+ * Embedded SQLite storage. Each save runs in one transaction and only writes the articles
+ * that changed since the last save, so a crash leaves the previous save intact.
+ * The archive can be queried in place (see searchArticles) without loading it into memory.
+ */
+export class SqliteStorage {
+    constructor(options = {}) {
+        this.file = options.file ?? dataPath(DATABASE_FILE);
+        this.logger = options.logger ?? console;
+        // Legacy JSON files imported on first start
+        this.legacy = new JsonStorage({ cacheFile: options.cacheFile, stateFile: options.stateFile, logger: this.logger });
+        this.db = null;
+        // Per-article fingerprint of what was last written, to skip unchanged rows
+        this.written = new Map();
+    }
+
+    // `restoreArticle` fills in fields that archives from older versions lack (see importLegacy)
+    async open({ restoreArticle = article => article } = {}) {
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.migrate();
+
+        this.statements = {
+            upsertArticle: this.db.prepare(upsertSql('articles', ARTICLE_COLUMNS)),
+            deleteArticle: this.db.prepare('DELETE FROM articles WHERE id = ?'),
+            upsertStatus: this.db.prepare(upsertSql('feed_status', STATUS_COLUMNS)),
+            upsertState: this.db.prepare(upsertSql('article_state', STATE_COLUMNS)),
+            deleteState: this.db.prepare('DELETE FROM article_state WHERE id = ?'),
+            setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?')
+        };
+
+        await this.importLegacy(restoreArticle);
+    }
+
+    migrate() {
+        const current = this.db.pragma('user_version', { simple: true });
+        MIGRATIONS.slice(current).forEach((sql, index) => {
+            const version = current + index + 1;
+            this.db.transaction(() => {
+                this.db.exec(sql);
+                this.db.pragma(`user_version = ${version}`);
+            })();
+            this.logger.log(`✓ Migrated ${this.file} to schema version ${version}`);
+        });
+    }
+
+    // First start on SQLite: bring over articles-cache.json and article-state.json if they exist.
+    // Caches from before article ids lack columns the schema requires, so articles go through restoreArticle.
+    async importLegacy(restoreArticle) {
+        if (this.statements.getMeta.get('legacy_import')) return;
+        const archive = await this.legacy.load();
+        if (archive) {
+            this.importArchive({ ...archive, articles: archive.articles.map(restoreArticle) });
+            this.logger.log(`✓ Imported ${archive.articles.length} articles from ${this.legacy.cacheFile} into ${this.file}`);
+        }
+        this.statements.setMeta.run('legacy_import', new Date().toISOString());
+    }
+
+    async close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    describe() {
+        return { backend: 'sqlite', file: this.file, schemaVersion: this.db.pragma('user_version', { simple: true }) };
+    }
+
+    // What an article row depends on; a changed fingerprint means the row needs rewriting
+    fingerprint(article) {
+        return JSON.stringify(ARTICLE_COLUMNS.map(([, field]) => article[field] ?? null));
+    }
+
+    async load() {
+        const articles = this.db.prepare('SELECT * FROM articles ORDER BY pub_date DESC').all()
+            .map(row => fromRow(ARTICLE_COLUMNS, row));
+        const feedStatus = Object.fromEntries(this.db.prepare('SELECT * FROM feed_status').all().map(row => {
+            const { url, ...status } = fromRow(STATUS_COLUMNS, row);
+            return [url, status];
+        }));
+        const articleState = Object.fromEntries(this.db.prepare('SELECT * FROM article_state').all().map(row => {
+            const { id, ...state } = fromRow(STATE_COLUMNS, row);
+            if (state.article) state.article.pubDate = new Date(state.article.pubDate);
+            return [id, state];
+        }));
+        const lastUpdate = this.statements.getMeta.get('last_update')?.value;
+
+        this.written = new Map(articles.map(article => [article.id, this.fingerprint(article)]));
+        if (articles.length === 0 && Object.keys(articleState).length === 0) return null;
+        return { articles, lastUpdate: lastUpdate ? new Date(lastUpdate) : null, feedStatus, articleState };
+    }
+
+    // Upsert new and changed articles, delete the ones no longer in the archive, and replace feed status
+    async saveArchive({ articles, lastUpdate, feedStatus }) {
+        const save = this.db.transaction(() => {
+            const present = new Set();
+            let written = 0;
+            for (const article of articles) {
+                present.add(article.id);
+                const fingerprint = this.fingerprint(article);
+                if (this.written.get(article.id) === fingerprint) continue;
+                this.statements.upsertArticle.run(toRow(ARTICLE_COLUMNS, article));
+                this.written.set(article.id, fingerprint);
+                written++;
+            }
+            let deleted = 0;
+            for (const id of this.written.keys()) {
+                if (present.has(id)) continue;
+                this.statements.deleteArticle.run(id);
+                this.written.delete(id);
+                deleted++;
+            }
+
+            this.db.prepare('DELETE FROM feed_status').run();
+            feedStatus.forEach((status, url) => this.statements.upsertStatus.run(toRow(STATUS_COLUMNS, { ...status, url })));
+            if (lastUpdate) this.statements.setMeta.run('last_update', new Date(lastUpdate).toISOString());
+            return { written, deleted };
+        });
+        return save();
+    }
+
+    // Reader state is written per article; `changedIds` limits the write to those entries
+    async saveArticleState(articleState, changedIds = [...articleState.keys()]) {
+        this.db.transaction(() => {
+            for (const id of changedIds) {
+                const state = articleState.get(id);
+                if (state) this.statements.upsertState.run(toRow(STATE_COLUMNS, { ...state, id }));
+                else this.statements.deleteState.run(id);
+            }
+        })();
+    }
+
+    // Replace everything with a revived JSON archive (see reviveArchive)
+    importArchive({ articles, lastUpdate, feedStatus, articleState }) {
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM articles; DELETE FROM feed_status; DELETE FROM article_state;');
+            articles.forEach(article => this.statements.upsertArticle.run(toRow(ARTICLE_COLUMNS, article)));
+            Object.entries(feedStatus).forEach(([url, status]) => this.statements.upsertStatus.run(toRow(STATUS_COLUMNS, { ...status, url })));
+            Object.entries(articleState).forEach(([id, state]) => this.statements.upsertState.run(toRow(STATE_COLUMNS, { ...state, id })));
+            if (lastUpdate) this.statements.setMeta.run('last_update', new Date(lastUpdate).toISOString());
+        })();
+        this.written = new Map();
+    }
+
+    /**
+     * Full-text search over the stored archive with SQLite FTS5 syntax, newest first,
+     * without loading the archive. For scripts and maintenance; the app ranks with SearchIndex.
+     */
+    searchArticles(query, { limit = 20 } = {}) {
+        return this.db.prepare(`
+            SELECT articles.* FROM articles_fts JOIN articles ON articles.rowid = articles_fts.rowid
+            WHERE articles_fts MATCH ? ORDER BY articles.pub_date DESC LIMIT ?
+        `).all(query, limit).map(row => fromRow(ARTICLE_COLUMNS, row));
+    }
+
+    getArticle(id) {
+        const row = this.db.prepare('SELECT * FROM articles WHERE id = ?').get(id);
+        return row ? fromRow(ARTICLE_COLUMNS, row) : null;
+    }
+
+    countArticles() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM articles').get().count;
+    }
+}
+
+// Storage backend by name: 'sqlite' (default) or 'json'. Options are the file paths and a `logger`
+// for migration and import messages (console by default).
+export function createStorage(backend = 'sqlite', options = {}) {
+    if (backend === 'json') return new JsonStorage(options);
+    if (backend === 'sqlite') return new SqliteStorage(options);
+    throw new Error(`Unknown storage backend "${backend}" (expected sqlite or json)`);
+}
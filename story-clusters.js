@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { tokenize } from './tokenizer.js';
+
+// MinHash signature of NUM_HASHES values, split into LSH_BANDS bands for candidate lookup.
+// Pairs that share a band are confirmed when their estimated Jaccard similarity of
+// word-bigram shingles reaches SIMILARITY_THRESHOLD.
+const NUM_HASHES = 64;
+const LSH_BANDS = 16;
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Articles published further apart than this are never the same story
+const MAX_CLUSTER_SPAN_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Texts shorter than this many tokens are too thin to compare reliably
+const MIN_TOKENS = 4;
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Deterministic odd multipliers and offsets for the hash family
+function hashSeeds(count) {
+    const seeds = [];
+    let state = 0x9e3779b9;
+    const next = () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state;
+    };
+    for (let i = 0; i < count; i++) seeds.push([next() | 1, next()]);
+    return seeds;
+}
+
+class StoryClusterer {
+    constructor(options = {}) {
+        this.numHashes = options.numHashes ?? NUM_HASHES;
+        this.bands = options.bands ?? LSH_BANDS;
+        this.threshold = options.threshold ?? SIMILARITY_THRESHOLD;
+        this.maxSpan = options.maxSpan ?? MAX_CLUSTER_SPAN_MS;
+        this.seeds = hashSeeds(this.numHashes);
+
+        // Signatures are cached per article and recomputed only when its text changes
+        this.signatures = new WeakMap();
+    }
+
+    shingles(article) {
+        const tokens = tokenize(`${article.title} ${article.snippet || ''}`);
+        if (tokens.length < MIN_TOKENS) return null;
+        const shingles = new Set();
+        for (let i = 0; i + 1 < tokens.length; i++) shingles.add(`${tokens[i]} ${tokens[i + 1]}`);
+        return shingles;
+    }
+
+    signature(article) {
+        const text = `${article.title}\n${article.snippet || ''}`;
+        const cached = this.signatures.get(article);
+        if (cached?.text === text) return cached.signature;
+
+        const shingles = this.shingles(article);
+        let signature = null;
+        if (shingles) {
+            signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+            for (const shingle of shingles) {
+                const x = fnv1a(shingle);
+                for (let i = 0; i < this.numHashes; i++) {
+                    const [a, b] = this.seeds[i];
+                    const h = (Math.imul(a, x) + b) >>> 0;
+                    if (h < signature[i]) signature[i] = h;
+                }
+            }
+        }
+
+        this.signatures.set(article, { text, signature });
+        return signature;
+    }
+
+    similarity(a, b) {
+        let same = 0;
+        for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+        return same / a.length;
+    }
+
+    /**
+     * Group near-duplicate articles and tag each with `clusterId` and `clusterSize`.
+     * Articles without a near-duplicate get clusterId null. Returns the number of clusters.
+     */
+    cluster(articles) {
+        const signatures = articles.map(article => this.signature(article));
+        const parent = articles.map((_, i) => i);
+        const find = i => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        const rows = Math.floor(this.numHashes / this.bands);
+        const buckets = new Map();
+        signatures.forEach((signature, i) => {
+            if (!signature) return;
+            for (let band = 0; band < this.bands; band++) {
+                const key = `${band}:${signature.subarray(band * rows, (band + 1) * rows).join(',')}`;
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(i);
+            }
+        });
+
+        const checked = new Set();
+        buckets.forEach(members => {
+            for (let x = 0; x < members.length; x++) {
+                for (let y = x + 1; y < members.length; y++) {
+                    const i = members[x];
+                    const j = members[y];
+                    const pair = `${i}:${j}`;
+                    if (checked.has(pair)) continue;
+                    checked.add(pair);
+                    if (find(i) === find(j)) continue;
+                    if (Math.abs(articles[i].pubDate - articles[j].pubDate) > this.maxSpan) continue;
+                    if (this.similarity(signatures[i], signatures[j]) >= this.threshold) parent[find(i)] = find(j);
+                }
+            }
+        });
+
+        const groups = new Map();
+        articles.forEach((_, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(articles[i]);
+        });
+
+        let clusterCount = 0;
+        groups.forEach(members => {
+            if (members.length === 1) {
+                members[0].clusterId = null;
+                members[0].clusterSize = 1;
+                return;
+            }
+            // Name the cluster after its first-seen member so the id stays put as coverage grows
+            const first = members.reduce((a, b) => (a.fetchedAt <= b.fetchedAt ? a : b));
+            const clusterId = crypto.createHash('sha1').update(first.url).digest('hex').slice(0, 12);
+            members.forEach(article => {
+                article.clusterId = clusterId;
+                article.clusterSize = members.length;
+            });
+            clusterCount++;
+        });
+
+        return clusterCount;
+    }
+}
+
+export default StoryClusterer;
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AccessControl, { AccessError } from '../access-control.js';
+
+// Just what AccessControl reads from an Express request
+function request({ ip = '203.0.113.7', origin, authorization } = {}) {
+    const headers = { host: 'news.example', origin, authorization };
+    return { ip, protocol: 'https', get: name => headers[name.toLowerCase()] };
+}
+
+const refusedWith = status => error => error instanceof AccessError && error.status === status;
+
+test('reader routes only keep other sites out', () => {
+    const access = new AccessControl({ adminToken: 'secret', allowedOrigins: ['https://app.example'] });
+
+    access.authorizeOrigin(request());
+    access.authorizeOrigin(request({ origin: 'https://news.example' }));
+    access.authorizeOrigin(request({ origin: 'https://app.example' }));
+    assert.throws(() => access.authorizeOrigin(request({ origin: 'https://evil.example' })), refusedWith(403));
+});
+
+test('admin routes need the token, or the local machine when there is none', () => {
+    const access = new AccessControl({ adminToken: 'secret' });
+    assert.throws(() => access.authorizeAdmin(request()), refusedWith(401));
+    assert.throws(() => access.authorizeAdmin(request({ authorization: 'Bearer wrong' })), refusedWith(401));
+    access.authorizeAdmin(request({ authorization: 'Bearer secret' }));
+    assert.throws(() => access.authorizeAdmin(request({ authorization: 'Bearer secret', origin: 'https://evil.example' })), refusedWith(403));
+
+    const tokenless = new AccessControl();
+    tokenless.authorizeAdmin(request({ ip: '127.0.0.1' }));
+    assert.throws(() => tokenless.authorizeAdmin(request()), refusedWith(403));
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import ArticleExtractor, { ExtractionError } from '../article-extractor.js';
+import UrlGuard from '../url-guard.js';
+import { stubServer } from './helpers.js';
+
+const fixture = name => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url));
+
+let publisher;
+let extractor;
+
+// Saved pages served the way a publisher would, plus the failure cases reader view has to handle
+before(async () => {
+    const pages = { '/2024/coastal-plan': await fixture('article.html'), '/2024/members-only': await fixture('paywall.html') };
+    publisher = await stubServer((req, res) => {
+        if (pages[req.url]) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(pages[req.url]);
+        }
+        if (req.url === '/feed.xml') {
+            res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+            return res.end('<rss></rss>');
+        }
+        if (req.url === '/moved') {
+            res.writeHead(301, { Location: '/2024/coastal-plan' });
+            return res.end();
+        }
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<h1>Not found</h1>');
+    });
+    extractor = new ArticleExtractor({ urlGuard: new UrlGuard({ allowedHosts: ['127.0.0.1'] }) });
+});
+
+after(async () => {
+    await extractor.urlGuard.agent.close();
+    await publisher.close();
+});
+
+test('extracts the article body without the page around it', async () => {
+    const article = await extractor.extract(`${publisher.url}/2024/coastal-plan`);
+
+    assert.equal(article.title, 'Coastal plan approved after two years of hearings');
+    assert.equal(article.byline, 'Jane Reporter');
+    assert.ok(article.textLength >= extractor.minTextLength);
+    assert.match(article.content, /raise sea walls along eleven kilometres/);
+    assert.match(article.content, /The sea wall at low tide/);
+    for (const dropped of ['Advertisement', 'Subscribe', 'Copyright', 'tracker']) {
+        assert.doesNotMatch(article.content, new RegExp(dropped), `${dropped} is not part of the article`);
+    }
+});
+
+test('sanitizes the extracted HTML and resolves relative URLs', async () => {
+    const { content } = await extractor.extract(`${publisher.url}/2024/coastal-plan`);
+
+    assert.doesNotMatch(content, /<(script|style|iframe|form|input|button)\b/i);
+    assert.doesNotMatch(content, /\son\w+=/i, 'no event handlers');
+    assert.doesNotMatch(content, /javascript:/i);
+    assert.match(content, new RegExp(`<img src="${publisher.url}/images/sea-wall.jpg"`));
+    assert.match(content, new RegExp(`<a href="${publisher.url}/2024/hearings" target="_blank" rel="noopener noreferrer">`));
+});
+
+test('resolves relative URLs against the page a redirect ends on', async () => {
+    const { content } = await extractor.extract(`${publisher.url}/moved`);
+    assert.match(content, new RegExp(`href="${publisher.url}/2024/hearings"`));
+});
+
+test('rejects pages without enough readable text', async () => {
+    await assert.rejects(extractor.extract(`${publisher.url}/2024/members-only`), error =>
+        error instanceof ExtractionError && error.status === 422 && /No readable article content/.test(error.message));
+});
+
+test('rejects responses that are not HTML pages', async () => {
+    await assert.rejects(extractor.extract(`${publisher.url}/feed.xml`), error =>
+        error instanceof ExtractionError && error.status === 422 && /application\/rss\+xml/.test(error.message));
+});
+
+test('reports HTTP errors from the publisher', async () => {
+    await assert.rejects(extractor.extract(`${publisher.url}/2024/gone`), error =>
+        error instanceof ExtractionError && error.status === 502 && /HTTP 404/.test(error.message));
+});
+
+test('gives up on pages over the size limit', async t => {
+    const small = new ArticleExtractor({ urlGuard: new UrlGuard({ allowedHosts: ['127.0.0.1'] }), maxBytes: 1024 });
+    t.after(() => small.urlGuard.agent.close());
+    await assert.rejects(small.extract(`${publisher.url}/2024/coastal-plan`), error =>
+        error instanceof ExtractionError && error.status === 422 && /larger than 1024 bytes/.test(error.message));
+});
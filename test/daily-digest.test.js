@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuerySyntaxError } from '../query-parser.js';
+import { tempDir, testAggregator } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.now();
+let scratch;
+
+before(async () => {
+    scratch = await tempDir();
+});
+
+after(() => scratch.cleanup());
+
+// `count` stories about `topic`, one an hour from `hoursAgo` back; the first is also carried by a second outlet.
+// Apart from the topic, each story has words of its own (solar3north...), so no two are near-duplicates.
+function stories(topic, count, hoursAgo = 1) {
+    return Array.from({ length: count }, (_, i) => {
+        const tag = `${topic}${hoursAgo}x${i}`;
+        const story = {
+            title: `${topic} update ${tag}north ${tag}south ${tag}east`,
+            snippet: `Report from ${tag}west and ${tag}river about ${topic} near ${tag}hill.`,
+            category: 'local',
+            pubDate: new Date(NOW - (hoursAgo + i) * HOUR_MS),
+            fetchedAt: new Date(NOW - (hoursAgo + i) * HOUR_MS),
+            lastSeenAt: new Date(NOW)
+        };
+        const copies = [{ ...story, url: `https://first.example/${tag}`, source: 'First' }];
+        if (i === 0) copies.push({ ...story, url: `https://second.example/${tag}`, source: 'Second' });
+        return copies;
+    }).flat();
+}
+
+function digestAggregator(t, articles) {
+    const aggregator = testAggregator(scratch.dir);
+    t.after(() => aggregator.urlGuard.agent.close());
+    aggregator.mergeArticles(articles.map(article => ({ ...article, id: aggregator.articleId(article) })));
+    return aggregator;
+}
+
+const titles = section => section.stories.map(({ article }) => article.title);
+
+test('each interest gets perInterest x weight stories, one per story cluster', t => {
+    const aggregator = digestAggregator(t, [...stories('solar', 8), ...stories('ferry', 8)]);
+    const digest = aggregator.dailyDigest({ interests: [{ query: 'solar', weight: 2 }, { query: 'ferry' }], now: NOW });
+
+    const [solar, ferry] = digest.sections;
+    assert.equal(solar.interest, 'solar');
+    assert.equal(solar.stories.length, 6, '3 per interest x weight 2');
+    assert.equal(solar.more, 2);
+    assert.equal(ferry.stories.length, 3);
+    assert.equal(ferry.more, 5);
+
+    const carriedTwice = ({ article }) => article.title.includes('solar1x0north');
+    const first = solar.stories.find(carriedTwice);
+    assert.ok(first, 'the story carried twice is listed');
+    assert.equal(solar.stories.filter(carriedTwice).length, 1);
+    assert.equal(first.alsoCoveredBy.length, 1, 'the other outlet is listed as also covering it');
+    assert.equal(digest.stats.articles, 18);
+    assert.equal(digest.stats.stories, 16);
+});
+
+test('at most twelve stories in all, and a story matching several interests is listed once', t => {
+    const aggregator = digestAggregator(t, [...stories('solar', 10), ...stories('ferry', 10), ...stories('tram', 10)]);
+    const digest = aggregator.dailyDigest({
+        interests: [{ query: 'solar', weight: 3 }, { query: 'ferry', weight: 3 }, { query: 'tram', weight: 3 }],
+        now: NOW
+    });
+    const counts = digest.sections.map(section => section.stories.length);
+    assert.deepEqual(counts, [9, 3, 0], 'the overall cap of 12 cuts off later interests');
+    assert.equal(digest.sections[2].more, 10);
+
+    const overlapping = aggregator.dailyDigest({
+        interests: [{ query: 'update', weight: 2 }, { query: 'solar' }],
+        now: NOW
+    });
+    const listed = overlapping.sections.flatMap(titles);
+    assert.equal(new Set(listed).size, listed.length, 'no story twice');
+    assert.ok(titles(overlapping.sections[0]).some(title => title.includes('solar')), 'listed under the heavier interest');
+});
+
+test('a date picks one UTC day; malformed dates and interests are reported', t => {
+    const aggregator = digestAggregator(t, [...stories('solar', 3), ...stories('solar', 2, 72)]);
+
+    const today = aggregator.dailyDigest({ interests: [{ query: 'solar' }], perInterest: 10, now: NOW });
+    assert.equal(today.sections[0].stories.length, 3, 'the last 24 hours by default');
+
+    const day = new Date(NOW - 72 * HOUR_MS).toISOString().slice(0, 10);
+    const earlier = aggregator.dailyDigest({ interests: [{ query: 'solar' }], perInterest: 10, date: day, now: NOW });
+    assert.equal(earlier.since.toISOString(), `${day}T00:00:00.000Z`);
+    assert.equal(earlier.until.toISOString(), `${day}T23:59:59.999Z`);
+    assert.ok(earlier.sections[0].stories.every(({ article }) => article.pubDate.toISOString().startsWith(day)));
+
+    assert.throws(() => aggregator.dailyDigest({ interests: [{ query: 'solar' }], date: '2026-02-30x' }), QuerySyntaxError);
+    assert.throws(() => aggregator.dailyDigest({ interests: [{ query: 'solar' }], date: 'yesterday' }), /Invalid digest date/);
+
+    const withError = aggregator.dailyDigest({ interests: [{ query: 'solar' }, { query: '"unclosed' }], now: NOW });
+    assert.deepEqual(withError.errors.map(({ interest }) => interest), ['"unclosed']);
+    assert.deepEqual(withError.sections[1].stories, []);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { dataPath, prepareDataDir, runningServer, acquireServerLock, releaseServerLock } from '../data-dir.js';
+import { createStorage } from '../storage.js';
+import ProfileStore from '../profile-store.js';
+import ReadingBudget from '../reading-budget.js';
+import ImageProxy from '../image-proxy.js';
+import { tempDir, quietLogger } from './helpers.js';
+
+let scratch;
+let cwd;
+
+before(async () => {
+    scratch = await tempDir();
+    cwd = process.cwd();
+    process.chdir(scratch.dir);
+});
+
+after(async () => {
+    process.chdir(cwd);
+    await scratch.cleanup();
+});
+
+test('moves data files left in the working directory into the data directory', async () => {
+    await fs.writeFile('profiles.json', '{"profiles":[]}');
+    await fs.mkdir('image-cache');
+    await fs.writeFile(path.join('image-cache', 'a.webp'), 'x');
+
+    await prepareDataDir(quietLogger);
+
+    assert.equal(await fs.readFile(dataPath('profiles.json'), 'utf-8'), '{"profiles":[]}');
+    assert.equal(await fs.readFile(path.join(dataPath('image-cache'), 'a.webp'), 'utf-8'), 'x');
+    await assert.rejects(fs.access('profiles.json'));
+    await assert.rejects(fs.access('image-cache'));
+});
+
+test('never overwrites a file already in the data directory', async () => {
+    await fs.writeFile(dataPath('reading-usage.json'), 'current');
+    await fs.writeFile('reading-usage.json', 'leftover');
+
+    await prepareDataDir(quietLogger);
+
+    assert.equal(await fs.readFile(dataPath('reading-usage.json'), 'utf-8'), 'current');
+    assert.equal(await fs.readFile('reading-usage.json', 'utf-8'), 'leftover');
+});
+
+test('the server lock names a live server and is taken over once it is gone', async t => {
+    await prepareDataDir(quietLogger);
+    assert.equal(await runningServer(), null);
+
+    await acquireServerLock();
+    assert.equal(await runningServer(), null, 'a process never counts its own lock');
+    releaseServerLock();
+    await assert.rejects(fs.access(dataPath('server.lock')));
+
+    const server = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)']);
+    t.after(() => server.kill());
+    await fs.writeFile(dataPath('server.lock'), String(server.pid));
+    assert.equal(await runningServer(), server.pid);
+    await assert.rejects(acquireServerLock(), /Another server/);
+    releaseServerLock();
+    assert.equal(await fs.readFile(dataPath('server.lock'), 'utf-8'), String(server.pid), 'only the holder releases the lock');
+
+    server.kill();
+    await new Promise(resolve => server.once('exit', resolve));
+    assert.equal(await runningServer(), null, 'a lock left by a dead server does not count');
+    await acquireServerLock();
+    assert.equal(await fs.readFile(dataPath('server.lock'), 'utf-8'), String(process.pid));
+    releaseServerLock();
+});
+
+test('every data file defaults to a path inside DATA_DIR, read when the store is created', async t => {
+    process.env.DATA_DIR = path.join(scratch.dir, 'elsewhere');
+    t.after(() => delete process.env.DATA_DIR);
+    const inDataDir = name => path.join(scratch.dir, 'elsewhere', name);
+
+    const json = createStorage('json');
+    assert.equal(json.cacheFile, inDataDir('articles-cache.json'));
+    assert.equal(json.stateFile, inDataDir('article-state.json'));
+    const sqlite = createStorage('sqlite');
+    assert.equal(sqlite.file, inDataDir('news.db'));
+    assert.equal(sqlite.legacy.cacheFile, inDataDir('articles-cache.json'));
+    assert.equal(new ProfileStore().file, inDataDir('profiles.json'));
+    assert.equal(new ReadingBudget().file, inDataDir('reading-usage.json'));
+
+    const imageProxy = new ImageProxy();
+    t.after(() => imageProxy.urlGuard.agent.close());
+    assert.equal(imageProxy.cacheDir, inDataDir('image-cache'));
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FeedFetchError } from '../rss-aggregator.js';
+import { tempDir, stubServer, rss, testAggregator } from './helpers.js';
+
+const ETAG = '"v1"';
+const LAST_MODIFIED = 'Mon, 01 Jan 2024 00:00:00 GMT';
+
+let scratch;
+let publisher;
+// Per-path behaviour of the stub publisher
+const routes = {
+    // Full response with validators, then 304 whenever the client sends them back
+    '/conditional.xml': (req, res) => {
+        if (req.headers['if-none-match'] === ETAG) {
+            res.writeHead(304);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: ETAG, 'Last-Modified': LAST_MODIFIED });
+        res.end(rss('Conditional', [{ title: 'First story', link: 'http://example.com/1' }]));
+    },
+    // 304 without repeating the validators
+    '/bare-304.xml': (req, res) => {
+        if (req.headers['if-modified-since']) {
+            res.writeHead(304);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml', 'Last-Modified': LAST_MODIFIED });
+        res.end(rss('Bare', [{ title: 'Bare story', link: 'http://example.com/bare' }]));
+    },
+    '/broken.xml': (req, res) => {
+        res.writeHead(500);
+        res.end('nope');
+    }
+};
+
+before(async () => {
+    scratch = await tempDir();
+    publisher = await stubServer((req, res) => (routes[req.url] ?? routes['/broken.xml'])(req, res));
+});
+
+after(async () => {
+    await publisher.close();
+    await scratch.cleanup();
+});
+
+function aggregatorWith(paths, options) {
+    const aggregator = testAggregator(scratch.dir, options);
+    aggregator.feeds = paths.map(path => ({ url: `${publisher.url}${path}`, source: path, category: 'test', keywords: [] }));
+    return aggregator;
+}
+
+test('sends stored validators and keeps articles on 304 Not Modified', async t => {
+    const aggregator = aggregatorWith(['/conditional.xml']);
+    t.after(() => aggregator.urlGuard.agent.close());
+    const [feedConfig] = aggregator.feeds;
+
+    await aggregator.fetchAllFeeds({ force: true });
+    const status = aggregator.getFeedStatus(feedConfig.url);
+    assert.equal(status.etag, ETAG);
+    assert.equal(status.lastModified, LAST_MODIFIED);
+    assert.equal(aggregator.articles.length, 1);
+
+    const before = publisher.requests.length;
+    await aggregator.fetchAllFeeds({ force: true });
+    const request = publisher.requests[before];
+    assert.equal(request.headers['if-none-match'], ETAG);
+    assert.equal(request.headers['if-modified-since'], LAST_MODIFIED);
+
+    assert.equal(aggregator.articles.length, 1, 'a 304 keeps the archived articles');
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(status.itemCount, 1);
+    assert.ok(status.nextAttempt > Date.now(), 'a 304 schedules the next refresh');
+});
+
+test('keeps earlier validators when a 304 omits them', async t => {
+    const aggregator = aggregatorWith(['/bare-304.xml']);
+    t.after(() => aggregator.urlGuard.agent.close());
+    const [feedConfig] = aggregator.feeds;
+
+    await aggregator.fetchAllFeeds({ force: true });
+    const result = await aggregator.downloadFeed(feedConfig);
+    assert.equal(result.notModified, true);
+    aggregator.recordFeedSuccess(feedConfig, result, 1);
+    assert.equal(aggregator.getFeedStatus(feedConfig.url).lastModified, LAST_MODIFIED);
+});
+
+test('feeds that are not due are skipped', async t => {
+    const aggregator = aggregatorWith(['/conditional.xml']);
+    t.after(() => aggregator.urlGuard.agent.close());
+
+    await aggregator.fetchAllFeeds();
+    const before = publisher.requests.length;
+    await aggregator.fetchAllFeeds();
+    assert.equal(publisher.requests.length, before);
+    assert.equal(aggregator.isFeedDue(aggregator.feeds[0], Date.now(), true), true);
+});
+
+test('backs off exponentially up to the cap and resets on success', () => {
+    const minute = 60 * 1000;
+    const aggregator = aggregatorWith(['/broken.xml'], { backoffBase: minute, backoffMax: 5 * minute, maxFailures: 100 });
+    const [feedConfig] = aggregator.feeds;
+    const status = aggregator.getFeedStatus(feedConfig.url);
+
+    const delays = [];
+    for (let i = 0; i < 5; i++) {
+        aggregator.recordFeedFailure(feedConfig, new Error('Status code 500'), 1);
+        delays.push(status.nextAttempt - status.lastAttempt);
+    }
+    assert.deepEqual(delays, [1, 2, 4, 5, 5].map(n => n * minute));
+    assert.equal(status.consecutiveFailures, 5);
+    assert.equal(status.lastError, 'Status code 500');
+    assert.equal(aggregator.feedHealth(feedConfig).state, 'failing');
+
+    aggregator.recordFeedSuccess(feedConfig, { feed: { items: [] }, notModified: false, headers: null }, 1);
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(aggregator.feedHealth(feedConfig).state, 'healthy');
+});
+
+test('disables a feed after too many consecutive failures', async t => {
+    const aggregator = aggregatorWith(['/broken.xml'], { backoffBase: 0, maxFailures: 3 });
+    t.after(() => aggregator.urlGuard.agent.close());
+    const [feedConfig] = aggregator.feeds;
+
+    for (let i = 0; i < 3; i++) await aggregator.fetchAllFeeds({ force: true });
+    const status = aggregator.getFeedStatus(feedConfig.url);
+    assert.equal(feedConfig.disabled, true);
+    assert.equal(status.nextAttempt, null);
+    assert.ok(status.disabledAt);
+    assert.equal(aggregator.feedHealth(feedConfig).state, 'disabled');
+    assert.equal(aggregator.isFeedDue(feedConfig, Date.now(), true), false, 'even a forced refresh skips a disabled feed');
+});
+
+test('a failed fetch rejects with a FeedFetchError carrying the feed and cause', async t => {
+    const aggregator = aggregatorWith(['/broken.xml']);
+    t.after(() => aggregator.urlGuard.agent.close());
+    const [feedConfig] = aggregator.feeds;
+
+    await assert.rejects(aggregator.fetchFeed(feedConfig), error => {
+        assert.ok(error instanceof FeedFetchError);
+        assert.ok(error instanceof Error);
+        assert.equal(error.feedConfig, feedConfig);
+        assert.equal(error.cause.message, 'Status code 500');
+        assert.ok(error.stack);
+        return true;
+    });
+});
@@ -0,0 +1,59 @@
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import RSSAggregator from '../rss-aggregator.js';
+import UrlGuard from '../url-guard.js';
+import { createStorage } from '../storage.js';
+
+// A scratch directory, removed by the returned cleanup
+export async function tempDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'news-feed-test-'));
+    return { dir, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * A local HTTP server standing in for publishers. `handler(req, res)` answers every request;
+ * `requests` records each one's url and headers. Resolves with { url, requests, close }.
+ */
+export async function stubServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+export function rss(title, items) {
+    return `<?xml version="1.0"?><rss version="2.0"><channel><title>${title}</title><link>http://example.com/</link>` +
+        items.map(item => `<item><title>${item.title}</title><link>${item.link}</link><guid>${item.guid ?? item.link}</guid>` +
+            `<description>${item.description ?? ''}</description><pubDate>${item.pubDate ?? new Date().toUTCString()}</pubDate></item>`).join('') +
+        '</channel></rss>';
+}
+
+// Drops progress messages, which would otherwise mix with the test runner's output; errors still show
+export const quietLogger = { log: () => {}, error: console.error };
+
+// An aggregator whose files live in `dir` and that may fetch from the local stub server
+export function testAggregator(dir, options = {}) {
+    return new RSSAggregator({
+        logger: quietLogger,
+        feedsFile: path.join(dir, 'feeds.json'),
+        storage: createStorage('json', {
+            cacheFile: path.join(dir, 'articles-cache.json'),
+            stateFile: path.join(dir, 'article-state.json'),
+            logger: quietLogger
+        }),
+        urlGuard: new UrlGuard({ allowedHosts: ['127.0.0.1'] }),
+        ...options
+    });
+}
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import ImageProxy, { ImageProxyError } from '../image-proxy.js';
+import UrlGuard from '../url-guard.js';
+import { stubServer, tempDir, quietLogger } from './helpers.js';
+
+let publisher;
+let scratch;
+const proxies = [];
+
+// Every .png path serves the same 800x600 picture; anything else is a 404
+before(async () => {
+    const png = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#3366cc' } }).png().toBuffer();
+    publisher = await stubServer((req, res) => {
+        if (!req.url.endsWith('.png')) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+    });
+    scratch = await tempDir();
+});
+
+after(async () => {
+    await Promise.all(proxies.map(proxy => proxy.urlGuard.agent.close()));
+    await publisher.close();
+    await scratch.cleanup();
+});
+
+async function imageProxy(name, options = {}) {
+    const proxy = new ImageProxy({
+        cacheDir: path.join(scratch.dir, name),
+        urlGuard: new UrlGuard({ allowedHosts: ['127.0.0.1'] }),
+        logger: quietLogger,
+        secret: 'test secret',
+        ...options
+    });
+    proxies.push(proxy);
+    await proxy.load();
+    return proxy;
+}
+
+// The { url, size, sig } query of a proxy URL, as the /img route receives it
+function query(proxyUrl) {
+    return Object.fromEntries(new URL(proxyUrl, 'http://localhost').searchParams);
+}
+
+const rejectsWith = (status, pattern) => error =>
+    error instanceof ImageProxyError && error.status === status && pattern.test(error.message);
+
+test('serves signed images, resized and re-encoded as WebP', async () => {
+    const proxy = await imageProxy('signed', { baseUrl: 'https://news.example' });
+    const proxyUrl = proxy.proxyUrl(`${publisher.url}/signed.png`);
+    assert.ok(proxyUrl.startsWith('https://news.example/img?'));
+
+    const image = await proxy.get(query(proxyUrl));
+    const { format, width, height } = await sharp(image).metadata();
+    assert.equal(format, 'webp');
+    assert.deepEqual([width, height], [480, 360], 'fits inside the 640x360 thumbnail');
+    assert.equal(proxy.proxyUrl('javascript:alert(1)'), null);
+});
+
+test('refuses requests whose signature does not match the url and size', async () => {
+    const proxy = await imageProxy('signatures');
+    const requests = publisher.requests.length;
+    const signed = query(proxy.proxyUrl(`${publisher.url}/photo.png`, 'thumb'));
+
+    await assert.rejects(proxy.get({ ...signed, url: `${publisher.url}/other.png` }), rejectsWith(403, /Invalid image signature/));
+    await assert.rejects(proxy.get({ ...signed, size: 'full' }), rejectsWith(403, /Invalid image signature/));
+    await assert.rejects(proxy.get({ ...signed, sig: signed.sig.slice(1) }), rejectsWith(403, /Invalid image signature/));
+    await assert.rejects(proxy.get({ ...signed, size: 'huge' }), rejectsWith(400, /size must be one of: thumb, full/));
+    await assert.rejects(proxy.get({ url: signed.url }), rejectsWith(400, /url and sig are required/));
+
+    const other = await imageProxy('other-secret', { secret: 'another secret' });
+    await assert.rejects(other.get(signed), rejectsWith(403, /Invalid image signature/), 'signatures depend on the secret');
+    assert.equal(publisher.requests.length, requests, 'nothing was fetched');
+});
+
+test('refuses source images over maxSourceBytes', async () => {
+    const proxy = await imageProxy('size-limit', { maxSourceBytes: 256 });
+    await assert.rejects(proxy.get(query(proxy.proxyUrl(`${publisher.url}/large.png`))),
+        rejectsWith(413, /larger than 256 bytes/));
+    assert.equal(proxy.entries.size, 0);
+
+    const missing = await imageProxy('missing');
+    await assert.rejects(missing.get(query(missing.proxyUrl(`${publisher.url}/gone.jpg`))), rejectsWith(502, /HTTP 404/));
+});
+
+test('caches images on disk and evicts the least recently used past maxCacheBytes', async () => {
+    const proxy = await imageProxy('eviction');
+    const get = name => proxy.get(query(proxy.proxyUrl(`${publisher.url}/${name}.png`)));
+    const fetched = name => publisher.requests.filter(({ url }) => url === `/${name}.png`).length;
+
+    await get('a');
+    const [[fileA, bytes]] = proxy.entries;
+    proxy.maxCacheBytes = 2 * bytes; // Room for two images: all the same size
+    await get('b');
+    await get('a'); // From the cache, which makes b the least recently used
+    assert.equal(fetched('a'), 1);
+
+    await get('c');
+    assert.equal(proxy.entries.size, 2);
+    assert.equal(proxy.cacheBytes, 2 * bytes);
+    assert.deepEqual((await fs.readdir(proxy.cacheDir)).sort(), [...proxy.entries.keys()].sort());
+    assert.ok(proxy.entries.has(fileA), 'a was used after b and stays');
+
+    await get('b');
+    assert.equal(fetched('b'), 2, 'b was evicted and is fetched again');
+
+    // A restart finds what is on disk
+    const restarted = await imageProxy('eviction');
+    assert.equal(restarted.cacheBytes, 2 * bytes);
+    await restarted.get(query(restarted.proxyUrl(`${publisher.url}/b.png`)));
+    assert.equal(fetched('b'), 2);
+});
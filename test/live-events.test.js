@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import LiveEvents, { LiveEventsError } from '../live-events.js';
+
+// Just what LiveEvents uses of the aggregator
+function fakeAggregator() {
+    const aggregator = new EventEmitter();
+    aggregator.normalizeInterest = () => {};
+    aggregator.cacheStatus = () => ({ refreshing: false, lastUpdate: null });
+    return aggregator;
+}
+
+function fakeRequest(ip) {
+    const req = new EventEmitter();
+    req.ip = ip;
+    return req;
+}
+
+function fakeResponse() {
+    return { writeHead() {}, write() {}, end() {} };
+}
+
+test('caps open streams per client IP and frees a slot on disconnect', t => {
+    const hub = new LiveEvents(fakeAggregator(), { maxClients: 10, maxClientsPerIp: 2 });
+    t.after(() => hub.close());
+
+    const first = fakeRequest('203.0.113.1');
+    hub.connect(first, fakeResponse());
+    hub.connect(fakeRequest('203.0.113.1'), fakeResponse());
+    assert.throws(() => hub.connect(fakeRequest('203.0.113.1'), fakeResponse()), error =>
+        error instanceof LiveEventsError && error.status === 429);
+
+    hub.connect(fakeRequest('203.0.113.2'), fakeResponse());
+    assert.equal(hub.clients.size, 3, 'other clients are not affected');
+
+    first.emit('close');
+    hub.connect(fakeRequest('203.0.113.1'), fakeResponse());
+    assert.equal(hub.clientsFrom('203.0.113.1'), 2);
+});
+
+test('refuses streams once the hub is full', t => {
+    const hub = new LiveEvents(fakeAggregator(), { maxClients: 2 });
+    t.after(() => hub.close());
+
+    hub.connect(fakeRequest('203.0.113.1'), fakeResponse());
+    hub.connect(fakeRequest('203.0.113.2'), fakeResponse());
+    assert.throws(() => hub.connect(fakeRequest('203.0.113.3'), fakeResponse()), error =>
+        error instanceof LiveEventsError && error.status === 503);
+});
+
+test('new-articles respect each client\'s article limit and are held back at zero', t => {
+    const aggregator = fakeAggregator();
+    aggregator.matchingArticles = articles => articles.map(article => ({ article, interest: 'climate', matchedInterests: ['climate'] }));
+    const hub = new LiveEvents(aggregator);
+    t.after(() => hub.close());
+
+    const written = [];
+    const recording = name => ({ ...fakeResponse(), write: chunk => written.push([name, chunk]) });
+    hub.connect(fakeRequest('203.0.113.1'), recording('open'), { interests: ['climate'] });
+    hub.connect(fakeRequest('203.0.113.2'), recording('limited'), { interests: ['climate'], articleLimit: () => 2 });
+    hub.connect(fakeRequest('203.0.113.3'), recording('quiet'), { interests: ['climate'], articleLimit: () => 0 });
+
+    const added = ['a', 'b', 'c'].map(id => ({ id }));
+    aggregator.emit('refresh-complete', { added, updated: 0, pruned: 0, failed: 0, totalArticles: 3, lastUpdate: null });
+
+    const events = name => written.filter(([client, chunk]) => client === name && chunk.startsWith('event: new-articles'))
+        .map(([, chunk]) => JSON.parse(chunk.split('data: ')[1]));
+    assert.deepEqual(events('open').map(event => event.articles.length), [3]);
+    assert.deepEqual(events('limited').map(event => [event.count, event.articles.map(article => article.id)]), [[3, ['a', 'b']]]);
+    assert.deepEqual(events('quiet'), [], 'nothing is sent while the budget is used up');
+    assert.equal(written.filter(([client, chunk]) => client === 'quiet' && chunk.startsWith('event: refresh-complete')).length, 1);
+});
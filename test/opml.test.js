@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RSSAggregator from '../rss-aggregator.js';
+import { buildOpml, parseOpml, OpmlError } from '../opml.js';
+
+const FEEDS = [
+    { url: 'https://example.com/plain.xml', category: 'world', source: 'Plain', keywords: [] },
+    {
+        url: 'https://example.com/full.xml',
+        category: 'technology',
+        source: 'Full & <Text>',
+        keywords: ['ai', 'chips'],
+        fullText: true,
+        refreshInterval: 120,
+        disabled: true
+    }
+];
+
+test('an export then import keeps every feed setting', async () => {
+    const aggregator = new RSSAggregator();
+    const { entries, skipped } = await parseOpml(buildOpml(FEEDS));
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(entries.map(entry => aggregator.normalizeFeedConfig(entry)), FEEDS);
+});
+
+test('folders set the category and outlines without xmlUrl are skipped', async () => {
+    const { entries, skipped } = await parseOpml(`<?xml version="1.0"?>
+<opml version="2.0"><body>
+  <outline text="Science"><outline text="Space" xmlUrl="https://example.com/space.xml" category="/astronomy,/nasa"/></outline>
+  <outline text="Loose" xmlUrl="https://example.com/loose.xml" category="/Tech/AI"/>
+  <outline text="Just a note"/>
+</body></opml>`);
+
+    assert.deepEqual(entries, [
+        { url: 'https://example.com/space.xml', source: 'Space', category: 'science', keywords: ['astronomy', 'nasa'] },
+        { url: 'https://example.com/loose.xml', source: 'Loose', category: 'tech', keywords: ['ai'] }
+    ]);
+    assert.deepEqual(skipped, [{ text: 'Just a note', reason: 'Outline has no xmlUrl' }]);
+});
+
+test('rejects documents that are not OPML', async () => {
+    await assert.rejects(parseOpml('<rss></rss>'), OpmlError);
+    await assert.rejects(parseOpml('not xml <'), OpmlError);
+});
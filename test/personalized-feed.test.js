@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuerySyntaxError } from '../query-parser.js';
+import { tempDir, testAggregator } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const INTERESTS = [{ query: 'solar' }, { query: 'wind', weight: 2 }];
+const TOPICS = ['solar', 'wind', 'solar wind'];
+const PLACES = ['Aberdeen', 'Bergen', 'Cadiz', 'Dundee', 'Esbjerg', 'Faro', 'Galway', 'Hamburg', 'Inverness', 'Kiel',
+    'Leith', 'Malmo', 'Nantes', 'Oban', 'Porto', 'Quimper', 'Rostock', 'Stavanger', 'Tromso', 'Umea',
+    'Vigo', 'Wexford', 'Ystad', 'Zeebrugge', 'Arendal', 'Brest', 'Cork', 'Derry', 'Emden', 'Fowey'];
+const EVENTS = ['opens', 'expands', 'stalls', 'wins approval', 'faces protests', 'breaks records'];
+
+let scratch;
+
+before(async () => {
+    scratch = await tempDir();
+});
+
+after(() => scratch.cleanup());
+
+// Stories on solar, wind or both; every fourth is also carried, word for word, by a second outlet
+function articles(count, fetchedAt = new Date(Date.now() - HOUR_MS), prefix = '') {
+    const list = [];
+    for (let i = 0; i < count; i++) {
+        const topic = TOPICS[i % TOPICS.length];
+        const place = `${prefix}${PLACES[i % PLACES.length]}`;
+        const story = {
+            title: `${place} ${topic} project ${EVENTS[i % EVENTS.length]}`,
+            snippet: `Residents of ${place} weigh what the ${topic} scheme means for ${place} harbour.`,
+            category: 'energy',
+            pubDate: new Date(Date.now() - (i + 1) * HOUR_MS),
+            fetchedAt,
+            lastSeenAt: fetchedAt
+        };
+        list.push({ ...story, id: `${prefix}a${i}`, url: `https://first.example/${prefix}${i}`, source: 'First' });
+        if (i % 4 === 0) list.push({ ...story, id: `${prefix}b${i}`, url: `https://second.example/${prefix}${i}`, source: 'Second' });
+    }
+    return list;
+}
+
+function feedAggregator(t) {
+    const aggregator = testAggregator(scratch.dir);
+    t.after(() => aggregator.urlGuard.agent.close());
+    aggregator.mergeArticles(articles(30));
+    return aggregator;
+}
+
+// Follow nextCursor to the end; each page as a list of article ids
+function allPages(aggregator, options = {}) {
+    const pages = [];
+    let cursor = null;
+    do {
+        const feed = aggregator.personalizedFeed({ interests: INTERESTS, limit: 5, perInterest: 3, cursor, ...options });
+        pages.push(feed.articles.map(({ article }) => article.id));
+        cursor = feed.nextCursor;
+    } while (cursor && pages.length < 50);
+    return pages;
+}
+
+test('pages never repeat an article or a story and together cover the whole feed', t => {
+    const aggregator = feedAggregator(t);
+    assert.ok(aggregator.articles.some(article => article.clusterId), 'the fixture has near-duplicates');
+
+    const pages = allPages(aggregator);
+    const ids = pages.flat();
+    assert.ok(pages.length > 3);
+    assert.equal(pages[0].length, 5);
+    assert.equal(new Set(ids).size, ids.length, 'no article twice');
+
+    const storyKey = article => article.clusterId || article.url;
+    const stories = ids.map(id => storyKey(aggregator.articlesById.get(id)));
+    assert.equal(new Set(stories).size, stories.length, 'no story twice, even from another outlet');
+    assert.equal(stories.length, new Set(aggregator.articles.map(storyKey)).size, 'every story shows up once');
+});
+
+test('following a cursor is stable, even when articles arrive between pages', t => {
+    const aggregator = feedAggregator(t);
+    const first = aggregator.personalizedFeed({ interests: INTERESTS, limit: 5 });
+    const again = aggregator.personalizedFeed({ interests: INTERESTS, limit: 5, cursor: first.nextCursor });
+    const before = aggregator.personalizedFeed({ interests: INTERESTS, limit: 5, cursor: first.nextCursor });
+    assert.deepEqual(again.articles.map(({ article }) => article.id), before.articles.map(({ article }) => article.id));
+
+    aggregator.mergeArticles(articles(3, new Date(), 'new-'));
+
+    const after = aggregator.personalizedFeed({ interests: INTERESTS, limit: 5, cursor: first.nextCursor });
+    assert.deepEqual(after.articles.map(({ article }) => article.id), before.articles.map(({ article }) => article.id),
+        'articles fetched after the first page wait for a new first page');
+    const restart = aggregator.personalizedFeed({ interests: INTERESTS, limit: 50, perInterest: 50 });
+    assert.ok(restart.articles.some(({ article }) => article.id.startsWith('new-')));
+});
+
+test('the cursor is base64url JSON bound to the interests', t => {
+    const aggregator = feedAggregator(t);
+    const { nextCursor } = aggregator.personalizedFeed({ interests: INTERESTS, limit: 5 });
+    assert.match(nextCursor, /^[A-Za-z0-9_-]+$/);
+    const decoded = JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf-8'));
+    assert.equal(decoded.positions.length, INTERESTS.length);
+    assert.equal(typeof decoded.snapshot, 'number');
+
+    const page = cursor => () => aggregator.personalizedFeed({ interests: INTERESTS, limit: 5, cursor });
+    const invalid = error => error instanceof QuerySyntaxError && error.status === 400 && error.message === 'Invalid cursor';
+    assert.throws(page('not a cursor!'), invalid);
+    assert.throws(page(Buffer.from('{"positions":"all"}').toString('base64url')), invalid);
+    assert.throws(page(Buffer.from('[1, 2]').toString('base64url')), invalid);
+    assert.throws(() => aggregator.personalizedFeed({ interests: [{ query: 'solar' }], limit: 5, cursor: nextCursor }),
+        /Cursor does not match these interests/);
+});
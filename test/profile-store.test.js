@@ -0,0 +1,34 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import ProfileStore, { ProfileError } from '../profile-store.js';
+import { tempDir, quietLogger } from './helpers.js';
+
+let scratch;
+let store;
+
+before(async () => {
+    scratch = await tempDir();
+    store = new ProfileStore({ file: path.join(scratch.dir, 'profiles.json'), logger: quietLogger });
+});
+
+after(() => scratch.cleanup());
+
+test('get returns the public view of a profile', async () => {
+    const { profile } = await store.create({ name: 'Data Team' });
+    const found = store.get(profile.id);
+
+    assert.equal(found.id, 'data-team');
+    assert.equal(found.name, 'Data Team');
+    assert.equal(found.tokenHash, undefined);
+    assert.equal(found.settings, undefined);
+    assert.equal(store.get('nobody'), null);
+});
+
+test('settings need the profile token', async () => {
+    const { profile, token } = await store.create({ name: 'Reader', settings: { interests: ['AI'] } });
+
+    assert.deepEqual(store.getSettings(profile.id, token).settings, { interests: ['AI'] });
+    assert.throws(() => store.getSettings(profile.id, 'wrong'), error => error instanceof ProfileError && error.status === 401);
+    assert.throws(() => store.getSettings('nobody', token), error => error instanceof ProfileError && error.status === 404);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, scoringTerms, QuerySyntaxError } from '../query-parser.js';
+
+test('words become stemmed terms and quoted text a phrase', () => {
+    assert.deepEqual(parseQuery('elections'), { type: 'term', term: 'elect', field: null });
+    assert.deepEqual(parseQuery('"climate change"'), { type: 'phrase', terms: ['climat', 'chang'], field: null });
+    assert.deepEqual(parseQuery('"the climate"'), { type: 'term', term: 'climat', field: null }, 'stop words drop out of phrases');
+    assert.equal(parseQuery('the and of'), null, 'nothing searchable');
+    assert.equal(parseQuery('   '), null);
+});
+
+test('adjacent terms are ANDed and AND binds tighter than OR', () => {
+    const term = word => ({ type: 'term', term: word, field: null });
+    assert.deepEqual(parseQuery('solar wind'), { type: 'and', nodes: [term('solar'), term('wind')] });
+    assert.deepEqual(parseQuery('solar AND wind'), parseQuery('solar wind'));
+    assert.deepEqual(parseQuery('solar OR wind'), { type: 'or', nodes: [term('solar'), term('wind')] });
+    assert.deepEqual(parseQuery('solar wind OR coal AND gas'), {
+        type: 'or',
+        nodes: [
+            { type: 'and', nodes: [term('solar'), term('wind')] },
+            { type: 'and', nodes: [term('coal'), term('ga')] }
+        ]
+    });
+    assert.deepEqual(parseQuery('solar or wind'), { type: 'and', nodes: [term('solar'), term('wind')] },
+        'lowercase "or" is a stop word, not an operator');
+});
+
+test('a leading minus excludes a term, phrase or qualifier', () => {
+    assert.deepEqual(parseQuery('-sport'), { type: 'not', node: { type: 'term', term: 'sport', field: null } });
+    assert.deepEqual(parseQuery('news -"transfer window"'), {
+        type: 'and',
+        nodes: [
+            { type: 'term', term: 'new', field: null },
+            { type: 'not', node: { type: 'phrase', terms: ['transfer', 'window'], field: null } }
+        ]
+    });
+    assert.deepEqual(parseQuery('-source:tabloid'), { type: 'not', node: { type: 'filter', field: 'source', value: 'tabloid' } });
+    assert.deepEqual(scoringTerms(parseQuery('solar -wind OR "heat pump"')), new Set(['solar', 'heat', 'pump']),
+        'excluded terms do not score');
+});
+
+test('each field qualifier', () => {
+    assert.deepEqual(parseQuery('title:budget'), { type: 'term', term: 'budget', field: 'title' });
+    assert.deepEqual(parseQuery('snippet:"interest rates"'), { type: 'phrase', terms: ['interest', 'rate'], field: 'snippet' });
+    assert.deepEqual(parseQuery('content:vaccine'), { type: 'term', term: 'vaccin', field: 'content' });
+    assert.deepEqual(parseQuery('source:BBC'), { type: 'filter', field: 'source', value: 'bbc' });
+    assert.deepEqual(parseQuery('source:"BBC News"'), { type: 'filter', field: 'source', value: 'bbc news' });
+    assert.deepEqual(parseQuery('category:Tech'), { type: 'filter', field: 'category', value: 'tech' });
+    assert.deepEqual(parseQuery('TOPIC:Climate'), { type: 'filter', field: 'topic', value: 'climate' }, 'field names are case-insensitive');
+});
+
+test('before: and after: take dates', () => {
+    assert.deepEqual(parseQuery('before:2026-03-01'), { type: 'date', field: 'before', date: new Date('2026-03-01') });
+    assert.deepEqual(parseQuery('storm after:2026-02-15'), {
+        type: 'and',
+        nodes: [
+            { type: 'term', term: 'storm', field: null },
+            { type: 'date', field: 'after', date: new Date('2026-02-15') }
+        ]
+    });
+});
+
+test('malformed queries throw QuerySyntaxError with a 400 status and a position', () => {
+    const cases = [
+        ['"unfinished phrase', /Unterminated quote at position 1/],
+        ['title:"open', /Unterminated quote at position 7/],
+        ['solar -', /Nothing to exclude after "-" at position 7/],
+        ['AND solar', /Unexpected AND at position 1/],
+        ['solar OR OR wind', /Unexpected OR at position 10/],
+        ['solar AND', /Query cannot end with AND/],
+        ['solar OR', /Query cannot end with OR/],
+        ['source:', /Missing value for source: at position 1/],
+        ['after:yesterday', /Invalid date for after: "yesterday" at position 1/],
+        ['before:2026-13-45', /Invalid date for before/],
+        ['author:smith', /Unknown field "author" at position 1 \(expected one of: title, snippet/]
+    ];
+    for (const [query, message] of cases) {
+        assert.throws(() => parseQuery(query), error => {
+            assert.ok(error instanceof QuerySyntaxError, query);
+            assert.equal(error.status, 400);
+            assert.match(error.message, message, query);
+            return true;
+        });
+    }
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import ReadingBudget, { BudgetError } from '../reading-budget.js';
+import { tempDir } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2024-03-01T09:00:00Z');
+const WELLBEING = { dailyArticles: 5, dailyMinutes: 10, loadMoreLimit: 2, cooldownMinutes: 15, timeZone: 'UTC' };
+
+let scratch;
+
+before(async () => {
+    scratch = await tempDir();
+});
+
+after(() => scratch.cleanup());
+
+function budget() {
+    return new ReadingBudget({ file: path.join(scratch.dir, 'reading-usage.json') });
+}
+
+test('time between served pages counts as reading without heartbeats', async () => {
+    const usage = budget();
+    await usage.recordPage('ana', WELLBEING, ['a'], {}, START);
+    await usage.recordPage('ana', WELLBEING, ['b'], {}, START + 4 * MINUTE);
+    const summary = await usage.recordPage('ana', WELLBEING, ['c'], {}, START + 8 * MINUTE);
+    assert.equal(summary.minutes, 8);
+
+    // A long silence is capped, and after the session gap nothing is credited
+    await usage.recordPage('ana', WELLBEING, ['c'], {}, START + 20 * MINUTE);
+    assert.equal(usage.summary('ana', WELLBEING, START + 20 * MINUTE).minutes, 13);
+    await usage.recordPage('ana', WELLBEING, ['c'], {}, START + 60 * MINUTE);
+    assert.equal(usage.summary('ana', WELLBEING, START + 60 * MINUTE).minutes, 13);
+    assert.throws(() => usage.check('ana', WELLBEING, {}, START + 60 * MINUTE), error =>
+        error instanceof BudgetError && error.reason === 'dailyMinutes');
+});
+
+test('heartbeats never credit more time than has passed', async () => {
+    const usage = budget();
+    // The first activity of a session has nothing to measure against: the claim counts
+    await usage.recordActivity('ben', WELLBEING, 60, START);
+    // Two tabs reporting the same minute
+    await usage.recordActivity('ben', WELLBEING, 60, START + MINUTE);
+    await usage.recordActivity('ben', WELLBEING, 60, START + MINUTE + 1000);
+    // A page in between leaves the next heartbeat only the rest of its minute
+    await usage.recordPage('ben', WELLBEING, ['a'], {}, START + 90 * 1000);
+    const summary = await usage.recordActivity('ben', WELLBEING, 60, START + 2 * MINUTE);
+    assert.equal(usage.usage.get('ben').activeSeconds, 180);
+    assert.equal(summary.minutes, 3);
+});
+
+test('article and load-more limits', async () => {
+    const usage = budget();
+    await usage.recordPage('cy', WELLBEING, ['a', 'b', 'c'], {}, START);
+    assert.equal(usage.remainingArticles('cy', WELLBEING, START), 2);
+    await usage.recordPage('cy', WELLBEING, ['c', 'd'], { loadMore: true }, START + 1000);
+    await usage.recordPage('cy', WELLBEING, ['e'], { loadMore: true }, START + 2000);
+    assert.throws(() => usage.check('cy', WELLBEING, {}, START + 3000), error =>
+        error instanceof BudgetError && error.reason === 'dailyArticles' && error.status === 429);
+
+    const tomorrow = START + 24 * 60 * MINUTE;
+    assert.doesNotThrow(() => usage.check('cy', WELLBEING, {}, tomorrow));
+    await usage.recordPage('cy', WELLBEING, ['f'], { loadMore: true }, tomorrow);
+    await usage.recordPage('cy', WELLBEING, ['g'], { loadMore: true }, tomorrow + 1000);
+    assert.throws(() => usage.check('cy', WELLBEING, { loadMore: true }, tomorrow + 2000), error => error.reason === 'cooldown');
+    assert.doesNotThrow(() => usage.check('cy', WELLBEING, {}, tomorrow + 2000), 'a first page still loads');
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { plainText, safeUrl, sanitizeContent } from '../sanitize.js';
+import { tempDir, stubServer, rss, testAggregator } from './helpers.js';
+
+let scratch;
+let publisher;
+
+before(async () => {
+    scratch = await tempDir();
+    const malicious = await fs.readFile(new URL('./fixtures/malicious-feed.xml', import.meta.url));
+    publisher = await stubServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+        res.end(req.url === '/plain.xml' ? rss('Plain', [{ title: 'Plain story', link: 'https://example.com/plain' }]) : malicious);
+    });
+});
+
+after(async () => {
+    await publisher.close();
+    await scratch.cleanup();
+});
+
+// Fetch the malicious fixture and index its articles by guid. Its 2024 items must outlive retention.
+async function fetchMaliciousFeed(t) {
+    const aggregator = testAggregator(scratch.dir, { maxArticleAgeDays: 100 * 365 });
+    t.after(() => aggregator.urlGuard.agent.close());
+    aggregator.feeds = [{ url: `${publisher.url}/evil.xml`, source: 'Evil', category: 'test', keywords: [] }];
+    await aggregator.fetchAllFeeds({ force: true });
+    return new Map(aggregator.articles.map(article => [article.guid, article]));
+}
+
+// No markup that could run in a page, whatever the field
+function assertInert(text) {
+    assert.doesNotMatch(text, /<script|<iframe|<style|\son\w+\s*=|javascript:|data:/i, text);
+}
+
+test('titles and snippets are plain text', async t => {
+    const articles = await fetchMaliciousFeed(t);
+
+    const scripted = articles.get('evil-script');
+    assert.equal(scripted.title, 'Script in the title');
+    assert.equal(scripted.snippet, 'Handlers');
+
+    const encoded = articles.get('evil-encoded');
+    assert.equal(encoded.title, 'Encoded tags', 'entity-encoded tags are parsed out, not shown or decoded into markup');
+    assert.equal(encoded.snippet, 'Double &lt;b&gt; encoded', 'entities are decoded once');
+
+    assert.equal(articles.get('evil-control').title, 'Controlcharacters and whitespace');
+    for (const article of articles.values()) {
+        assert.doesNotMatch(article.title, /[<>]/);
+        assert.doesNotMatch(article.snippet, /[<>]/);
+    }
+});
+
+test('content keeps structure but loses scripts, handlers and unsafe URLs', async t => {
+    const articles = await fetchMaliciousFeed(t);
+
+    assert.equal(articles.get('evil-script').content, '<p>Handlers</p><img src="https://evil.example/a.jpg" />');
+    assert.equal(articles.get('evil-encoded').content, '<p>Double &amp;lt;b&amp;gt; encoded</p>');
+    const newTab = 'target="_blank" rel="noopener noreferrer"';
+    assert.equal(articles.get('evil-links').content,
+        `<a ${newTab}>js</a> <a ${newTab}>data</a> <a href="https://evil.example/ok" ${newTab}>ok</a>`, 'unsafe hrefs are dropped');
+    for (const article of articles.values()) assertInert(article.content);
+});
+
+test('links and images must be absolute http(s) URLs', async t => {
+    const articles = await fetchMaliciousFeed(t);
+
+    assert.equal(articles.has('evil-javascript'), false, 'an item with only a javascript: link is dropped');
+    const links = articles.get('evil-links');
+    assert.equal(links.url, `${publisher.url}/relative/links`);
+    assert.equal(links.imageUrl, null);
+    for (const article of articles.values()) assert.match(article.url, /^https?:\/\//);
+});
+
+test('unparseable dates fall back to the time of the fetch', async t => {
+    const fetchStart = Date.now();
+    const articles = await fetchMaliciousFeed(t);
+
+    assert.equal(articles.get('evil-script').pubDate.toISOString(), '2024-01-01T10:00:00.000Z');
+    for (const guid of ['evil-links', 'evil-control']) {
+        const { pubDate } = articles.get(guid);
+        assert.ok(pubDate instanceof Date && pubDate.getTime() >= fetchStart, `${guid} has a usable date`);
+    }
+});
+
+test('a feed title adopted as the source name is plain text', async t => {
+    const aggregator = testAggregator(scratch.dir);
+    t.after(() => aggregator.urlGuard.agent.close());
+    const feed = await aggregator.addFeed({ url: `${publisher.url}/plain.xml`, category: 'test' });
+    assert.equal(feed.source, 'Plain');
+
+    const updated = await aggregator.updateFeed(aggregator.feedId(feed.url), { url: `${publisher.url}/evil.xml`, source: '' });
+    assert.equal(updated.source, 'Evil & Co');
+});
+
+test('sanitizer helpers', () => {
+    assert.equal(plainText('<p>One</p><p>Two&nbsp;&amp;&#x263A;</p>'), 'One Two &☺'.replace(' ', ' '));
+    assert.equal(plainText('&lt;script&gt;alert(1)&lt;/script&gt;'), '<script>alert(1)</script>', 'decoded text is still only text');
+    assert.equal(safeUrl('JaVaScRiPt:alert(1)'), null);
+    assert.equal(safeUrl(' /a?b=1 ', 'https://example.com/feed'), 'https://example.com/a?b=1');
+    assert.equal(safeUrl('//example.com/x'), null, 'protocol-relative URLs need a base');
+    assert.equal(sanitizeContent('<h1>Title</h1><svg onload="alert(1)"><a xlink:href="javascript:alert(1)">x</a></svg>'), 
+        '<h2>Title</h2><a target="_blank" rel="noopener noreferrer">x</a>');
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SearchIndex from '../search-index.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function article(id, fields = {}) {
+    return {
+        id,
+        title: '',
+        snippet: '',
+        content: '',
+        source: 'Example News',
+        category: 'world',
+        pubDate: new Date(NOW - DAY_MS),
+        ...fields
+    };
+}
+
+const ids = results => results.map(({ article }) => article.id);
+
+test('BM25 ranks title hits over snippet hits, and rarer terms over common ones', () => {
+    const index = new SearchIndex({ recencyWeight: 0 });
+    index.build([
+        article('snippet', { title: 'Markets close higher', snippet: 'Investors shrugged off the drought.' }),
+        article('title', { title: 'Drought grips the region', snippet: 'Farmers wait for rain.' }),
+        article('twice', { title: 'Drought deepens', snippet: 'The drought is now in its third year.' }),
+        article('other', { title: 'Election results are in', snippet: 'Turnout was high.' })
+    ]);
+
+    assert.deepEqual(ids(index.search('drought', NOW)), ['twice', 'title', 'snippet']);
+
+    // "election" is in one document, "drought" in all three
+    index.build([
+        article('common', { title: 'Drought report', snippet: 'Drought drought drought.' }),
+        article('rare', { title: 'Drought and the election', snippet: 'Voters blame the drought.' }),
+        article('third', { title: 'Drought map', snippet: 'A drought map.' })
+    ]);
+    const [best] = index.search('drought election', NOW);
+    assert.equal(best.article.id, 'rare', 'the rare term outweighs repeating the common one');
+});
+
+test('term frequency saturates instead of growing without bound', () => {
+    const index = new SearchIndex({ recencyWeight: 0 });
+    index.build([
+        article('once', { snippet: 'solar' }),
+        article('often', { snippet: Array(50).fill('solar').join(' ') }),
+        article('unrelated', { snippet: 'wind' })
+    ]);
+    const [often, once] = index.search('solar', NOW);
+    assert.equal(often.article.id, 'often');
+    assert.ok(often.score < once.score * 2, `${often.score} should stay below twice ${once.score}`);
+});
+
+test('the recency boost lifts newer articles and halves with every half-life', () => {
+    const index = new SearchIndex({ recencyWeight: 0.3, recencyHalfLifeDays: 2 });
+    const fresh = article('fresh', { title: 'Storm warning', pubDate: new Date(NOW) });
+    const old = article('old', { title: 'Storm warning', pubDate: new Date(NOW - 10 * DAY_MS) });
+    index.build([old, fresh]);
+
+    assert.deepEqual(ids(index.search('storm', NOW)), ['fresh', 'old'], 'equal text ranks the newer article first');
+    assert.equal(index.recencyMultiplier(fresh, NOW), 1.3);
+    assert.equal(index.recencyMultiplier(article('two', { pubDate: new Date(NOW - 2 * DAY_MS) }), NOW), 1.15);
+    assert.equal(index.recencyMultiplier(article('future', { pubDate: new Date(NOW + DAY_MS) }), NOW), 1.3,
+        'future dates count as now');
+
+    // Filter-only queries have no text score and rank by recency alone
+    assert.deepEqual(ids(index.search('source:example', NOW)), ['fresh', 'old']);
+    assert.equal(new SearchIndex({ recencyWeight: 0 }).recencyMultiplier(old, NOW), 1);
+});
+
+test('a rebuilt index reflects added and removed articles', () => {
+    const index = new SearchIndex();
+    const first = article('first', { title: 'Harbour reopens after repairs' });
+    const second = article('second', { title: 'Harbour fees rise', category: 'business' });
+    index.build([first]);
+    assert.deepEqual(ids(index.search('harbour', NOW)), ['first']);
+    assert.deepEqual(ids(index.search('fees', NOW)), []);
+
+    index.build([first, second]);
+    assert.deepEqual(ids(index.search('harbour', NOW)).sort(), ['first', 'second']);
+    assert.deepEqual(ids(index.search('fees', NOW)), ['second']);
+    assert.deepEqual(ids(index.search('category:business', NOW)), ['second']);
+    assert.deepEqual(ids(index.search('"harbour fees"', NOW)), ['second']);
+
+    index.build([second]);
+    assert.deepEqual(ids(index.search('harbour', NOW)), ['second']);
+    assert.deepEqual(ids(index.search('repairs', NOW)), []);
+    assert.deepEqual(ids(index.search('-fees', NOW)), [], 'exclusions only range over indexed articles');
+    assert.equal(index.idf('repairs'), 0, 'removed terms leave no postings behind');
+});
+
+test('phrases, field qualifiers, filters and dates match from the index', () => {
+    const index = new SearchIndex();
+    index.build([
+        article('a', { title: 'Central bank raises rates', snippet: 'Mortgage costs climb.', source: 'BBC News', topics: ['Economy'], pubDate: new Date('2026-03-01') }),
+        article('b', { title: 'Rates unchanged', snippet: 'The central bank held.', source: 'Reuters', category: 'business', pubDate: new Date('2026-03-05') }),
+        article('c', { title: 'Bank holiday traffic', content: '<p>Roads <b>raises</b> rates</p>', source: 'bbc world', pubDate: 'not a date' })
+    ]);
+
+    assert.deepEqual(ids(index.search('"central bank"', NOW)).sort(), ['a', 'b']);
+    assert.deepEqual(ids(index.search('"bank raises"', NOW)), ['a'], 'terms must be adjacent and in order');
+    assert.deepEqual(ids(index.search('"rates raises"', NOW)), []);
+    assert.deepEqual(ids(index.search('title:"central bank"', NOW)), ['a']);
+    assert.deepEqual(ids(index.search('snippet:bank', NOW)), ['b']);
+    assert.deepEqual(ids(index.search('content:"raises rates"', NOW)), ['c'], 'content is matched without its markup');
+    assert.deepEqual(ids(index.search('source:bbc', NOW)).sort(), ['a', 'c'], 'source: matches part of the name');
+    assert.deepEqual(ids(index.search('category:business', NOW)), ['b']);
+    assert.deepEqual(ids(index.search('topic:economy', NOW)), ['a']);
+    assert.deepEqual(ids(index.search('after:2026-03-02', NOW)), ['b']);
+    assert.deepEqual(ids(index.search('before:2026-03-05', NOW)), ['a'], 'before: excludes the day itself');
+    assert.deepEqual([...index.articlesMentioning('central bank')].map(({ id }) => id).sort(), ['a', 'b']);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createStorage } from '../storage.js';
+import { tempDir, testAggregator, quietLogger } from './helpers.js';
+
+const BASELINE_CACHE = new URL('./fixtures/baseline-articles-cache.json', import.meta.url);
+const FEEDS = [{ url: 'https://example.com/world.xml', source: 'Example World', category: 'world', keywords: ['climate'] }];
+
+let scratch;
+
+before(async () => {
+    scratch = await tempDir();
+    await fs.copyFile(BASELINE_CACHE, path.join(scratch.dir, 'articles-cache.json'));
+    await fs.writeFile(path.join(scratch.dir, 'feeds.json'), JSON.stringify({ feeds: FEEDS }));
+});
+
+after(() => scratch.cleanup());
+
+// An aggregator on SQLite in the scratch directory, picking up the legacy cache there on first open
+async function openAggregator() {
+    const aggregator = testAggregator(scratch.dir, {
+        maxArticleAgeDays: 100 * 365, // The fixtures date from 2024
+        storage: createStorage('sqlite', {
+            file: path.join(scratch.dir, 'news.db'),
+            cacheFile: path.join(scratch.dir, 'articles-cache.json'),
+            stateFile: path.join(scratch.dir, 'article-state.json'),
+            logger: quietLogger
+        })
+    });
+    await aggregator.loadFeeds();
+    await aggregator.openStorage();
+    await aggregator.loadFromFile();
+    return aggregator;
+}
+
+test('migrates a cache file written by the original JSON version into SQLite', async () => {
+    const aggregator = await openAggregator();
+    try {
+        assert.equal(aggregator.articles.length, 2);
+        const [coastal, chips] = aggregator.articles;
+
+        assert.equal(coastal.feedUrl, FEEDS[0].url, 'the feed is found by source name');
+        assert.equal(chips.feedUrl, undefined, 'sources no longer subscribed keep matching by name');
+        aggregator.articles.forEach(article => {
+            assert.match(article.id, /^[0-9a-f]{12}$/);
+            assert.equal(article.id, aggregator.articleId(article));
+            assert.deepEqual(article.lastSeenAt, article.fetchedAt);
+            assert.ok(article.pubDate instanceof Date);
+        });
+        assert.deepEqual(aggregator.lastUpdate, new Date('2024-05-02T09:00:00.000Z'));
+    } finally {
+        await aggregator.storage.close();
+    }
+});
+
+test('the migrated archive reloads from SQLite and is not imported twice', async () => {
+    const aggregator = await openAggregator();
+    try {
+        assert.deepEqual(aggregator.articles.map(article => article.title), ['Coastal plan approved', 'Chip makers report record quarter']);
+        assert.equal(aggregator.storage.countArticles(), 2);
+        assert.equal(aggregator.query({ q: 'coastal' }).total, 1, 'the migrated articles are searchable');
+    } finally {
+        await aggregator.storage.close();
+    }
+});
+
+test('importing a malformed archive skips the bad articles and still saves to SQLite', async () => {
+    const aggregator = await openAggregator();
+    try {
+        const good = { title: 'Harbour reopens', url: 'https://example.com/harbour', source: 'Example World', category: 'world', pubDate: '2024-05-03T08:00:00.000Z' };
+        const result = await aggregator.importArchive({
+            articles: [
+                good,
+                { ...good, title: undefined, url: 'https://example.com/untitled' },
+                { ...good, source: 42, url: 'https://example.com/numeric-source' },
+                { ...good, category: '' },
+                { ...good, url: null },
+                { ...good, url: 'https://example.com/undated', pubDate: 'not a date' },
+                null
+            ],
+            articleState: {
+                keep: { savedAt: '2024-05-03T09:00:00.000Z', article: { ...good, id: 'keep', title: '<b>Harbour</b> reopens' } },
+                broken: { savedAt: '2024-05-03T09:00:00.000Z', article: { id: 'broken', url: 'https://example.com/broken' } },
+                empty: { readAt: 'yesterday' }
+            }
+        });
+
+        assert.equal(result.added, 1);
+        assert.deepEqual(result.invalid.map(entry => [entry.index, entry.reason]), [
+            [1, 'Missing title'],
+            [2, 'Missing source'],
+            [3, 'Missing category'],
+            [4, 'Missing url'],
+            [5, 'Missing or invalid pubDate'],
+            [6, 'Missing title, source, category, url']
+        ]);
+        assert.equal(result.states, 2, 'states without a valid flag are dropped');
+        assert.equal(aggregator.articleState.get('keep').article.title, 'Harbour reopens');
+        assert.equal(aggregator.articleState.get('broken').article, undefined, 'an invalid bookmark copy is dropped');
+        assert.equal(aggregator.storage.countArticles(), 3, 'the save was not rejected by the schema');
+        assert.equal(aggregator.query({ source: 'Example World' }).total, 2, 'filters still work on the merged archive');
+    } finally {
+        await aggregator.storage.close();
+    }
+});
+
+test('an import whose save fails rejects instead of only logging', async () => {
+    const aggregator = await openAggregator();
+    try {
+        aggregator.storage.saveArchive = async () => {
+            throw new Error('disk full');
+        };
+        await assert.rejects(aggregator.importArchive({ articles: [] }), /disk full/);
+    } finally {
+        await aggregator.storage.close();
+    }
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import StoryClusterer from '../story-clusters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+function article(url, title, snippet, fields = {}) {
+    return { url, title, snippet, pubDate: new Date(NOW), fetchedAt: new Date(NOW), ...fields };
+}
+
+const STORY = 'Central bank raises interest rates by half a point to curb persistent inflation';
+const REWORDED = 'Central bank raises interest rates by half a point to tackle persistent inflation';
+const OTHER = 'Storm floods coastal towns as rivers burst their banks after record rainfall';
+
+test('groups near-duplicates and leaves unrelated stories alone', () => {
+    const clusterer = new StoryClusterer();
+    const articles = [
+        article('https://a.example/1', STORY, 'Borrowing costs climb again.'),
+        article('https://b.example/1', REWORDED, 'Borrowing costs climb again.'),
+        article('https://c.example/1', OTHER, 'Thousands evacuated overnight.')
+    ];
+    assert.equal(clusterer.cluster(articles), 1);
+
+    const [a, b, c] = articles;
+    assert.match(a.clusterId, /^[0-9a-f]{12}$/);
+    assert.equal(b.clusterId, a.clusterId);
+    assert.equal(a.clusterSize, 2);
+    assert.equal(c.clusterId, null);
+    assert.equal(c.clusterSize, 1);
+});
+
+test('the similarity threshold is inclusive', () => {
+    const pair = () => [
+        article('https://a.example/1', STORY, 'Borrowing costs climb again.'),
+        article('https://b.example/1', REWORDED, 'Borrowing costs climb again.')
+    ];
+    const probe = new StoryClusterer();
+    const [first, second] = pair();
+    const similarity = probe.similarity(probe.signature(first), probe.signature(second));
+    assert.ok(similarity > 0 && similarity < 1, `expected a near-duplicate, got ${similarity}`);
+
+    assert.equal(new StoryClusterer({ threshold: similarity }).cluster(pair()), 1, 'exactly at the threshold clusters');
+    assert.equal(new StoryClusterer({ threshold: similarity + 1 / 64 }).cluster(pair()), 0, 'just above it does not');
+});
+
+test('never clusters stories published too far apart, or texts too short to compare', () => {
+    const clusterer = new StoryClusterer();
+    const apart = [
+        article('https://a.example/1', STORY, ''),
+        article('https://b.example/1', STORY, '', { pubDate: new Date(NOW - 4 * DAY_MS) })
+    ];
+    assert.equal(clusterer.cluster(apart), 0);
+    assert.equal(new StoryClusterer({ maxSpan: 5 * DAY_MS }).cluster(apart), 1);
+
+    const short = [article('https://a.example/2', 'Rates rise', ''), article('https://b.example/2', 'Rates rise', '')];
+    assert.equal(clusterer.cluster(short), 0, 'under four tokens, even identical titles stay apart');
+});
+
+test('a cluster keeps its id as later coverage joins it', () => {
+    const clusterer = new StoryClusterer();
+    const earliest = article('https://a.example/1', STORY, 'Borrowing costs climb again.', { fetchedAt: new Date(NOW - 60 * 60 * 1000) });
+    const articles = [article('https://b.example/1', REWORDED, 'Borrowing costs climb again.'), earliest];
+    clusterer.cluster(articles);
+    const { clusterId } = earliest;
+
+    articles.push(article('https://c.example/1', STORY, 'Borrowing costs climb again.', { fetchedAt: new Date(NOW + 60 * 60 * 1000) }));
+    clusterer.cluster(articles);
+    assert.deepEqual(articles.map(a => [a.clusterId, a.clusterSize]), Array(3).fill([clusterId, 3]),
+        'named after the first-fetched member');
+});
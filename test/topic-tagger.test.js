@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TopicTagger from '../topic-tagger.js';
+
+const SPACE = {
+    title: 'NASA delays Artemis launch',
+    snippet: 'The rocket will not fly this month.',
+    content: '<p>NASA said the rocket and its Orion spacecraft need more checks. Engineers found a fuel leak. ' +
+        'The European Space Agency, which built part of Orion, agreed. Orion will orbit the moon.</p>',
+    source: 'World Desk'
+};
+const RATES = {
+    title: 'Central Bank Holds Interest Rates Steady As Inflation Cools',
+    snippet: 'Policymakers held rates.',
+    content: '<p>The central bank kept the interest rate at 4%. Inflation fell again, and markets rallied. ' +
+        'Investors expect a cut. Governor Andrew Bailey said inflation was easing.</p>',
+    source: 'Money Daily'
+};
+const BAKERY = {
+    title: 'Local bakery wins prize',
+    snippet: 'Sourdough sourdough.',
+    content: '<p>The bakery sourdough won. Its sourdough loaves sell out daily.</p>',
+    source: 'Town Crier'
+};
+
+function tag(articles, options) {
+    const copies = articles.map(article => ({ ...article }));
+    new TopicTagger(options).tagArticles(copies);
+    return copies.map(article => article.topics);
+}
+
+test('subjects come from seed words whatever the feed, names from capitalization', () => {
+    const [space] = tag([SPACE, RATES, BAKERY]);
+    assert.equal(space[0], 'space', 'a space story in a general feed is still "space"');
+    assert.ok(space.includes('NASA'), 'acronyms keep their spelling');
+    assert.ok(space.includes('Orion'), 'a name mentioned repeatedly');
+    assert.ok(space.includes('Artemis'), 'a name in the title');
+    assert.ok(!space.includes('Engineers'), 'a capitalized word that only starts a sentence is not a name');
+    assert.ok(!space.includes('European Space Agency'), 'names mentioned once outside the title are left out');
+});
+
+test('Title Case headlines say nothing about names, and a single mention is not enough', () => {
+    const [, rates] = tag([SPACE, RATES, BAKERY]);
+    assert.equal(rates[0], 'economy');
+    assert.ok(!rates.some(topic => /Central Bank|Holds|Steady/.test(topic)), rates.join(', '));
+    assert.ok(!rates.includes('Andrew Bailey'));
+    assert.ok(rates.includes('inflation'), 'a keyword the body repeats');
+});
+
+test('keywords are distinctive words repeated in the body, in their usual spelling', () => {
+    const [, , bakery] = tag([SPACE, RATES, BAKERY]);
+    assert.deepEqual(bakery, ['sourdough', 'bakery']);
+});
+
+test('the publisher\'s own name is not a topic', () => {
+    const awards = {
+        title: 'Awards night',
+        content: '<p>Staff at the Daily Planet celebrated. Readers of the Daily Planet voted.</p>',
+        source: 'Daily Planet'
+    };
+    assert.ok(!tag([awards])[0].includes('Daily Planet'));
+    assert.ok(tag([{ ...awards, source: 'Metropolis Star' }])[0].includes('Daily Planet'), 'another outlet may name it');
+});
+
+test('tags only untagged articles, at most maxTopics each', () => {
+    const articles = [{ ...SPACE }, { ...RATES, topics: ['kept'] }];
+    const tagger = new TopicTagger({ maxTopics: 2 });
+    assert.equal(tagger.tagArticles(articles), 1);
+    assert.equal(articles[0].topics.length, 2);
+    assert.deepEqual(articles[1].topics, ['kept']);
+    assert.equal(tagger.tagArticles(articles), 0, 'nothing left to tag');
+
+    delete articles[0].topics; // Changed articles lose their topics and are tagged again
+    assert.equal(tagger.tagArticles(articles), 1);
+});
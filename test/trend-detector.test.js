@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TrendDetector from '../trend-detector.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const SOURCES = ['Alpha', 'Bravo', 'Charlie', 'Delta'];
+
+let nextId = 0;
+function article(source, topics, hoursAgo, fields = {}) {
+    return { id: `a${nextId++}`, source, topics, pubDate: new Date(NOW - hoursAgo * HOUR_MS), ...fields };
+}
+
+// Every source writes about the weather every day of the baseline
+function baseline() {
+    const articles = [];
+    for (let day = 1; day <= 7; day++) {
+        SOURCES.forEach(source => articles.push(article(source, ['weather'], 24 + day * 24 - 12)));
+    }
+    return articles;
+}
+
+test('a term several sources suddenly mention trends; a steady one does not', () => {
+    const articles = [
+        ...baseline(),
+        ...SOURCES.map(source => article(source, ['weather'], 3)),
+        article('Alpha', ['NASA', 'space'], 2),
+        article('Bravo', ['nasa'], 5),
+        article('Charlie', ['NASA'], 6)
+    ];
+    const trending = new TrendDetector().detect(articles, { now: NOW });
+
+    const terms = trending.map(({ term }) => term);
+    assert.deepEqual(terms, ['NASA'], 'weather is steady, and "space" comes from one source only');
+    const [nasa] = trending;
+    assert.equal(nasa.sources, 3);
+    assert.equal(nasa.articles, 3);
+    assert.equal(nasa.rate, 0.75, 'three of the four sources active in the window');
+    assert.equal(nasa.baselineRate, 0);
+    assert.equal(nasa.score, 4, '(0.75 + 0.25) / (0 + 0.25)');
+});
+
+test('one prolific source cannot make a term trend on its own', () => {
+    const articles = [
+        ...baseline(),
+        ...Array.from({ length: 20 }, (_, i) => article('Alpha', ['giveaway'], 1 + i / 2)),
+        ...SOURCES.map(source => article(source, ['weather'], 3))
+    ];
+    assert.deepEqual(new TrendDetector().detect(articles, { now: NOW }), []);
+    assert.equal(new TrendDetector({ minSources: 1 }).detect(articles, { now: NOW })[0].term, 'giveaway');
+});
+
+test('the spike is measured against the baseline rate', () => {
+    // "election" was mentioned by one source on each baseline day: 7 of 28 source-days
+    const articles = baseline().map(item => (item.source === 'Alpha' ? { ...item, topics: ['weather', 'election'] } : item));
+    articles.push(...SOURCES.map(source => article(source, ['election'], 4)));
+
+    const [election] = new TrendDetector().detect(articles, { now: NOW });
+    assert.equal(election.term, 'election');
+    assert.equal(election.baselineRate, 0.25);
+    assert.equal(election.score, 2.5, '(1 + 0.25) / (0.25 + 0.25)');
+    assert.deepEqual(new TrendDetector({ minSpike: 3 }).detect(articles, { now: NOW }), []);
+});
+
+test('the window and limit are adjustable, and articles outside window and baseline are ignored', () => {
+    const articles = [
+        ...['Alpha', 'Bravo'].map(source => article(source, ['eclipse'], 30)),
+        ...['Alpha', 'Bravo'].map(source => article(source, ['tariffs'], 2)),
+        ...['Alpha', 'Bravo'].map(source => article(source, ['future'], -2)),
+        ...['Alpha', 'Bravo'].map(source => article(source, ['ancient'], 24 * 30))
+    ];
+    const detector = new TrendDetector();
+    assert.deepEqual(detector.detect(articles, { now: NOW }).map(({ term }) => term), ['tariffs']);
+    assert.deepEqual(detector.detect(articles, { now: NOW, windowHours: 48 }).map(({ term }) => term).sort(), ['eclipse', 'tariffs']);
+    assert.equal(detector.detect(articles, { now: NOW, windowHours: 48, limit: 1 }).length, 1);
+    assert.deepEqual(detector.detect([], { now: NOW }), []);
+});
+
+test('examples list one article per story, the most widely covered first', () => {
+    const articles = [
+        article('Alpha', ['strike'], 1, { clusterId: 'walkout' }),
+        article('Bravo', ['strike'], 2, { clusterId: 'walkout' }),
+        article('Charlie', ['strike'], 3, { clusterId: 'walkout' }),
+        article('Delta', ['strike'], 1),
+        article('Alpha', ['strike'], 4, { clusterId: 'talks' }),
+        article('Bravo', ['strike'], 5, { clusterId: 'talks' }),
+        article('Charlie', ['strike'], 6)
+    ];
+    const [strike] = new TrendDetector().detect(articles, { now: NOW });
+    assert.equal(strike.examples.length, 3);
+    assert.deepEqual(strike.examples.slice(0, 2).map(({ clusterId }) => clusterId), ['walkout', 'talks']);
+    assert.equal(strike.examples[2].source, 'Delta', 'then the newest single article');
+});
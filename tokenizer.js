@@ -0,0 +1,29 @@
+import { stemmer } from 'stemmer';
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+    'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has',
+    'have', 'he', 'her', 'here', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+    'me', 'more', 'most', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 'said', 'says',
+    'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'those', 'to', 'up', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+    'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+export function stripTags(html) {
+    return html.replace(/<[^>]*>/g, ' ').replace(/&[#\w]+;/g, ' ');
+}
+
+// Lowercase, strip accents, split on word boundaries, drop stop words and stem
+export function tokenize(text) {
+    if (!text) return [];
+    const words = text
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .match(/[\p{L}\p{N}]+/gu) || [];
+
+    return words
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => stemmer(word));
+}
@@ -0,0 +1,243 @@
+import { tokenize } from './tokenizer.js';
+import { plainText } from './sanitize.js';
+
+const MAX_TOPICS = 5;
+const MAX_SUBJECTS = 2;
+const MAX_ENTITIES = 3;
+const MAX_KEYWORDS = 2;
+// Long extracted pages add little beyond their opening
+const MAX_BODY_CHARS = 6000;
+// Title mentions count this many times a body mention
+const TITLE_WEIGHT = 3;
+// A subject needs this much seed-word evidence; names and keywords need this many mentions (or a title mention)
+const MIN_SUBJECT_SCORE = 4;
+const MIN_MENTIONS = 2;
+const MAX_ENTITY_WORDS = 4;
+
+// Broad subjects recognized from seed words, whatever the feed's category says.
+// Seeds are matched after stemming; multi-word seeds must appear as a phrase.
+const SUBJECTS = {
+    space: ['space', 'nasa', 'spacex', 'rocket', 'orbit', 'astronaut', 'satellite', 'telescope', 'spacecraft',
+        'mars', 'lunar', 'moon', 'asteroid', 'galaxy', 'planet', 'cosmic', 'space station', 'european space agency'],
+    climate: ['climate', 'emissions', 'carbon', 'warming', 'greenhouse', 'fossil fuel', 'heatwave', 'drought',
+        'wildfire', 'glacier', 'sea level', 'net zero', 'deforestation'],
+    energy: ['energy', 'solar', 'wind power', 'nuclear', 'oil', 'gas', 'electricity', 'battery', 'grid', 'renewable'],
+    ai: ['ai', 'artificial intelligence', 'machine learning', 'chatbot', 'neural', 'llm', 'openai', 'deepmind',
+        'generative', 'language model'],
+    technology: ['software', 'app', 'smartphone', 'chip', 'semiconductor', 'startup', 'silicon valley', 'apple',
+        'google', 'microsoft', 'computer', 'internet', 'cloud', 'tech'],
+    security: ['cyber', 'cyberattack', 'hacker', 'hack', 'ransomware', 'malware', 'breach', 'vulnerability', 'phishing'],
+    science: ['scientist', 'research', 'study', 'physics', 'chemistry', 'biology', 'species', 'fossil', 'genome',
+        'experiment', 'discovery'],
+    health: ['health', 'hospital', 'disease', 'vaccine', 'virus', 'cancer', 'patient', 'doctor', 'medical',
+        'outbreak', 'drug', 'mental health'],
+    politics: ['election', 'parliament', 'congress', 'senate', 'minister', 'president', 'government', 'vote',
+        'campaign', 'legislation', 'policy', 'party'],
+    economy: ['economy', 'inflation', 'interest rate', 'recession', 'gdp', 'unemployment', 'central bank', 'tariff',
+        'trade', 'market', 'stock', 'investor'],
+    business: ['company', 'ceo', 'profit', 'revenue', 'merger', 'acquisition', 'shares', 'earnings', 'layoff'],
+    sports: ['match', 'tournament', 'championship', 'league', 'goal', 'coach', 'football', 'soccer', 'tennis',
+        'cricket', 'olympic', 'world cup', 'basketball'],
+    culture: ['film', 'movie', 'music', 'album', 'concert', 'festival', 'novel', 'artist', 'museum', 'television',
+        'series', 'actor']
+};
+
+// Capitalized words that are not names on their own
+const NOT_NAMES = new Set([
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+    'november', 'december', 'today', 'yesterday', 'tomorrow', 'mr', 'mrs', 'ms', 'dr', 'new', 'read', 'more',
+    'watch', 'live', 'update', 'updated', 'breaking', 'photo', 'video', 'image', 'getty', 'images', 'reuters'
+]);
+// Lowercase words allowed inside a name ("Bank of England")
+const NAME_CONNECTORS = new Set(['of', 'de', 'du', 'der', 'von', 'van', 'la', 'al', 'and', 'for']);
+
+const stems = text => tokenize(text);
+const SUBJECT_SEEDS = Object.entries(SUBJECTS).map(([subject, seeds]) => [subject, seeds.map(stems).filter(seed => seed.length > 0)]);
+
+// Occurrences of a stem sequence in a token list
+function countSequence(tokens, sequence) {
+    if (sequence.length === 1) return tokens.filter(token => token === sequence[0]).length;
+    let count = 0;
+    for (let i = 0; i + sequence.length <= tokens.length; i++) {
+        if (sequence.every((stem, k) => tokens[i + k] === stem)) count++;
+    }
+    return count;
+}
+
+const isCapitalized = word => /^\p{Lu}/u.test(word);
+const isAcronym = word => /^\p{Lu}[\p{Lu}\d&]+$/u.test(word);
+
+// Headlines in Title Case capitalize everything, so capitals there say nothing about names
+function isTitleCase(title) {
+    const words = title.split(/\s+/).filter(word => /^\p{L}/u.test(word) && word.length > 3);
+    return words.length >= 3 && words.filter(isCapitalized).length / words.length > 0.6;
+}
+
+/**
+ * Runs of capitalized words in running text, counted: "European Space Agency", "NASA", "Elon Musk".
+ * Sentences start with a capital anyway, so a run's first word is dropped when it starts a
+ * sentence and looks like an ordinary word: a stop word, or one the text also uses in lowercase.
+ * A single word starting a sentence must be an acronym or appear capitalized mid-sentence elsewhere.
+ */
+function nameMentions(text) {
+    const runs = [];
+    const midSentence = new Set();
+    const lowercase = new Set(text.match(/(?<![\p{L}\p{N}])\p{Ll}[\p{L}\p{N}]*/gu) || []);
+    for (const sentence of text.split(/(?<=[.!?])\s+|\n+/)) {
+        const words = sentence.split(/\s+/).filter(Boolean);
+        let run = [];
+        let startsSentence = false;
+        const close = () => {
+            while (run.length && NAME_CONNECTORS.has(run[run.length - 1].toLowerCase())) run.pop();
+            if (run.length) runs.push({ words: run, startsSentence });
+            run = [];
+        };
+        words.forEach((raw, index) => {
+            const word = raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').replace(/['’]s$/u, '');
+            const breaksAfter = /[,;:()"“”]$/u.test(raw) || /^[("“]/u.test(raw);
+            if (word && isCapitalized(word) && !NOT_NAMES.has(word.toLowerCase())) {
+                if (run.length === 0) startsSentence = index === 0;
+                if (index > 0) midSentence.add(word);
+                run.push(word);
+            } else if (word && run.length && NAME_CONNECTORS.has(word)) {
+                run.push(word);
+            } else {
+                close();
+            }
+            if (breaksAfter) close();
+        });
+        close();
+    }
+
+    const ordinary = word => tokenize(word).length === 0 || lowercase.has(word.toLowerCase());
+    const counts = new Map();
+    for (const { words, startsSentence } of runs) {
+        let name = words;
+        if (startsSentence && !isAcronym(words[0]) && !midSentence.has(words[0])) {
+            if (words.length === 1) continue;
+            if (ordinary(words[0])) name = words.slice(1);
+        }
+        while (name.length && NAME_CONNECTORS.has(name[0])) name = name.slice(1);
+        if (name.length === 0 || name.length > MAX_ENTITY_WORDS || name.join('').length < 2) continue;
+        const display = name.join(' ');
+        counts.set(display, (counts.get(display) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Per-article topics, computed locally: broad subjects from a seed-word lexicon (so a space story
+ * in a general news feed is tagged "space"), names found by capitalization (people,
+ * organizations, places), and distinctive keywords by TF-IDF against the rest of the archive.
+ * Subjects and keywords are lowercase; names keep their capitalization.
+ */
+class TopicTagger {
+    constructor(options = {}) {
+        this.maxTopics = options.maxTopics ?? MAX_TOPICS;
+        // Document frequency of each stem across the archive, recomputed when there is something to tag
+        this.documentFrequency = new Map();
+        this.documentCount = 0;
+    }
+
+    articleText(article) {
+        const body = plainText(article.fullContent || article.content || '').substring(0, MAX_BODY_CHARS);
+        return { title: article.title || '', body: body.startsWith(article.snippet || '') ? body : `${article.snippet || ''}\n${body}` };
+    }
+
+    idf(stem) {
+        const df = this.documentFrequency.get(stem) || 0;
+        return Math.log(1 + (this.documentCount - df + 0.5) / (df + 0.5));
+    }
+
+    // Tag every article without `topics` (new, changed or re-extracted ones). Returns how many were tagged.
+    tagArticles(articles) {
+        const untagged = articles.filter(article => !Array.isArray(article.topics));
+        if (untagged.length === 0) return 0;
+
+        this.documentFrequency = new Map();
+        this.documentCount = articles.length;
+        for (const article of articles) {
+            const { title, body } = this.articleText(article);
+            new Set(stems(`${title} ${body}`)).forEach(stem => {
+                this.documentFrequency.set(stem, (this.documentFrequency.get(stem) || 0) + 1);
+            });
+        }
+
+        untagged.forEach(article => {
+            article.topics = this.topicsFor(article);
+        });
+        return untagged.length;
+    }
+
+    topicsFor(article) {
+        const { title, body } = this.articleText(article);
+        const titleTokens = stems(title);
+        const bodyTokens = stems(body);
+        const topics = [];
+        const covered = new Set(); // Stems already represented by a chosen topic
+        const add = (topic, topicStems) => {
+            if (topics.length >= this.maxTopics || topics.some(t => t.toLowerCase() === topic.toLowerCase())) return;
+            topics.push(topic);
+            topicStems.forEach(stem => covered.add(stem));
+        };
+
+        // Subjects: seed-word hits, title hits weighted
+        SUBJECT_SEEDS
+            .map(([subject, seeds]) => ({
+                subject,
+                score: seeds.reduce((sum, seed) =>
+                    sum + TITLE_WEIGHT * countSequence(titleTokens, seed) + countSequence(bodyTokens, seed), 0)
+            }))
+            .filter(({ score }) => score >= MIN_SUBJECT_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_SUBJECTS)
+            .forEach(({ subject }) => add(subject, stems(subject)));
+
+        // Names: mentions in the body, plus the title unless it is in Title Case; rarer names rank higher
+        const mentions = nameMentions(isTitleCase(title) ? body : `${title}.\n${body}`);
+        const lowerTitle = title.toLowerCase();
+        const source = (article.source || '').toLowerCase();
+        [...mentions]
+            .map(([name, count]) => {
+                const nameStems = stems(name);
+                const inTitle = lowerTitle.includes(name.toLowerCase());
+                const idf = nameStems.reduce((sum, stem) => sum + this.idf(stem), 0) / Math.max(nameStems.length, 1);
+                return { name, nameStems, inTitle, count, score: (count + (inTitle ? TITLE_WEIGHT : 0)) * idf };
+            })
+            .filter(({ name, nameStems, inTitle, count }) =>
+                nameStems.length > 0 && (inTitle || count >= MIN_MENTIONS) && name.toLowerCase() !== source)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_ENTITIES)
+            .forEach(({ name, nameStems }) => {
+                if (!nameStems.every(stem => covered.has(stem))) add(name, nameStems);
+            });
+
+        // Keywords: TF-IDF over stems that the body repeats (headline wording alone is not a topic),
+        // shown as their most common spelling in the article
+        const spelling = new Map();
+        for (const word of `${title} ${body}`.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+            const [stem] = stems(word);
+            if (!stem) continue;
+            const forms = spelling.get(stem) || new Map();
+            forms.set(word, (forms.get(word) || 0) + 1);
+            spelling.set(stem, forms);
+        }
+        const bodyFrequency = new Map();
+        bodyTokens.forEach(stem => bodyFrequency.set(stem, (bodyFrequency.get(stem) || 0) + 1));
+        const keywords = [...bodyFrequency]
+            .filter(([stem, count]) => (count >= MIN_MENTIONS || titleTokens.includes(stem)) &&
+                !covered.has(stem) && !/^\d+$/.test(stem) && stem.length > 2 && spelling.has(stem))
+            .map(([stem, count]) => ({ stem, score: (count + TITLE_WEIGHT * countSequence(titleTokens, [stem])) * this.idf(stem) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_KEYWORDS);
+        keywords.forEach(({ stem }) => {
+            const [word] = [...spelling.get(stem)].sort((a, b) => b[1] - a[1])[0];
+            add(word, [stem]);
+        });
+
+        return topics;
+    }
+}
+
+export default TopicTagger;
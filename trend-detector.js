@@ -0,0 +1,110 @@
+// Mentions are counted over the last WINDOW_HOURS and compared with the BASELINE_DAYS before
+const WINDOW_HOURS = 24;
+const BASELINE_DAYS = 7;
+// A trending term is mentioned by at least this many sources in the window, at this multiple of its baseline rate
+const MIN_SOURCES = 2;
+const MIN_SPIKE = 2;
+const MAX_TRENDING = 20;
+// Example stories listed per term
+const MAX_EXAMPLES = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Terms whose mention rate across sources is spiking. The terms are the article topics
+ * (subjects, names and keywords from topic-tagger.js). A term's rate is the share of active
+ * sources mentioning it: in the window, distinct sources out of those that published anything;
+ * in the baseline, distinct source-days out of the source-days with any article. Counting
+ * sources rather than articles keeps one prolific feed from making a term trend on its own.
+ *
+ * The spike is (rate in window + prior) / (baseline rate + prior); the prior, one source's worth
+ * of the window, keeps terms with no baseline (including everything in a new archive) from
+ * scoring infinitely.
+ */
+class TrendDetector {
+    constructor(options = {}) {
+        this.windowHours = options.windowHours ?? WINDOW_HOURS;
+        this.baselineDays = options.baselineDays ?? BASELINE_DAYS;
+        this.minSources = options.minSources ?? MIN_SOURCES;
+        this.minSpike = options.minSpike ?? MIN_SPIKE;
+    }
+
+    /**
+     * Trending terms among the articles, highest spike first: [{ term, score, sources,
+     * articles, baselineRate, rate, examples }]. `examples` are the term's most widely covered
+     * articles in the window, one per story (clusterId) where clustered.
+     */
+    detect(articles, { now = Date.now(), windowHours = this.windowHours, limit = MAX_TRENDING } = {}) {
+        const windowStart = now - windowHours * HOUR_MS;
+        const baselineStart = windowStart - this.baselineDays * DAY_MS;
+
+        const recentSources = new Set();
+        const baselineSourceDays = new Set();
+        // Lowercased term -> { labels: label -> count, sources, sourceDays, articles }
+        const terms = new Map();
+
+        for (const article of articles) {
+            const published = new Date(article.pubDate).getTime();
+            if (!(published >= baselineStart && published <= now)) continue;
+            const recent = published >= windowStart;
+            const sourceDay = `${article.source}\n${Math.floor((windowStart - published) / DAY_MS)}`;
+            if (recent) recentSources.add(article.source);
+            else baselineSourceDays.add(sourceDay);
+
+            for (const topic of new Set(article.topics || [])) {
+                const key = topic.toLowerCase();
+                if (!terms.has(key)) terms.set(key, { labels: new Map(), sources: new Set(), sourceDays: new Set(), articles: [] });
+                const term = terms.get(key);
+                term.labels.set(topic, (term.labels.get(topic) || 0) + 1);
+                if (recent) {
+                    term.sources.add(article.source);
+                    term.articles.push(article);
+                } else {
+                    term.sourceDays.add(sourceDay);
+                }
+            }
+        }
+        if (recentSources.size === 0) return [];
+
+        const prior = 1 / recentSources.size;
+        const trending = [];
+        terms.forEach(term => {
+            if (term.sources.size < this.minSources) return;
+            const rate = term.sources.size / recentSources.size;
+            const baselineRate = baselineSourceDays.size ? term.sourceDays.size / baselineSourceDays.size : 0;
+            const score = (rate + prior) / (baselineRate + prior);
+            if (score < this.minSpike) return;
+            trending.push({
+                // The spelling most articles use ("NASA", not "nasa")
+                term: [...term.labels].sort((a, b) => b[1] - a[1])[0][0],
+                score: Math.round(score * 100) / 100,
+                sources: term.sources.size,
+                articles: term.articles.length,
+                rate: Math.round(rate * 1000) / 1000,
+                baselineRate: Math.round(baselineRate * 1000) / 1000,
+                examples: this.examples(term.articles)
+            });
+        });
+
+        return trending
+            .sort((a, b) => b.score - a.score || b.sources - a.sources)
+            .slice(0, limit);
+    }
+
+    // One article per story, stories covered by the most articles first
+    examples(articles) {
+        const stories = new Map();
+        articles.forEach(article => {
+            const key = article.clusterId || article.id;
+            if (!stories.has(key)) stories.set(key, []);
+            stories.get(key).push(article);
+        });
+        return [...stories.values()]
+            .sort((a, b) => b.length - a.length || b[0].pubDate - a[0].pubDate)
+            .slice(0, MAX_EXAMPLES)
+            .map(([article]) => article);
+    }
+}
+
+export default TrendDetector;
@@ -0,0 +1,134 @@
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+const FETCH_TIMEOUT_MS = 30 * 1000;
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses the server never connects to on a feed's or page's behalf: "this network", private
+// networks, carrier-grade NAT, loopback, link-local (including cloud metadata at 169.254.169.254),
+// benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Raised for URLs the server refuses to fetch, or responses it refuses to read; `status` maps onto the HTTP response
+export class UrlGuardError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'UrlGuardError';
+        this.status = status;
+    }
+}
+
+export function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Outbound HTTP for anything the server fetches on a user's behalf (feeds, article pages).
+ * Only http(s) URLs on public addresses are fetched: the check runs on every DNS lookup the
+ * connection makes, so redirects and DNS rebinding can't reach the local network either.
+ * Hosts in `allowedHosts` (e.g. a feed bridge on the LAN) skip the address check.
+ * Responses are bounded by a timeout over the whole exchange and a size limit when read.
+ */
+class UrlGuard {
+    constructor(options = {}) {
+        this.allowedHosts = new Set((options.allowedHosts ?? []).map(host => host.toLowerCase()));
+        this.timeout = options.timeout ?? FETCH_TIMEOUT_MS;
+        this.maxBytes = options.maxBytes ?? MAX_RESPONSE_BYTES;
+        this.maxRedirects = options.maxRedirects ?? MAX_REDIRECTS;
+        this.agent = new Agent({ connect: { lookup: (hostname, lookupOptions, callback) => this.lookup(hostname, lookupOptions, callback) } });
+    }
+
+    isAllowedHost(hostname) {
+        return this.allowedHosts.has(hostname.toLowerCase());
+    }
+
+    // Parse and vet a URL before connecting. IP literals are checked here: connecting to one does no DNS lookup.
+    checkUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            throw new UrlGuardError(`Invalid URL: ${value}`, 400);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new UrlGuardError(`Only http(s) URLs can be fetched: ${url.protocol}`, 400);
+        }
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        if (isBlockedAddress(hostname) && !this.isAllowedHost(hostname)) {
+            throw new UrlGuardError(`Refusing to fetch a private or reserved address: ${hostname}`);
+        }
+        return url;
+    }
+
+    // dns.lookup for the connection, failing when any address the name resolves to is private
+    lookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+            if (blocked && !this.isAllowedHost(hostname)) {
+                return callback(new UrlGuardError(`Refusing to fetch ${hostname}: it resolves to a private or reserved address (${blocked.address})`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    /**
+     * GET a URL, following up to maxRedirects redirects (each one vetted). Resolves with the
+     * final response; `response.url` is the URL that produced it. Read bodies with read().
+     */
+    async fetch(url, { headers = {}, timeout = this.timeout } = {}) {
+        const signal = AbortSignal.timeout(timeout);
+        let current = this.checkUrl(url);
+
+        for (let redirects = 0; ; redirects++) {
+            let response;
+            try {
+                response = await fetch(current, { headers, signal, redirect: 'manual', dispatcher: this.agent });
+            } catch (error) {
+                // undici wraps connection errors (including ours from lookup) in "fetch failed"
+                if (error.cause instanceof UrlGuardError) throw error.cause;
+                throw new Error(error.cause?.message || error.message);
+            }
+
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location) return response;
+
+            await response.body?.cancel();
+            if (redirects >= this.maxRedirects) {
+                throw new UrlGuardError(`Too many redirects fetching ${url}`, 502);
+            }
+            current = this.checkUrl(new URL(location, current).href);
+        }
+    }
+
+    // The whole body as a Buffer, giving up as soon as it passes maxBytes
+    async read(response, maxBytes = this.maxBytes) {
+        if (Number(response.headers.get('content-length')) > maxBytes) {
+            await response.body?.cancel();
+            throw new UrlGuardError(`Response is larger than ${maxBytes} bytes`, 413);
+        }
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.body ?? []) {
+            size += chunk.length;
+            // Throwing out of the loop cancels the stream
+            if (size > maxBytes) throw new UrlGuardError(`Response is larger than ${maxBytes} bytes`, 413);
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+}
+
+export default UrlGuard;